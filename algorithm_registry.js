@@ -0,0 +1,558 @@
+"use strict";
+
+import * as BIA from './bia_algorithms.js';
+import { computeVisceralFat } from './visceral_fat.js';
+import { highFrequencyReading, totalBodyWaterSun } from './bioimpedance_fluids.js';
+
+// Body composition algorithms as named, swappable variants per metric
+//
+// Each metric lists its variants with the inputs they read. Inputs are the measurement
+// (weightKg, impedanceOhm, and impedances when the scale measured several frequencies), the profile (heightCm, age, sex 1 = male / 0 = female, bodyType)
+// plus bmi, and the outputs of metrics computed earlier in METRIC_ORDER. An algorithm profile
+// names one variant per metric; user overrides on top of it make a "custom" selection so
+// reconstructed WLA formulas can be A/B tested against textbook equations on the same data.
+
+const ALGORITHM_SELECTION_KEY = 'fitdays_algorithms';
+
+// Helper: fat mass and body fat percent that follow from a fat-free mass
+function fromFfm(weightKg, ffmKg) {
+  const fatMassKg = Math.max(0, weightKg - ffmKg);
+  return { ffmKg, fatMassKg, bodyFatPercent: weightKg > 0 ? (fatMassKg / weightKg) * 100.0 : 0 };
+}
+
+// Helper: H²/R impedance index with height in cm (the unit the regression equations use)
+function impedanceIndex({ heightCm, impedanceOhm }) {
+  return (heightCm * heightCm) / impedanceOhm;
+}
+
+// Metrics in dependency order; compute(x) returns the metric's outputs
+const ALGORITHMS = {
+  bodyFat: {
+    label: 'Body fat estimate',
+    outputs: ['bodyFatEstimatePercent'],
+    variants: {
+      // Deurenberg with BMI swapped for R/H² ÷ 1000 (≈ 0.2): the estimate clamps near 5 % for
+      // almost every adult. Kept so older weigh-ins can be recomputed with it.
+      'fitdays-impedance': {
+        label: 'Impedance index (legacy, clamps near 5 %)',
+        placeholder: true,
+        inputs: ['impedanceOhm', 'heightCm', 'age', 'sex'],
+        compute({ impedanceOhm, heightCm, age, sex }) {
+          const heightM = heightCm / 100;
+          const index = impedanceOhm / (heightM * heightM);
+          // Age and sex specific correction
+          const ageSexFactor = sex === 1 ?
+            (age < 30 ? 0.98 : age < 50 ? 1.0 : 1.02) :
+            (age < 30 ? 0.95 : age < 50 ? 0.97 : 1.0);
+          const raw = (1.20 * (index / 1000)) + (0.23 * age) - (sex === 1 ? 16.2 : 5.4);
+          return { bodyFatEstimatePercent: BIA.clamp(raw * ageSexFactor, 5.0, 60.0) };
+        }
+      },
+      'sun-2003': {
+        label: 'Sun 2003 FFM (H²/R regression)',
+        inputs: ['weightKg', 'impedanceOhm', 'heightCm', 'sex'],
+        compute(x) {
+          const { bodyFatPercent } = ALGORITHMS.ffm.variants['sun-2003'].compute(x);
+          return { bodyFatEstimatePercent: BIA.clamp(bodyFatPercent, 5.0, 60.0) };
+        }
+      },
+      'deurenberg-bmi': {
+        label: 'Deurenberg 1991 (BMI, no impedance)',
+        inputs: ['bmi', 'age', 'sex'],
+        compute({ bmi, age, sex }) {
+          return { bodyFatEstimatePercent: BIA.clamp(1.2 * bmi + 0.23 * age - 10.8 * sex - 5.4, 5.0, 60.0) };
+        }
+      }
+    }
+  },
+  ffm: {
+    label: 'Fat-free mass',
+    outputs: ['ffmKg', 'fatMassKg', 'bodyFatPercent'],
+    variants: {
+      wla20: {
+        label: 'WLA20',
+        inputs: ['weightKg', 'bodyFatEstimatePercent', 'age', 'sex'],
+        compute({ weightKg, bodyFatEstimatePercent, age, sex }) {
+          return fromFfm(weightKg, BIA.getFFM_WLA20(weightKg, bodyFatEstimatePercent, age, sex, 100.0));
+        }
+      },
+      wla32: {
+        label: 'WLA32',
+        inputs: ['weightKg', 'bodyFatEstimatePercent', 'age', 'sex'],
+        compute({ weightKg, bodyFatEstimatePercent, age, sex }) {
+          return fromFfm(weightKg, BIA.getFFM_WLA32(weightKg, bodyFatEstimatePercent, age, sex, 100.0));
+        }
+      },
+      'sun-2003': {
+        label: 'Sun 2003 (H²/R regression)',
+        inputs: ['weightKg', 'impedanceOhm', 'heightCm', 'sex'],
+        compute(x) {
+          const hr = impedanceIndex(x);
+          const ffm = x.sex === 1
+            ? -10.68 + 0.65 * hr + 0.26 * x.weightKg + 0.02 * x.impedanceOhm
+            : -9.53 + 0.69 * hr + 0.17 * x.weightKg + 0.02 * x.impedanceOhm;
+          return fromFfm(x.weightKg, BIA.clamp(ffm, 0, x.weightKg));
+        }
+      }
+    }
+  },
+  bone: {
+    label: 'Bone mass',
+    outputs: ['boneMassKg'],
+    variants: {
+      'fitdays-ffm': {
+        label: '4.5 % of FFM, age/sex/weight adjusted',
+        inputs: ['ffmKg', 'weightKg', 'age', 'sex'],
+        compute({ ffmKg, weightKg, age, sex }) {
+          const ageFactor = Math.max(0.7, 1.0 - (age - 20) * 0.005); // Bone density decreases with age
+          const sexFactor = sex === 1 ? 1.1 : 1.0;
+          const weightFactor = Math.min(1.2, Math.max(0.8, weightKg / 70.0));
+          return { boneMassKg: ffmKg * 0.045 * ageFactor * sexFactor * weightFactor };
+        }
+      },
+      wla10: {
+        label: 'WLA10 rounding of the FFM estimate',
+        inputs: ['ffmKg', 'weightKg', 'age', 'sex'],
+        compute(x) {
+          const { boneMassKg } = ALGORITHMS.bone.variants['fitdays-ffm'].compute(x);
+          return { boneMassKg: BIA.getBoneMass_WLA10(boneMassKg) };
+        }
+      },
+      'ffm-mineral': {
+        label: 'Mineral, 6.8 % of FFM (Brožek 1963)',
+        inputs: ['ffmKg'],
+        compute({ ffmKg }) {
+          return { boneMassKg: ffmKg * 0.068 };
+        }
+      }
+    }
+  },
+  muscle: {
+    label: 'Muscle mass',
+    outputs: ['musclePercent', 'muscleMassKg'],
+    variants: {
+      wla09: {
+        label: 'WLA09',
+        inputs: ['weightKg', 'bodyFatEstimatePercent', 'age', 'sex'],
+        compute({ weightKg, bodyFatEstimatePercent, age, sex }) {
+          const ffm32 = BIA.getFFM_WLA32(weightKg, bodyFatEstimatePercent, age, sex, 100.0);
+          const musclePercent = BIA.getMusclePercent_WLA09(weightKg, age, sex, 0.8, Math.max(1, ffm32), 0, 9);
+          return { musclePercent, muscleMassKg: (musclePercent / 100.0) * weightKg };
+        }
+      },
+      'lean-minus-bone': {
+        label: 'Soft lean mass (FFM − bone)',
+        inputs: ['weightKg', 'ffmKg', 'boneMassKg'],
+        compute({ weightKg, ffmKg, boneMassKg }) {
+          const muscleMassKg = Math.max(0, ffmKg - boneMassKg);
+          return { musclePercent: (muscleMassKg / weightKg) * 100.0, muscleMassKg };
+        }
+      }
+    }
+  },
+  tbw: {
+    label: 'Total body water',
+    outputs: ['tbwPercent'],
+    variants: {
+      'fitdays-ffm': {
+        label: '73 % of FFM, impedance/age/sex adjusted',
+        inputs: ['ffmKg', 'weightKg', 'impedanceOhm', 'age', 'sex'],
+        compute({ ffmKg, weightKg, impedanceOhm, age, sex }) {
+          const impedanceFactor = Math.max(0.8, Math.min(1.2, 1000 / impedanceOhm));
+          const ageFactor = Math.max(0.9, 1.0 - (age - 20) * 0.002);
+          const sexFactor = sex === 1 ? 1.0 : 0.95;
+          const tbwKg = ffmKg * 0.73 * impedanceFactor * ageFactor * sexFactor;
+          return { tbwPercent: BIA.clamp((tbwKg / weightKg) * 100.0, 30, 75) };
+        }
+      },
+      'ffm-hydration': {
+        label: 'FFM hydration 73.2 % (Pace & Rathbun)',
+        inputs: ['ffmKg', 'weightKg'],
+        compute({ ffmKg, weightKg }) {
+          return { tbwPercent: (ffmKg * 0.732 / weightKg) * 100.0 };
+        }
+      },
+      'watson-1980': {
+        label: 'Watson 1980 (anthropometric)',
+        inputs: ['weightKg', 'heightCm', 'age', 'sex'],
+        compute({ weightKg, heightCm, age, sex }) {
+          const litres = sex === 1
+            ? 2.447 - 0.09516 * age + 0.1074 * heightCm + 0.3362 * weightKg
+            : -2.097 + 0.1069 * heightCm + 0.2466 * weightKg;
+          return { tbwPercent: (litres / weightKg) * 100.0 };
+        }
+      },
+      'sun-high-frequency': {
+        label: 'Sun 2003 at the highest frequency (≥ 100 kHz)',
+        inputs: ['weightKg', 'heightCm', 'sex', 'impedanceOhm'],
+        compute(x) {
+          // Single-frequency scales fall back to the one resistance they have
+          const high = highFrequencyReading(x.impedances);
+          const litres = totalBodyWaterSun({ ...x, resistanceOhm: high ? high.resistanceOhm : x.impedanceOhm });
+          return { tbwPercent: (litres / x.weightKg) * 100.0 };
+        }
+      }
+    }
+  },
+  protein: {
+    label: 'Protein',
+    outputs: ['proteinPercent'],
+    variants: {
+      'ffm-residual': {
+        label: 'FFM − water − bone',
+        inputs: ['weightKg', 'ffmKg', 'tbwPercent', 'boneMassKg'],
+        compute({ weightKg, ffmKg, tbwPercent, boneMassKg }) {
+          return { proteinPercent: BIA.getProteinPercent(weightKg, ffmKg, tbwPercent, boneMassKg) };
+        }
+      },
+      'muscle-fraction': {
+        label: '20 % of muscle mass',
+        inputs: ['weightKg', 'muscleMassKg'],
+        compute({ weightKg, muscleMassKg }) {
+          return { proteinPercent: (muscleMassKg * 0.2 / weightKg) * 100.0 };
+        }
+      }
+    }
+  },
+  skeletalMuscle: {
+    label: 'Skeletal muscle',
+    outputs: ['skeletalMusclePercent', 'skeletalMuscleKg'],
+    variants: {
+      'janssen-2000': {
+        label: 'Janssen 2000 (H²/R regression)',
+        inputs: ['weightKg', 'impedanceOhm', 'heightCm', 'age', 'sex'],
+        compute({ weightKg, impedanceOhm, heightCm, age, sex }) {
+          const kg = BIA.getSkeletalMuscleMass(heightCm, impedanceOhm, sex, age);
+          return { skeletalMusclePercent: (kg / weightKg) * 100.0, skeletalMuscleKg: kg };
+        }
+      }
+    }
+  },
+  leanMass: {
+    label: 'Lean mass',
+    outputs: ['fatFreeWeightKg', 'leanBodyMassKg'],
+    variants: {
+      'ffm-minus-bone': {
+        label: 'Weight − fat; FFM − bone',
+        inputs: ['weightKg', 'fatMassKg', 'ffmKg', 'boneMassKg'],
+        compute({ weightKg, fatMassKg, ffmKg, boneMassKg }) {
+          return {
+            fatFreeWeightKg: BIA.getFatFreeWeight(weightKg, fatMassKg),
+            leanBodyMassKg: BIA.getLeanBodyMass(ffmKg, boneMassKg)
+          };
+        }
+      }
+    }
+  },
+  visceral: {
+    label: 'Visceral fat',
+    outputs: ['visceralFat'],
+    variants: {
+      'wla18-wla10': {
+        label: 'WLA18 stand-in + WLA10 (legacy index, 1–30 scale)',
+        placeholder: true,
+        inputs: ['heightCm', 'weightKg', 'age', 'sex', 'impedanceOhm'],
+        compute(x) {
+          return { visceralFat: computeVisceralFat(x).value };
+        }
+      },
+      'fitdays-bmi': {
+        label: 'BMI/age/impedance index (legacy)',
+        inputs: ['bmi', 'age', 'sex', 'impedanceOhm'],
+        compute({ bmi, age, sex, impedanceOhm }) {
+          const vfi = sex === 1
+            ? (bmi * 0.4) + (age * 0.1) - (impedanceOhm / 1000) * 0.2
+            : (bmi * 0.35) + (age * 0.08) - (impedanceOhm / 1000) * 0.15;
+          return { visceralFat: Math.max(1, Math.min(30, vfi)) };
+        }
+      }
+    }
+  },
+  subcutaneousFat: {
+    label: 'Subcutaneous fat',
+    outputs: ['subcutaneousFatPercent'],
+    variants: {
+      'visceral-share': {
+        label: 'Body fat less 1 % per visceral level',
+        inputs: ['bodyFatPercent', 'visceralFat'],
+        compute({ bodyFatPercent, visceralFat }) {
+          return { subcutaneousFatPercent: BIA.getSubcutaneousFatPercent(bodyFatPercent, visceralFat) };
+        }
+      }
+    }
+  },
+  bmr: {
+    label: 'BMR',
+    outputs: ['bmrKcal'],
+    variants: {
+      wla38: {
+        label: 'WLA38',
+        inputs: ['sex', 'weightKg', 'age', 'heightCm'],
+        compute({ sex, weightKg, age, heightCm }) {
+          return { bmrKcal: BIA.getBMR_WLA38(sex, weightKg, age, heightCm, 0, 0.0) };
+        }
+      },
+      n2: {
+        label: 'N2 stand-in (Cunningham, from FFM)',
+        placeholder: true,
+        inputs: ['sex', 'weightKg', 'age', 'heightCm', 'bodyType', 'ffmKg'],
+        compute({ sex, weightKg, age, heightCm, bodyType, ffmKg }) {
+          return { bmrKcal: BIA.getBMR_Dispatch(BIA.BMR_ALGORITHMS.N2, sex, weightKg, age, heightCm, bodyType, ffmKg) };
+        }
+      },
+      inter: {
+        label: 'Inter stand-in (anthropometric + FFM blend)',
+        placeholder: true,
+        inputs: ['sex', 'weightKg', 'age', 'heightCm', 'bodyType', 'ffmKg'],
+        compute({ sex, weightKg, age, heightCm, bodyType, ffmKg }) {
+          return { bmrKcal: BIA.getBMR_Dispatch(BIA.BMR_ALGORITHMS.INTER, sex, weightKg, age, heightCm, bodyType, ffmKg) };
+        }
+      },
+      'harris-benedict': {
+        label: 'Harris-Benedict (Roza 1984)',
+        inputs: ['sex', 'weightKg', 'age', 'heightCm'],
+        compute({ sex, weightKg, age, heightCm }) {
+          const bmr = sex === 1
+            ? 88.362 + 13.397 * weightKg + 4.799 * heightCm - 5.677 * age
+            : 447.593 + 9.247 * weightKg + 3.098 * heightCm - 4.330 * age;
+          return { bmrKcal: Math.round(bmr) };
+        }
+      },
+      'katch-mcardle': {
+        label: 'Katch-McArdle (from FFM)',
+        inputs: ['ffmKg'],
+        compute({ ffmKg }) {
+          return { bmrKcal: Math.round(370 + 21.6 * ffmKg) };
+        }
+      }
+    }
+  },
+  metabolicAge: {
+    label: 'Metabolic age',
+    outputs: ['metabolicAge'],
+    variants: {
+      'fitdays-bmr-ratio': {
+        label: 'BMR ratio with fat/muscle adjustment',
+        inputs: ['sex', 'weightKg', 'age', 'heightCm', 'bodyFatEstimatePercent', 'musclePercent'],
+        compute({ sex, weightKg, age, heightCm, bodyFatEstimatePercent, musclePercent }) {
+          // Reference BMR of a 70 kg / 170 cm person of the same age and sex
+          const idealBMR = BIA.getBMR_WLA38(sex, 70, age, 170, 0, 0.0);
+          const actualBMR = BIA.getBMR_WLA38(sex, weightKg, age, heightCm, 0, 0.0);
+          const typicalFat = sex === 1 ? 15 : 25; // typical adult body fat % for the sex
+          const bodyFatFactor = (bodyFatEstimatePercent - typicalFat) * 0.1; // Higher body fat = older metabolic age
+          const muscleFactor = (musclePercent - 40) * -0.05; // Higher muscle = younger metabolic age
+          const metaAge = age + (actualBMR / idealBMR - 1) * 5 + bodyFatFactor + muscleFactor;
+          return { metabolicAge: Math.max(18, Math.min(80, metaAge)) };
+        }
+      },
+      wla20: {
+        label: 'WLA20 physical age',
+        placeholder: true,
+        inputs: ['age', 'weightKg', 'sex'],
+        compute({ age, weightKg, sex }) {
+          return { metabolicAge: BIA.getPhysicalAge_WLA20(age, weightKg, sex) };
+        }
+      }
+    }
+  },
+  bodyShape: {
+    label: 'Body type',
+    outputs: ['bodyShape'],
+    variants: {
+      'ffmi-fmi-grid': {
+        label: '9-cell fat/muscle index grid',
+        inputs: ['sex', 'heightCm', 'ffmKg', 'fatMassKg'],
+        compute({ sex, heightCm, ffmKg, fatMassKg }) {
+          return { bodyShape: BIA.getBodyShape(sex, heightCm, ffmKg, fatMassKg) };
+        }
+      }
+    }
+  },
+  bodyScore: {
+    label: 'Body score',
+    outputs: ['bodyScore'],
+    variants: {
+      composite: {
+        label: 'Fat, BMI, visceral and muscle penalties',
+        inputs: ['sex', 'heightCm', 'bmi', 'bodyFatPercent', 'visceralFat', 'ffmKg'],
+        compute({ sex, heightCm, bmi, bodyFatPercent, visceralFat, ffmKg }) {
+          return { bodyScore: BIA.getBodyScore(sex, heightCm, bmi, bodyFatPercent, visceralFat, ffmKg) };
+        }
+      }
+    }
+  }
+};
+
+const METRIC_ORDER = [
+  'bodyFat', 'ffm', 'bone', 'muscle', 'tbw', 'protein', 'skeletalMuscle', 'leanMass', 'visceral', 'subcutaneousFat',
+  'bmr', 'metabolicAge', 'bodyShape', 'bodyScore'
+];
+
+// Named selections; 'fitdays' is the reconstructed vendor pipeline the dashboard defaults to
+const ALGORITHM_PROFILES = {
+  fitdays: {
+    label: 'FitDays (reconstructed WLA)',
+    variants: {
+      bodyFat: 'sun-2003', ffm: 'wla20', bone: 'fitdays-ffm', muscle: 'wla09', tbw: 'fitdays-ffm',
+      protein: 'ffm-residual', skeletalMuscle: 'janssen-2000', leanMass: 'ffm-minus-bone', visceral: 'wla18-wla10',
+      subcutaneousFat: 'visceral-share', bmr: 'wla38', metabolicAge: 'fitdays-bmr-ratio', bodyShape: 'ffmi-fmi-grid',
+      bodyScore: 'composite'
+    }
+  },
+  textbook: {
+    label: 'Textbook equations',
+    variants: {
+      bodyFat: 'deurenberg-bmi', ffm: 'sun-2003', bone: 'ffm-mineral', muscle: 'lean-minus-bone', tbw: 'watson-1980',
+      protein: 'ffm-residual', skeletalMuscle: 'janssen-2000', leanMass: 'ffm-minus-bone', visceral: 'wla18-wla10',
+      subcutaneousFat: 'visceral-share', bmr: 'katch-mcardle', metabolicAge: 'fitdays-bmr-ratio', bodyShape: 'ffmi-fmi-grid',
+      bodyScore: 'composite'
+    }
+  }
+};
+const DEFAULT_ALGORITHM_PROFILE = 'fitdays';
+
+// [{ id, label, inputs, placeholder }] for a metric, in declaration order
+function listVariants(metric) {
+  const def = ALGORITHMS[metric];
+  if (!def) throw new Error(`Unknown metric: ${metric}`);
+  return Object.entries(def.variants).map(([id, v]) => ({ id, label: v.label, inputs: v.inputs.slice(), placeholder: !!v.placeholder }));
+}
+
+// Helper: metric whose variants produce `output` ('ffmKg' → 'ffm'), or undefined for inputs
+function producerOf(output) {
+  return Object.keys(ALGORITHMS).find(metric => ALGORITHMS[metric].outputs.includes(output));
+}
+
+// { metric: variantId } → { output: { metric, variant, label, placeholder, derivedFrom } }, e.g.
+// what produced muscleMassKg. derivedFrom lists the variants its inputs were computed with
+// (bodyFatPercent from wla20 → ['sun-2003'], the body fat estimate wla20 rounds); output that
+// is or derives from a placeholder counts as placeholder. reference_ranges.js rates each value
+// only against bands for one of these variants.
+function outputSources(variants) {
+  const sources = {};
+  const upstream = (metric, seen) => {
+    const v = ALGORITHMS[metric].variants[variants[metric]];
+    const found = [];
+    for (const input of v.inputs) {
+      const from = producerOf(input);
+      if (!from || seen.has(from) || !ALGORITHMS[from].variants[variants[from]]) continue;
+      seen.add(from);
+      found.push(from, ...upstream(from, seen));
+    }
+    return found;
+  };
+  for (const [metric, id] of Object.entries(variants || {})) {
+    const def = ALGORITHMS[metric];
+    if (!def || !def.variants[id]) continue;
+    const chain = upstream(metric, new Set([metric]));
+    const source = {
+      metric,
+      variant: id,
+      label: def.variants[id].label,
+      placeholder: [metric, ...chain].some(m => ALGORITHMS[m].variants[variants[m]].placeholder),
+      derivedFrom: chain.map(m => variants[m])
+    };
+    for (const output of def.outputs) sources[output] = source;
+  }
+  return sources;
+}
+
+// selection: { profile, overrides: { metric: variantId } } → { metric: variantId } for every metric
+function resolveVariants(selection = {}) {
+  const base = ALGORITHM_PROFILES[selection.profile] || ALGORITHM_PROFILES[DEFAULT_ALGORITHM_PROFILE];
+  const variants = { ...base.variants };
+  for (const [metric, id] of Object.entries(selection.overrides || {})) {
+    if (ALGORITHMS[metric] && ALGORITHMS[metric].variants[id]) variants[metric] = id;
+  }
+  return variants;
+}
+
+// Helper: drop overrides that match the profile anyway (so "custom" only shows real differences)
+function normalizeSelection({ profile, overrides = {} } = {}) {
+  const id = ALGORITHM_PROFILES[profile] ? profile : DEFAULT_ALGORITHM_PROFILE;
+  const base = ALGORITHM_PROFILES[id].variants;
+  const kept = {};
+  for (const [metric, variant] of Object.entries(overrides)) {
+    if (ALGORITHMS[metric] && ALGORITHMS[metric].variants[variant] && base[metric] !== variant) kept[metric] = variant;
+  }
+  return { profile: id, overrides: kept };
+}
+
+function loadAlgorithmSelection(storage = globalThis.localStorage) {
+  try {
+    return normalizeSelection(JSON.parse(storage.getItem(ALGORITHM_SELECTION_KEY) || '{}'));
+  } catch (err) {
+    console.warn('⚠️ Unreadable algorithm selection, using defaults:', err);
+    return normalizeSelection();
+  }
+}
+
+function saveAlgorithmSelection(storage = globalThis.localStorage, selection) {
+  const normalized = normalizeSelection(selection);
+  storage.setItem(ALGORITHM_SELECTION_KEY, JSON.stringify(normalized));
+  return normalized;
+}
+
+// Profile id as stored with a measurement: the profile name, or 'custom' when overridden
+function selectionLabel(selection) {
+  const { profile, overrides } = normalizeSelection(selection);
+  return Object.keys(overrides).length ? 'custom' : profile;
+}
+
+// Run every metric with the selected variants.
+// input: { weightKg, impedanceOhm, impedances, heightCm, age, sex, bodyType }
+// Returns { metrics: { bmi, <outputs of every metric> }, variants: { metric: variantId }, profile }
+function computeMetrics(input, selection = {}) {
+  const variants = resolveVariants(selection);
+  const heightM = input.heightCm / 100;
+  const x = { ...input, bmi: input.weightKg / (heightM * heightM) };
+  const metrics = { bmi: x.bmi };
+
+  for (const metric of METRIC_ORDER) {
+    const variant = ALGORITHMS[metric].variants[variants[metric]];
+    const missing = variant.inputs.filter(k => !Number.isFinite(x[k]));
+    if (missing.length) throw new Error(`${metric}/${variants[metric]} is missing input: ${missing.join(', ')}`);
+    const out = variant.compute(x);
+    for (const key of ALGORITHMS[metric].outputs) {
+      x[key] = out[key];
+      metrics[key] = out[key];
+    }
+  }
+  return { metrics, variants, profile: selectionLabel(selection) };
+}
+
+// Export for ES modules (browser)
+export {
+  ALGORITHM_SELECTION_KEY,
+  ALGORITHMS,
+  METRIC_ORDER,
+  ALGORITHM_PROFILES,
+  DEFAULT_ALGORITHM_PROFILE,
+  listVariants,
+  outputSources,
+  resolveVariants,
+  normalizeSelection,
+  loadAlgorithmSelection,
+  saveAlgorithmSelection,
+  selectionLabel,
+  computeMetrics
+};
+
+// Backward compatibility for CommonJS (ignored by browser ESM loader)
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    ALGORITHM_SELECTION_KEY,
+    ALGORITHMS,
+    METRIC_ORDER,
+    ALGORITHM_PROFILES,
+    DEFAULT_ALGORITHM_PROFILE,
+    listVariants,
+    outputSources,
+    resolveVariants,
+    normalizeSelection,
+    loadAlgorithmSelection,
+    saveAlgorithmSelection,
+    selectionLabel,
+    computeMetrics
+  };
+}
@@ -1,5 +1,9 @@
 "use strict";
 
+// Version tag stored with every saved measurement; bump it whenever a formula behind a
+// dashboard metric changes so old records can be told apart from recomputed ones
+const ALGORITHM_VERSION = '2026.10-wla';
+
 // Helper: strict half-up rounding to one decimal (fraction must be > 0.5 to carry)
 function round1StrictHalfUp(x) {
   const scaled = x * 10.0;
@@ -105,18 +109,23 @@ function getVisceral_WLA10(rawValue) {
   return clamp(rounded, 1.0, 30.0);
 }
 
-// Visceral Fat (WLA18) — approximation of structural pattern; coefficients require validation
-// Inputs: height (m), param2, age, sex, k5, p6, p7, p8, p9, p10 (as observed via many doubles)
-function getVisceral_WLA18(height, param2, age, sex, k5, p6, p7, p8, p9, p10) {
-  // REQUIRES DYNAMIC VALIDATION: exact constants from data tables and contributions
+// Visceral Fat (WLA18) — PLACEHOLDER: pre-offset visceral value, the rawValue fed to getVisceral_WLA10
+// Only d1 = (h² · k5) / (weight · 0.5) was seen in the decompiled routine. The age, BMI and
+// impedance terms and the intercept are our assumption, there so visceral_fat.js can carry the
+// legacy index until the app's coefficient tables are read out. Sex only enters through the
+// coefficient row the caller picks. Floor at 1.0, one-decimal strict half-up.
+// Inputs: height (m), param2 = weight (kg), age, k5, p6 = impedance (Ω), p7 = age coefficient,
+//         p8 = BMI coefficient, p9 = impedance coefficient (per 100 Ω), p10 = intercept
+function getVisceral_WLA18(height, param2, age, k5, p6, p7, p8, p9, p10) {
   const h2 = height * height;
-  // Example contribution structure per observed: d1 += (h2 * k5) / (param2 * 0.5)
   const denom = param2 * 0.5;
   let base = 0.0;
   base += (h2 * k5) / denom;
-  // Additional contributions from other parameters would be added similarly
+  base += p7 * age;
+  base += p8 * (param2 / h2);
+  base += p9 * (p6 / 100.0);
+  base += p10;
   const normalized = base < 1.0 ? 1.0 : base;
-  // Depending on UI, one-decimal rounding may be applied:
   return round1StrictHalfUp(normalized);
 }
 
@@ -144,29 +153,139 @@ function getBMR_WLA38(sex, weight, age, height, bodyType, extra) {
   return Math.round(clamp(bmr, 800, 3000));
 }
 
-// BMR (WLA35) — placeholder
-function getBMR_WLA35(sex, weight, age, height, bodyType, extra) {
-  // REQUIRES DYNAMIC VALIDATION
-  const x = Number(weight) * 10.0 - Number(age);
-  return Math.trunc(x);
+// Helper: FFM for the placeholder BMR variants, one-decimal strict half-up (the vendor's rounding is unconfirmed)
+function bmrFfm(ffmKg) {
+  const ffm = Number(ffmKg);
+  if (!(ffm > 0)) throw new Error("BMR variant needs fat-free mass (kg)");
+  return round1StrictHalfUp(ffm);
+}
+
+// BMR (WLA35) — PLACEHOLDER: the published Katch–McArdle equation (370 + 21.6 · FFM) stands in
+// for the vendor routine; integer strict half-up, clamped like WLA38. Sex, weight, age, height and
+// bodyType only keep the vendor signature and are ignored until app output shows how they enter.
+// Inputs: sex (int), weight (float), age (int), height (int), bodyType (int), ffmKg (float)
+function getBMR_WLA35(sex, weight, age, height, bodyType, ffmKg) {
+  const ffm = bmrFfm(ffmKg);
+  const raw = 370.0 + 21.6 * ffm;
+  return clamp(roundIntWithThreshold(raw, 0.5), 800, 3000);
 }
 
-// BMR (N2) — placeholder
-function getBMR_N2(weight, age, sex, height, bodyType, extra) {
-  // REQUIRES DYNAMIC VALIDATION
-  return Math.trunc(Number(weight) * 10.0 - Number(age));
+// BMR (N2) — PLACEHOLDER: the published Cunningham equation (500 + 22 · FFM) stands in for the
+// vendor routine; note the weight-first argument order. Only ffmKg is used.
+// Inputs: weight (float), age (int), sex (int), height (int), bodyType (int), ffmKg (float)
+function getBMR_N2(weight, age, sex, height, bodyType, ffmKg) {
+  const ffm = bmrFfm(ffmKg);
+  const raw = 500.0 + 22.0 * ffm;
+  return clamp(roundIntWithThreshold(raw, 0.5), 800, 3000);
 }
 
-// BMR (Inter) — placeholder
-function getBMR_Inter(/* numerous mixed args */) {
-  // REQUIRES DYNAMIC VALIDATION — complex sequence of fdiv/fadd/fsub and rounding
-  return 0;
+// BMR (Inter) — PLACEHOLDER: an even blend of Mifflin–St Jeor and Katch–McArdle, each kept to one
+// decimal before the final integer rounding, athletes get the WLA38 bump. The blend is our
+// assumption, not the vendor routine.
+// Inputs: sex (int), weight (float), age (int), height (int), bodyType (int), ffmKg (float)
+function getBMR_Inter(sex, weight, age, height, bodyType, ffmKg) {
+  const ffm = bmrFfm(ffmKg);
+  const anthropometric = round1StrictHalfUp(
+    (10 * Number(weight)) + (6.25 * Number(height)) - (5 * Number(age)) + (sex === 1 ? 5 : -161)
+  );
+  const lean = round1StrictHalfUp(370.0 + 21.6 * ffm);
+  let raw = (anthropometric + lean) / 2.0;
+  if (bodyType === 1) raw *= 1.1;
+  return clamp(roundIntWithThreshold(raw, 0.5), 800, 3000);
+}
+
+// BMR algorithm types for getBMR_Dispatch; WLA35, N2 and Inter are placeholders (see above)
+const BMR_ALGORITHMS = { WLA38: 38, WLA35: 35, N2: 2, INTER: 1 };
+
+// Dispatcher: every variant takes (sex, weight, age, height, bodyType, ffmKg) here; N2's own
+// argument order is handled internally
+function getBMR_Dispatch(algorithmType, sex, weight, age, height, bodyType, ffmKg) {
+  switch (algorithmType) {
+    case BMR_ALGORITHMS.WLA38: return getBMR_WLA38(sex, weight, age, height, bodyType, ffmKg);
+    case BMR_ALGORITHMS.WLA35: return getBMR_WLA35(sex, weight, age, height, bodyType, ffmKg);
+    case BMR_ALGORITHMS.N2: return getBMR_N2(weight, age, sex, height, bodyType, ffmKg);
+    case BMR_ALGORITHMS.INTER: return getBMR_Inter(sex, weight, age, height, bodyType, ffmKg);
+    default: throw new Error("Unsupported BMR algorithm variant");
+  }
 }
 
 // Physical Age (multiple variants) — placeholders
 function getPhysicalAge_WLA20(age, weight, sex) { return Math.max(1, Math.trunc(age)); }
 function getPhysicalAge2_WLA40(int1, int2) { return Math.max(1, Math.trunc(int1)); }
 
+// Protein — fat-free mass minus body water and bone mineral, percent of weight (floor 0)
+// Inputs: weight (kg), ffmKg, tbwPercent, boneMassKg
+function getProteinPercent(weight, ffmKg, tbwPercent, boneMassKg) {
+  const proteinKg = Math.max(0, ffmKg - (tbwPercent / 100.0) * weight - boneMassKg);
+  return (proteinKg / weight) * 100.0;
+}
+
+// Skeletal muscle mass (Janssen 2000 BIA regression), kg, floor 0
+// Inputs: height (cm), impedance (Ω), sex (1 = male), age
+function getSkeletalMuscleMass(height, impedance, sex, age) {
+  return Math.max(0, (height * height / impedance) * 0.401 + sex * 3.825 - age * 0.071 + 5.102);
+}
+
+// Fat-free body weight — weight minus fat mass, floor 0
+function getFatFreeWeight(weight, fatMassKg) {
+  return Math.max(0, weight - fatMassKg);
+}
+
+// Lean body mass (soft lean) — fat-free mass minus bone mineral, floor 0
+function getLeanBodyMass(ffmKg, boneMassKg) {
+  return Math.max(0, ffmKg - boneMassKg);
+}
+
+// Subcutaneous fat — body fat percent less the visceral share; each visceral level is taken as
+// 1 % of body fat, capped at 30 %. Approximation, not a vendor formula
+function getSubcutaneousFatPercent(bodyFatPercent, visceralFat) {
+  return bodyFatPercent * (1 - clamp(visceralFat * 0.01, 0, 0.3));
+}
+
+// Fat-free / fat mass index limits (kg/m²) for the body shape grid: [low below, high from].
+// Roughly the 10th and 90th adult percentiles (Schutz 2002); provisional
+const BODY_SHAPE_LIMITS = {
+  male: { ffmi: [17.0, 20.0], fmi: [3.0, 6.0] },
+  female: { ffmi: [14.5, 17.0], fmi: [5.0, 9.0] }
+};
+
+// Grid cells 1–9: rows fat high → low, columns muscle low → high
+const BODY_SHAPES = [
+  'Hidden obese', 'Obese', 'Solidly built',
+  'Under exercised', 'Standard', 'Standard muscular',
+  'Thin', 'Thin and muscular', 'Very muscular'
+];
+
+// Helper: 0 / 1 / 2 for below / within / above [low, high)
+function gridLevel(value, [low, high]) { return value < low ? 0 : (value < high ? 1 : 2); }
+
+// Body shape (the 9-cell fat/muscle "body type" grid; bodyType already names the athlete flag)
+// — 1-based index into BODY_SHAPES
+// Inputs: sex (int), height (cm), ffmKg, fatMassKg
+function getBodyShape(sex, height, ffmKg, fatMassKg) {
+  const limits = sex === 1 ? BODY_SHAPE_LIMITS.male : BODY_SHAPE_LIMITS.female;
+  const h2 = (height / 100) * (height / 100);
+  const fatRow = 2 - gridLevel(fatMassKg / h2, limits.fmi);
+  const muscleCol = gridLevel(ffmKg / h2, limits.ffmi);
+  return fatRow * 3 + muscleCol + 1;
+}
+
+// Body score 0–100 — our own composite, not the vendor's: 100 less penalties for body fat more
+// than 5 points from 15 % (men) / 25 % (women), BMI more than 3 from 22, visceral fat above 9
+// and fat-free mass index below the body shape grid's low limit
+// Inputs: sex (int), height (cm), bmi, bodyFatPercent, visceralFat, ffmKg
+function getBodyScore(sex, height, bmi, bodyFatPercent, visceralFat, ffmKg) {
+  const limits = sex === 1 ? BODY_SHAPE_LIMITS.male : BODY_SHAPE_LIMITS.female;
+  const idealFat = sex === 1 ? 15 : 25;
+  const ffmi = ffmKg / ((height / 100) * (height / 100));
+  const score = 100
+    - 1.5 * Math.max(0, Math.abs(bodyFatPercent - idealFat) - 5)
+    - 2.0 * Math.max(0, Math.abs(bmi - 22) - 3)
+    - 2.0 * Math.max(0, visceralFat - 9)
+    - 3.0 * Math.max(0, limits.ffmi[0] - ffmi);
+  return clamp(roundIntWithThreshold(score, 0.5), 0, 100);
+}
+
 // Dispatcher example (algorithm type chooses variant)
 function getFFM_Dispatch(algorithmType, ...args) {
   switch (algorithmType) {
@@ -178,6 +297,7 @@ function getFFM_Dispatch(algorithmType, ...args) {
 
 // Export for ES modules (browser)
 export {
+  ALGORITHM_VERSION,
   round1StrictHalfUp,
   roundIntWithThreshold,
   clamp,
@@ -191,14 +311,26 @@ export {
   getBMR_WLA35,
   getBMR_N2,
   getBMR_Inter,
+  BMR_ALGORITHMS,
+  getBMR_Dispatch,
   getPhysicalAge_WLA20,
   getPhysicalAge2_WLA40,
+  getProteinPercent,
+  getSkeletalMuscleMass,
+  getFatFreeWeight,
+  getLeanBodyMass,
+  getSubcutaneousFatPercent,
+  BODY_SHAPE_LIMITS,
+  BODY_SHAPES,
+  getBodyShape,
+  getBodyScore,
   getFFM_Dispatch
 };
 
 // Backward compatibility for CommonJS (ignored by browser ESM loader)
 if (typeof module !== "undefined" && module.exports) {
   module.exports = {
+    ALGORITHM_VERSION,
     round1StrictHalfUp,
     roundIntWithThreshold,
     clamp,
@@ -212,8 +344,19 @@ if (typeof module !== "undefined" && module.exports) {
     getBMR_WLA35,
     getBMR_N2,
     getBMR_Inter,
+    BMR_ALGORITHMS,
+    getBMR_Dispatch,
     getPhysicalAge_WLA20,
     getPhysicalAge2_WLA40,
+    getProteinPercent,
+    getSkeletalMuscleMass,
+    getFatFreeWeight,
+    getLeanBodyMass,
+    getSubcutaneousFatPercent,
+    BODY_SHAPE_LIMITS,
+    BODY_SHAPES,
+    getBodyShape,
+    getBodyScore,
     getFFM_Dispatch
   };
 }
\ No newline at end of file
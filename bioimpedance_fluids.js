@@ -0,0 +1,128 @@
+"use strict";
+
+// Body water compartments and phase angle from multi-frequency impedance
+//
+// impedances: [{ frequencyKHz, resistanceOhm, reactanceOhm (null = not reported) }] as the
+// measurement session collects them. Low-frequency current stays mostly outside the cells, so
+// the lowest reading stands in for the extracellular resistance; high-frequency current also
+// crosses the cell membranes and sees all body water. Phase angle needs a reactance, ECW/ICW
+// need one reading at or below LOW_FREQUENCY_MAX_KHZ and one at or above HIGH_FREQUENCY_MIN_KHZ.
+// Single-frequency scales get null for all of them.
+
+const LOW_FREQUENCY_MAX_KHZ = 20;
+const HIGH_FREQUENCY_MIN_KHZ = 100;
+const PHASE_ANGLE_FREQUENCY_KHZ = 50;
+
+// De Lorenzo 1997 ECW constants: body shape factor, body density (kg/L), ECW resistivity (Ω·cm)
+const ECW_BODY_FACTOR = 4.3;
+const BODY_DENSITY = 1.05;
+const ECW_RESISTIVITY = { male: 40.5, female: 39.0 };
+
+// Helper: the reading closest to targetKHz among those that pass filter, null when none do
+function nearestReading(impedances, targetKHz, filter = () => true) {
+  const candidates = (impedances || []).filter(r => r.resistanceOhm > 0 && filter(r));
+  if (candidates.length === 0) return null;
+  return candidates.reduce((best, r) =>
+    Math.abs(r.frequencyKHz - targetKHz) < Math.abs(best.frequencyKHz - targetKHz) ? r : best);
+}
+
+// Highest-frequency reading at or above HIGH_FREQUENCY_MIN_KHZ, null without one
+function highFrequencyReading(impedances) {
+  const high = (impedances || []).filter(r => r.resistanceOhm > 0 && r.frequencyKHz >= HIGH_FREQUENCY_MIN_KHZ);
+  return high.length ? high.reduce((a, b) => (b.frequencyKHz > a.frequencyKHz ? b : a)) : null;
+}
+
+// Lowest-frequency reading at or below LOW_FREQUENCY_MAX_KHZ, null without one
+function lowFrequencyReading(impedances) {
+  const low = (impedances || []).filter(r => r.resistanceOhm > 0 && r.frequencyKHz <= LOW_FREQUENCY_MAX_KHZ);
+  return low.length ? low.reduce((a, b) => (b.frequencyKHz < a.frequencyKHz ? b : a)) : null;
+}
+
+// Phase angle in degrees, atan(|X| / R), at the reactance reading closest to 50 kHz
+function phaseAngle(impedances) {
+  const r = nearestReading(impedances, PHASE_ANGLE_FREQUENCY_KHZ, x => x.reactanceOhm != null);
+  if (!r) return null;
+  return { frequencyKHz: r.frequencyKHz, degrees: Math.atan(Math.abs(r.reactanceOhm) / r.resistanceOhm) * 180 / Math.PI };
+}
+
+// Sun 2003 total body water (L) from an H²/R index; sex 1 = male, 0 = female
+function totalBodyWaterSun({ heightCm, weightKg, sex, resistanceOhm }) {
+  const index = (heightCm * heightCm) / resistanceOhm;
+  return sex === 1
+    ? 1.203 + 0.449 * index + 0.176 * weightKg
+    : 3.747 + 0.450 * index + 0.113 * weightKg;
+}
+
+// De Lorenzo 1997 extracellular water (L) from the extracellular resistance
+function extracellularWater({ heightCm, weightKg, sex, resistanceOhm }) {
+  const rho = sex === 1 ? ECW_RESISTIVITY.male : ECW_RESISTIVITY.female;
+  const k = 0.01 * Math.cbrt((ECW_BODY_FACTOR * ECW_BODY_FACTOR * rho * rho) / BODY_DENSITY);
+  return k * Math.pow((heightCm * heightCm * Math.sqrt(weightKg)) / resistanceOhm, 2 / 3);
+}
+
+// Returns { phaseAngleDeg, phaseAngleKHz, ecwL, icwL, ecwRatio } (null where the data is missing).
+// tbwPercent is the total body water the dashboard shows: ECW/ICW split it by the measured
+// ECW/TBW ratio, so the two always add up to the TBW card.
+function computeFluids({ heightCm, weightKg, sex, tbwPercent, impedances }) {
+  const angle = phaseAngle(impedances);
+  const out = {
+    phaseAngleDeg: angle ? angle.degrees : null,
+    phaseAngleKHz: angle ? angle.frequencyKHz : null,
+    ecwL: null,
+    icwL: null,
+    ecwRatio: null
+  };
+  const low = lowFrequencyReading(impedances);
+  const high = highFrequencyReading(impedances);
+  if (!low || !high || !(weightKg > 0) || !(heightCm > 0)) return out;
+
+  const ecw = extracellularWater({ heightCm, weightKg, sex, resistanceOhm: low.resistanceOhm });
+  const tbw = totalBodyWaterSun({ heightCm, weightKg, sex, resistanceOhm: high.resistanceOhm });
+  const ratio = Math.min(1, ecw / tbw);
+  const tbwL = Number.isFinite(tbwPercent) ? (tbwPercent / 100) * weightKg : tbw;
+  out.ecwRatio = ratio;
+  out.ecwL = tbwL * ratio;
+  out.icwL = tbwL - out.ecwL;
+  return out;
+}
+
+// Metric fields for storage, only the ones that were measured
+function flattenFluids(fluids) {
+  const flat = {};
+  for (const key of ['phaseAngleDeg', 'ecwL', 'icwL', 'ecwRatio']) {
+    if (fluids && fluids[key] != null) flat[key] = fluids[key];
+  }
+  return flat;
+}
+
+// Export for ES modules (browser)
+export {
+  LOW_FREQUENCY_MAX_KHZ,
+  HIGH_FREQUENCY_MIN_KHZ,
+  PHASE_ANGLE_FREQUENCY_KHZ,
+  nearestReading,
+  highFrequencyReading,
+  lowFrequencyReading,
+  phaseAngle,
+  totalBodyWaterSun,
+  extracellularWater,
+  computeFluids,
+  flattenFluids
+};
+
+// Backward compatibility for CommonJS (ignored by browser ESM loader)
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    LOW_FREQUENCY_MAX_KHZ,
+    HIGH_FREQUENCY_MIN_KHZ,
+    PHASE_ANGLE_FREQUENCY_KHZ,
+    nearestReading,
+    highFrequencyReading,
+    lowFrequencyReading,
+    phaseAngle,
+    totalBodyWaterSun,
+    extracellularWater,
+    computeFluids,
+    flattenFluids
+  };
+}
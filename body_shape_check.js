@@ -0,0 +1,66 @@
+"use strict";
+
+// Node check that body shape and body score come out plausible for realistic adults (no browser)
+//
+// Usage:
+//   node body_shape_check.js
+//
+// Each adult is run through every algorithm profile in algorithm_registry.js (the default one
+// included), exactly as a weigh-in on the dashboard is. The body shape must be one of the grid
+// cells listed for that adult and the body score must fall in its range. Both are built on body
+// fat and fat-free mass, so a body fat estimate that clamps (as the impedance index did near
+// 5 %, putting everyone in "Very muscular") fails here. Exit code 1 on any failure.
+
+import { ALGORITHM_PROFILES, DEFAULT_ALGORITHM_PROFILE, computeMetrics } from './algorithm_registry.js';
+import { BODY_SHAPES } from './bia_algorithms.js';
+
+// shapes: acceptable 1-based BODY_SHAPES cells; score: [min, max]
+const ADULTS = [
+  { label: 'man 70 kg / 175 cm / 30 y', weightKg: 70, heightCm: 175, age: 30, sex: 1, impedanceOhm: 500, bodyType: 0, shapes: [5], score: [85, 100] },
+  { label: 'woman 60 kg / 165 cm / 30 y', weightKg: 60, heightCm: 165, age: 30, sex: 0, impedanceOhm: 600, bodyType: 0, shapes: [5], score: [85, 100] },
+  { label: 'man 85 kg / 180 cm / 50 y', weightKg: 85, heightCm: 180, age: 50, sex: 1, impedanceOhm: 450, bodyType: 0, shapes: [5, 6], score: [70, 95] },
+  { label: 'woman 68 kg / 160 cm / 55 y', weightKg: 68, heightCm: 160, age: 55, sex: 0, impedanceOhm: 620, bodyType: 0, shapes: [2, 5], score: [65, 90] },
+  { label: 'man 110 kg / 175 cm / 45 y', weightKg: 110, heightCm: 175, age: 45, sex: 1, impedanceOhm: 420, bodyType: 0, shapes: [2, 3], score: [20, 60] },
+  { label: 'woman 95 kg / 162 cm / 40 y', weightKg: 95, heightCm: 162, age: 40, sex: 0, impedanceOhm: 560, bodyType: 0, shapes: [2, 3], score: [20, 60] },
+  { label: 'athlete man 78 kg / 182 cm / 25 y', weightKg: 78, heightCm: 182, age: 25, sex: 1, impedanceOhm: 420, bodyType: 1, shapes: [6, 9], score: [85, 100] },
+  { label: 'woman 48 kg / 168 cm / 22 y', weightKg: 48, heightCm: 168, age: 22, sex: 0, impedanceOhm: 700, bodyType: 0, shapes: [7, 8], score: [70, 100] },
+  { label: 'man 58 kg / 180 cm / 20 y', weightKg: 58, heightCm: 180, age: 20, sex: 1, impedanceOhm: 600, bodyType: 0, shapes: [7], score: [70, 100] }
+];
+
+// Helper: shape index → 'Standard (5)'
+function shapeLabel(shape) {
+  return `${BODY_SHAPES[shape - 1] || '?'} (${shape})`;
+}
+
+function main() {
+  const rows = [];
+  const failures = [];
+  for (const profile of Object.keys(ALGORITHM_PROFILES)) {
+    for (const adult of ADULTS) {
+      const { metrics } = computeMetrics(adult, { profile });
+      const { bodyShape, bodyScore } = metrics;
+      const [min, max] = adult.score;
+      const fail = (metric, problem) => failures.push({ profile, person: adult.label, metric, problem });
+      if (!adult.shapes.includes(bodyShape)) fail('bodyShape', `${shapeLabel(bodyShape)}, expected ${adult.shapes.map(shapeLabel).join(' or ')}`);
+      if (!(bodyScore >= min && bodyScore <= max)) fail('bodyScore', `${bodyScore}, expected ${min}–${max}`);
+      rows.push({
+        profile: profile === DEFAULT_ALGORITHM_PROFILE ? `${profile} (default)` : profile,
+        person: adult.label,
+        bodyFatPercent: Number(metrics.bodyFatPercent.toFixed(1)),
+        bodyShape: shapeLabel(bodyShape),
+        bodyScore,
+        result: failures.some(f => f.profile === profile && f.person === adult.label) ? 'FAIL' : 'PASS'
+      });
+    }
+  }
+
+  console.table(rows);
+  if (failures.length) {
+    console.log('❌ Failing checks:');
+    console.table(failures);
+  }
+  console.log(failures.length ? `❌ ${failures.length} check(s) failed` : '✅ Body shape and body score are plausible for every adult under every profile');
+  if (failures.length) process.exit(1);
+}
+
+main();
@@ -0,0 +1,251 @@
+"use strict";
+
+// GATT connection lifecycle: remember the scale, reconnect when it wakes, report a clear state
+//
+// Scales drop the connection when they go to sleep after a weigh-in. An unexpected
+// disconnect is therefore 'sleeping', not an error: the manager keeps retrying with
+// exponential backoff and, where the browser supports watchAdvertisements(), connects as soon
+// as the scale advertises again. After maxAttempts failed tries it gives up ('lost') but
+// still reconnects on the next advertisement. Every successful connection runs `subscribe`
+// again, because notifications do not survive a disconnect.
+//
+// States: idle → scanning (chooser open) → connecting → subscribed
+//         subscribed → sleeping (link dropped, retrying) → connecting → subscribed | lost
+
+const CONNECTION_STATES = ['idle', 'scanning', 'connecting', 'subscribed', 'sleeping', 'lost'];
+const LAST_DEVICE_KEY = 'fitdays_last_device';
+
+const RECONNECT_DEFAULTS = {
+  initialDelayMs: 1000,   // first retry after a disconnect
+  factor: 2,              // each failed try doubles the wait…
+  maxDelayMs: 60000,      // …up to this
+  maxAttempts: 10         // then 'lost' until the scale advertises or the user reconnects
+};
+
+// Helper: wait before reconnect attempt n (0-based)
+function backoffDelay(attempt, options = {}) {
+  const cfg = { ...RECONNECT_DEFAULTS, ...options };
+  return Math.min(cfg.maxDelayMs, cfg.initialDelayMs * Math.pow(cfg.factor, attempt));
+}
+
+// subscribe(server, device): discovers services and starts notifications, throws when the
+// device is unusable; its return value is passed on with the 'subscribed' state.
+// getBluetooth() is asked on every use so a swapped-in navigator.bluetooth (simulation) is seen.
+// Returns { connect(requestOptions), restore(), disconnect(), on(type, fn), off(type, fn), state, device }
+// Events: 'state' { state, previous, device, attempt, delayMs, report, error }
+function createConnectionManager({
+  getBluetooth = () => globalThis.navigator && globalThis.navigator.bluetooth,
+  storage = globalThis.localStorage,
+  subscribe,
+  reconnect: reconnectOptions = {},
+  timers = globalThis
+} = {}) {
+  const cfg = { ...RECONNECT_DEFAULTS, ...reconnectOptions };
+  const listeners = new Map();
+  let state = 'idle';
+  let device = null;
+  let attempt = 0;
+  let timer = null;
+  let opening = false;     // a connect is in flight; retries wait for it
+  let closedByUser = true;
+  let advertisementWatch = null;
+
+  function on(type, fn) {
+    if (!listeners.has(type)) listeners.set(type, new Set());
+    listeners.get(type).add(fn);
+    return () => off(type, fn);
+  }
+
+  function off(type, fn) {
+    if (listeners.has(type)) listeners.get(type).delete(fn);
+  }
+
+  function emit(type, detail) {
+    for (const fn of listeners.get(type) || []) {
+      try {
+        fn(detail);
+      } catch (err) {
+        console.error(`❌ Connection '${type}' listener failed:`, err);
+      }
+    }
+  }
+
+  function setState(next, detail = {}) {
+    const previous = state;
+    state = next;
+    emit('state', { state, previous, device, ...detail });
+  }
+
+  function cancelRetry() {
+    if (timer) timers.clearTimeout(timer);
+    timer = null;
+  }
+
+  // Follow one device: disconnect/advertisement events and the id to restore next time
+  function adopt(next) {
+    if (device === next) return;
+    if (device) {
+      device.removeEventListener('gattserverdisconnected', onGattDisconnected);
+      device.removeEventListener('advertisementreceived', onAdvertisement);
+      stopWatching();
+    }
+    device = next;
+    device.addEventListener('gattserverdisconnected', onGattDisconnected);
+    device.addEventListener('advertisementreceived', onAdvertisement);
+    if (storage && device.id) storage.setItem(LAST_DEVICE_KEY, device.id);
+  }
+
+  async function open() {
+    opening = true;
+    setState('connecting', { attempt });
+    try {
+      const server = await device.gatt.connect();
+      const report = await subscribe(server, device);
+      attempt = 0;
+      stopWatching();
+      setState('subscribed', { report });
+      return server;
+    } catch (err) {
+      if (device.gatt.connected) device.gatt.disconnect();
+      throw err;
+    } finally {
+      opening = false;
+    }
+  }
+
+  // User gesture: choose a device in the browser's chooser and connect to it
+  async function connect(requestOptions) {
+    const bluetooth = getBluetooth();
+    if (!bluetooth) throw Object.assign(new Error('Web Bluetooth not supported'), { name: 'NotSupportedError' });
+    cancelRetry();
+    closedByUser = false;
+    attempt = 0;
+    setState('scanning');
+    try {
+      adopt(await bluetooth.requestDevice(requestOptions));
+      return await open();
+    } catch (err) {
+      closedByUser = true;
+      setState('idle', { error: err });
+      throw err;
+    }
+  }
+
+  // Page load: reconnect to the last device without a chooser, where getDevices() grants it.
+  // Returns the device (then waiting in 'sleeping' until it answers) or null.
+  async function restore() {
+    const bluetooth = getBluetooth();
+    if (!bluetooth || typeof bluetooth.getDevices !== 'function' || !storage) return null;
+    const id = storage.getItem(LAST_DEVICE_KEY);
+    if (!id) return null;
+    const known = (await bluetooth.getDevices()).find(d => d.id === id);
+    if (!known) return null;
+    adopt(known);
+    closedByUser = false;
+    attempt = 0;
+    goToSleep();
+    return known;
+  }
+
+  // Only an established link going down means the scale slept; failed attempts retry on their own
+  function onGattDisconnected() {
+    if (state !== 'subscribed') return;
+    if (closedByUser) {
+      setState('idle');
+      return;
+    }
+    attempt = 0;
+    goToSleep();
+  }
+
+  function goToSleep() {
+    cancelRetry();
+    watchForAdvertisements();
+    scheduleRetry();
+  }
+
+  function scheduleRetry() {
+    if (attempt >= cfg.maxAttempts) {
+      setState('lost', { attempt });
+      return;
+    }
+    const delayMs = backoffDelay(attempt, cfg);
+    setState('sleeping', { attempt: attempt + 1, delayMs });
+    timer = timers.setTimeout(retry, delayMs);
+  }
+
+  async function retry() {
+    timer = null;
+    if (closedByUser || opening || !device) return;
+    attempt++;
+    try {
+      await open();
+    } catch (err) {
+      if (closedByUser) return;
+      console.warn(`⚠️ Reconnect attempt ${attempt} failed:`, err.message);
+      scheduleRetry();
+    }
+  }
+
+  // The scale is awake again: try right away and start the backoff over
+  function onAdvertisement() {
+    if (state !== 'sleeping' && state !== 'lost') return;
+    cancelRetry();
+    attempt = 0;
+    retry();
+  }
+
+  function watchForAdvertisements() {
+    if (advertisementWatch || !device || typeof device.watchAdvertisements !== 'function') return;
+    const controller = typeof AbortController === 'function' ? new AbortController() : null;
+    advertisementWatch = controller || {};
+    Promise.resolve(device.watchAdvertisements(controller ? { signal: controller.signal } : undefined)).catch((err) => {
+      advertisementWatch = null;
+      console.warn('⚠️ Cannot watch for advertisements, reconnecting on a timer only:', err.message);
+    });
+  }
+
+  function stopWatching() {
+    if (advertisementWatch && typeof advertisementWatch.abort === 'function') advertisementWatch.abort();
+    advertisementWatch = null;
+  }
+
+  // User gesture: stop retrying and drop the link
+  function disconnect() {
+    closedByUser = true;
+    cancelRetry();
+    stopWatching();
+    if (device && device.gatt.connected) device.gatt.disconnect();
+    if (state !== 'idle') setState('idle');
+  }
+
+  return {
+    connect,
+    restore,
+    disconnect,
+    on,
+    off,
+    get state() { return state; },
+    get device() { return device; }
+  };
+}
+
+// Export for ES modules (browser)
+export {
+  CONNECTION_STATES,
+  LAST_DEVICE_KEY,
+  RECONNECT_DEFAULTS,
+  backoffDelay,
+  createConnectionManager
+};
+
+// Backward compatibility for CommonJS (ignored by browser ESM loader)
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    CONNECTION_STATES,
+    LAST_DEVICE_KEY,
+    RECONNECT_DEFAULTS,
+    backoffDelay,
+    createConnectionManager
+  };
+}
@@ -0,0 +1,67 @@
+"use strict";
+
+// Chrome DevTools log reader — pulls raw notification frames out of a pasted console log
+//
+// Each handler in main.js logs the raw bytes with a fixed prefix before decoding, so the
+// prefix tells us which characteristic the frame arrived on. Echo lines such as
+// "BIA packet:" / "Weight packet:" repeat a frame already logged and are ignored.
+
+const LOG_PREFIXES = [
+  { pattern: 'BIA Raw Data (hex):', uuid: "0000ffb2-0000-1000-8000-00805f9b34fb" },
+  { pattern: 'Packet hex:', uuid: "0000ffb3-0000-1000-8000-00805f9b34fb" },
+  { pattern: 'Weight Raw Data (hex):', uuid: "00002a9d-0000-1000-8000-00805f9b34fb" }
+];
+
+const HEX_RUN = /^((?:[0-9a-fA-F]{2}(?:\s+|$))+)/;
+const LOGGED_TIMESTAMP = /timestamp:\s*'([^']+)'/;
+
+// Returns [{ line, uuid, hex, bytes, loggedAt }] in log order.
+// loggedAt is the timestamp of the "Measurement logged" line that follows the frame, if the
+// handler got that far before the next frame was logged.
+function parseConsoleLog(text) {
+  const lines = String(text).split(/\r?\n/);
+  const frames = [];
+  let pending = null;
+
+  lines.forEach((raw, i) => {
+    const stamp = raw.match(LOGGED_TIMESTAMP);
+    if (stamp && pending) {
+      pending.loggedAt = stamp[1];
+      pending = null;
+    }
+
+    for (const { pattern, uuid } of LOG_PREFIXES) {
+      const at = raw.indexOf(pattern);
+      if (at < 0) continue;
+      const run = raw.slice(at + pattern.length).trim().match(HEX_RUN);
+      if (!run) break;
+      const hex = run[1].trim().toLowerCase().split(/\s+/).join(' ');
+      const frame = {
+        line: i + 1,
+        uuid,
+        hex,
+        bytes: Uint8Array.from(hex.split(' '), h => parseInt(h, 16)),
+        loggedAt: null
+      };
+      frames.push(frame);
+      pending = frame;
+      break;
+    }
+  });
+
+  return frames;
+}
+
+// Export for ES modules (browser)
+export {
+  LOG_PREFIXES,
+  parseConsoleLog
+};
+
+// Backward compatibility for CommonJS (ignored by browser ESM loader)
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    LOG_PREFIXES,
+    parseConsoleLog
+  };
+}
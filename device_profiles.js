@@ -0,0 +1,199 @@
+"use strict";
+
+// Which GATT services and characteristics each supported scale has, and one pipeline that finds
+// and subscribes to them
+//
+// A profile lists its services; `required` services decide whether a connected device is that
+// scale (first match in table order wins), the others are used when present. Each
+// characteristic is either 'notify' (subscribed, frames go to the handler named by `decoder`) or
+// 'write' (kept for the command channel under `channel`). discoverAndSubscribe() returns a
+// report of exactly what was found, subscribed, kept, missing and failed, so supporting another
+// scale is a new table entry rather than another connect function.
+
+// Helper: 16-bit UUID → full Bluetooth base UUID
+function uuid16(short) {
+  return `0000${short}-0000-1000-8000-00805f9b34fb`;
+}
+
+// Helper: full UUID → the 16-bit part shown in logs ('ffb2')
+function shortUuid(uuid) {
+  const key = String(uuid || '').toLowerCase();
+  return key.length > 4 ? key.slice(4, 8) : key;
+}
+
+const WEIGHT_SERVICE = uuid16('181d');   // Weight Scale Service (0x181D)
+const VENDOR_SERVICE = uuid16('ffb0');   // FitDays vendor service (0xFFB0)
+
+const DEVICE_PROFILES = {
+  // Layout from "log (1).txt": everything is on 0xFFB0, there is no 0x181D
+  fg2305ulb: {
+    label: 'FitDays FG2305ULB',
+    filters: [{ name: 'MY_SCALE' }],
+    services: [
+      {
+        uuid: VENDOR_SERVICE,
+        required: true,
+        characteristics: [
+          { uuid: uuid16('ffb2'), role: 'notify', decoder: 'bia' },      // live weight + impedance frames
+          { uuid: uuid16('ffb3'), role: 'notify', decoder: 'vendor' },   // records, device info
+          { uuid: uuid16('ffb1'), role: 'write', channel: 'ffb1' },      // profile / unit commands
+          { uuid: uuid16('ffb4'), role: 'write', channel: 'ffb4' }       // time sync
+        ]
+      },
+      {
+        uuid: WEIGHT_SERVICE,
+        characteristics: [{ uuid: uuid16('2a9d'), role: 'notify', decoder: 'weight' }]
+      }
+    ]
+  },
+  // Any scale with the standard service; FitDays BIA frames are picked up where present
+  gattWeightScale: {
+    label: 'Standard weight scale',
+    filters: [{ services: [WEIGHT_SERVICE] }],
+    services: [
+      {
+        uuid: WEIGHT_SERVICE,
+        required: true,
+        characteristics: [{ uuid: uuid16('2a9d'), role: 'notify', decoder: 'weight' }]
+      },
+      {
+        uuid: VENDOR_SERVICE,
+        characteristics: [{ uuid: uuid16('ffb2'), role: 'notify', decoder: 'bia' }]
+      }
+    ]
+  }
+};
+
+// requestDevice() options covering every profile: its filters (or acceptAllDevices for the
+// fallback chooser) plus all services, since only listed services are accessible afterwards
+function requestOptions({ acceptAllDevices = false } = {}, profiles = DEVICE_PROFILES) {
+  const services = new Set();
+  const filters = [];
+  for (const p of Object.values(profiles)) {
+    p.services.forEach(s => services.add(s.uuid));
+    filters.push(...(p.filters || []));
+  }
+  return acceptAllDevices
+    ? { acceptAllDevices: true, optionalServices: [...services] }
+    : { filters, optionalServices: [...services] };
+}
+
+// First profile whose required services are all among serviceUuids, or null
+function selectProfile(serviceUuids, profiles = DEVICE_PROFILES) {
+  const present = new Set(serviceUuids.map(u => String(u).toLowerCase()));
+  for (const [id, p] of Object.entries(profiles)) {
+    if (p.services.filter(s => s.required).every(s => present.has(s.uuid))) return { id, ...p };
+  }
+  return null;
+}
+
+// handlers: { [decoder]: fn(event) }. Returns
+// { profile, label, services (all discovered), subscribed: [{ uuid, decoder, characteristic, handler }],
+//   writable: [{ uuid, channel, characteristic }], missing: [uuid], failed: [{ uuid, error }] }
+// Throws when no profile matches or no notify characteristic could be subscribed; the error is
+// never a NotFoundError, which callers read as a cancelled chooser.
+async function discoverAndSubscribe(server, handlers, profiles = DEVICE_PROFILES) {
+  console.log("🔍 Discovering services and characteristics...");
+  const svcs = await server.getPrimaryServices();
+  const chars = new Map();   // service uuid → characteristics
+  for (const s of svcs) {
+    try {
+      chars.set(s.uuid, await s.getCharacteristics());
+      console.log(`📡 Service ${s.uuid} → Characteristics:`, chars.get(s.uuid).map(c => c.uuid));
+    } catch (err) {
+      chars.set(s.uuid, []);
+      console.warn(`⚠️ Could not list characteristics for ${s.uuid}:`, err);
+    }
+  }
+
+  const services = svcs.map(s => s.uuid);
+  const profile = selectProfile(services, profiles);
+  if (!profile) {
+    throw new Error(`No supported scale profile matches the services ${services.map(shortUuid).join(', ') || '(none)'}`);
+  }
+  console.log(`✅ Using device profile: ${profile.label}`);
+
+  const report = { profile: profile.id, label: profile.label, services, subscribed: [], writable: [], missing: [], failed: [] };
+  for (const wanted of profile.services) {
+    const found = chars.get(wanted.uuid);
+    for (const spec of wanted.characteristics) {
+      const c = found && found.find(ch => ch.uuid === spec.uuid);
+      if (!c) {
+        report.missing.push(spec.uuid);
+        continue;
+      }
+      if (spec.role === 'write') {
+        report.writable.push({ uuid: spec.uuid, channel: spec.channel, characteristic: c });
+        console.log(`✉️ Found vendor write characteristic ${c.uuid}`);
+        continue;
+      }
+      const handler = handlers[spec.decoder];
+      try {
+        await c.startNotifications();
+        c.addEventListener('characteristicvaluechanged', handler);
+        report.subscribed.push({ uuid: spec.uuid, decoder: spec.decoder, characteristic: c, handler });
+        console.log(`📡 Subscribed to ${spec.decoder} notifications on ${c.uuid}`);
+      } catch (err) {
+        report.failed.push({ uuid: spec.uuid, error: err.message });
+        console.warn(`⚠️ Could not subscribe to ${c.uuid}:`, err);
+      }
+    }
+  }
+  if (report.subscribed.length === 0) {
+    throw new Error(`${profile.label}: no notifications could be started (${describeReport(report)})`);
+  }
+  return report;
+}
+
+// Undo discoverAndSubscribe(); a link that is already down just loses its listeners
+async function unsubscribe(report) {
+  if (!report) return;
+  for (const { characteristic, handler } of report.subscribed) {
+    try {
+      await characteristic.stopNotifications();
+    } catch (err) {
+      console.warn(`⚠️ Could not stop notifications on ${characteristic.uuid}:`, err);
+    }
+    characteristic.removeEventListener('characteristicvaluechanged', handler);
+  }
+}
+
+// One line for the status bar: 'FitDays FG2305ULB · notify ffb2, ffb3 · write ffb1, ffb4 · missing 2a9d'
+function describeReport(report) {
+  const parts = [report.label];
+  if (report.subscribed.length) parts.push(`notify ${report.subscribed.map(s => shortUuid(s.uuid)).join(', ')}`);
+  if (report.writable.length) parts.push(`write ${report.writable.map(w => shortUuid(w.uuid)).join(', ')}`);
+  if (report.missing.length) parts.push(`missing ${report.missing.map(shortUuid).join(', ')}`);
+  if (report.failed.length) parts.push(`failed ${report.failed.map(f => shortUuid(f.uuid)).join(', ')}`);
+  return parts.join(' · ');
+}
+
+// Export for ES modules (browser)
+export {
+  WEIGHT_SERVICE,
+  VENDOR_SERVICE,
+  DEVICE_PROFILES,
+  uuid16,
+  shortUuid,
+  requestOptions,
+  selectProfile,
+  discoverAndSubscribe,
+  unsubscribe,
+  describeReport
+};
+
+// Backward compatibility for CommonJS (ignored by browser ESM loader)
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    WEIGHT_SERVICE,
+    VENDOR_SERVICE,
+    DEVICE_PROFILES,
+    uuid16,
+    shortUuid,
+    requestOptions,
+    selectProfile,
+    discoverAndSubscribe,
+    unsubscribe,
+    describeReport
+  };
+}
@@ -0,0 +1,152 @@
+"use strict";
+
+import { bytesToHex, encodeVendorFrame, parseVendorEnvelope } from './fitdays_protocol.js';
+
+// Outbound commands for the FitDays vendor service (0xFFB0)
+//
+// FFB1 and FFB4 reject notifications and accept writes. Commands reuse the notification
+// envelope from fitdays_protocol.js: [seq][00][len LE ×2][payload][sum & 0x1F].
+// Opcodes follow the 0xAx numbering of the scale's own frames; they are reconstructed and
+// still need confirming against a capture of the official app writing to the scale. Until then
+// main.js only writes them to the virtual scale, or to a real one when the user opts in
+// (COMMANDS_OPT_IN_KEY).
+
+const COMMANDS_OPT_IN_KEY = 'fitdays_send_commands';
+
+const COMMAND_TYPES = {
+  userProfile: 0xA1,  // [A1][slot][sex][age][heightCm][bodyType]
+  unit: 0xA3,         // [A3][0 = kg, 1 = lb, 2 = st:lb]
+  timeSync: 0xA9      // [A9][BE unix seconds ×4]
+};
+
+// Which characteristic (short UUID) each command is written to
+const COMMAND_CHANNELS = {
+  [COMMAND_TYPES.userProfile]: 'ffb1',
+  [COMMAND_TYPES.unit]: 'ffb1',
+  [COMMAND_TYPES.timeSync]: 'ffb4'
+};
+
+const UNIT_CODES = { metric: 0x00, imperial: 0x01, stone: 0x02 };
+
+// Inputs: profile { age, heightCm, sex (1 = male, 0 = female), bodyType (0 = standard, 1 = athlete) }
+function encodeUserProfile({ age, heightCm, sex, bodyType = 0 }, slot = 0) {
+  const clampByte = (x) => Math.max(0, Math.min(255, Math.round(Number(x) || 0)));
+  return Uint8Array.of(
+    COMMAND_TYPES.userProfile,
+    clampByte(slot),
+    sex === 1 ? 1 : 0,
+    clampByte(age),
+    clampByte(heightCm),
+    bodyType === 1 ? 1 : 0
+  );
+}
+
+function encodeUnit(units) {
+  if (!(units in UNIT_CODES)) throw new Error(`Unsupported unit selection: ${units}`);
+  return Uint8Array.of(COMMAND_TYPES.unit, UNIT_CODES[units]);
+}
+
+function encodeTimeSync(date = new Date()) {
+  const secs = Math.floor(date.getTime() / 1000) >>> 0;
+  return Uint8Array.of(COMMAND_TYPES.timeSync, (secs >>> 24) & 0xFF, (secs >>> 16) & 0xFF, (secs >>> 8) & 0xFF, secs & 0xFF);
+}
+
+// Inverse of the encoders above, for the receiving end (e.g. the virtual scale)
+function decodeCommand(buffer) {
+  const env = parseVendorEnvelope(buffer);
+  if (!env) return { kind: 'invalid' };
+  const p = env.payload;
+  switch (env.type) {
+    case COMMAND_TYPES.userProfile:
+      return { kind: 'userProfile', seq: env.seq, checksumOk: env.checksumOk, slot: p[1], sex: p[2], age: p[3], heightCm: p[4], bodyType: p[5] };
+    case COMMAND_TYPES.unit:
+      return { kind: 'unit', seq: env.seq, checksumOk: env.checksumOk, units: Object.keys(UNIT_CODES).find(u => UNIT_CODES[u] === p[1]) || 'metric' };
+    case COMMAND_TYPES.timeSync:
+      return { kind: 'timeSync', seq: env.seq, checksumOk: env.checksumOk, date: new Date((((p[1] << 24) >>> 0) + (p[2] << 16) + (p[3] << 8) + p[4]) * 1000) };
+    default:
+      return { kind: 'unknown', seq: env.seq, checksumOk: env.checksumOk, type: env.type };
+  }
+}
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Command channel over a set of writable characteristics.
+// getCharacteristic(shortUuid) → BluetoothRemoteGATTCharacteristic | null
+// Writes are serialized (GATT allows one operation at a time), acknowledged via
+// write-with-response and retried with a linear backoff before the error is rethrown.
+function createCommandChannel(getCharacteristic, { retries = 2, retryDelayMs = 250 } = {}) {
+  let seq = 0;
+  let queue = Promise.resolve();
+
+  async function writeWithAck(characteristic, frame) {
+    let lastError = null;
+    for (let attempt = 1; attempt <= retries + 1; attempt++) {
+      try {
+        if (typeof characteristic.writeValueWithResponse === 'function') {
+          await characteristic.writeValueWithResponse(frame);
+        } else {
+          await characteristic.writeValue(frame);
+        }
+        return attempt;
+      } catch (err) {
+        lastError = err;
+        console.warn(`⚠️ Write to ${characteristic.uuid} failed (attempt ${attempt}/${retries + 1}):`, err);
+        if (attempt <= retries) await delay(retryDelayMs * attempt);
+      }
+    }
+    throw lastError;
+  }
+
+  function send(payload) {
+    const channel = COMMAND_CHANNELS[payload[0]];
+    const run = async () => {
+      const characteristic = channel ? getCharacteristic(channel) : null;
+      if (!characteristic) throw new Error(`No writable characteristic ${channel || '?'} for command 0x${payload[0].toString(16)}`);
+      const frame = encodeVendorFrame(seq, payload);
+      seq = (seq + 1) & 0xFF;
+      console.log(`✉️ Command → ${channel}:`, bytesToHex(frame));
+      const attempts = await writeWithAck(characteristic, frame);
+      console.log(`✅ Command 0x${payload[0].toString(16)} acknowledged after ${attempts} attempt(s)`);
+      return { channel, frame, attempts };
+    };
+    // Keep the queue alive after a failure so later commands still go out
+    const result = queue.then(run);
+    queue = result.catch(() => { });
+    return result;
+  }
+
+  return {
+    send,
+    syncUserProfile: (profile, slot) => send(encodeUserProfile(profile, slot)),
+    setUnits: (units) => send(encodeUnit(units)),
+    syncClock: (date) => send(encodeTimeSync(date))
+  };
+}
+
+// Export for ES modules (browser)
+export {
+  COMMANDS_OPT_IN_KEY,
+  COMMAND_TYPES,
+  COMMAND_CHANNELS,
+  UNIT_CODES,
+  encodeUserProfile,
+  encodeUnit,
+  encodeTimeSync,
+  decodeCommand,
+  createCommandChannel
+};
+
+// Backward compatibility for CommonJS (ignored by browser ESM loader)
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    COMMANDS_OPT_IN_KEY,
+    COMMAND_TYPES,
+    COMMAND_CHANNELS,
+    UNIT_CODES,
+    encodeUserProfile,
+    encodeUnit,
+    encodeTimeSync,
+    decodeCommand,
+    createCommandChannel
+  };
+}
@@ -0,0 +1,391 @@
+"use strict";
+
+// FitDays vendor protocol (service 0xFFB0) — frame layout reconstructed from "log (1).txt"
+//
+// FFB2 and FFB3 notifications share one envelope:
+//   [0]         uint8      rolling sequence counter (wraps 0xFF → 0x00)
+//   [1]         uint8      reserved (0x00 in every capture)
+//   [2..3]      uint16 LE  payload length N
+//   [4..4+N-1]             payload; payload[0] is the message type
+//   [4+N]       uint8      checksum = (sum of payload bytes) & 0x1F
+//
+// Measurement block (5 bytes, shared by live-weight and record frames):
+//   [0]  device type (0x22 on FG2305ULB)
+//   [1]  attribute byte (kept raw; bit meaning not yet confirmed)
+//   [2..3] uint16 BE weight; bit 15 set on every observed frame, low 15 bits in 0.05 kg steps
+//   [4]  reserved (0x00 in every capture)
+//
+// Segmental impedance (0xA8, FFB3) comes from 8-electrode models and has not been seen in a
+// capture yet; the layout below is provisional and the FG2305ULB never sends it. It is only
+// decoded on request ({ provisional: true }, main.js asks for the virtual scale alone), so a
+// real scale's 0xA8 frame of unknown layout stays 'unknown' instead of becoming segments:
+//   [0] a8  [1] frequency in kHz  [2..11] uint16 BE Ω for SEGMENT_ORDER (0 = not measured)
+//
+// Whole-body multi-frequency impedance (FFB3) from dual-frequency models is equally provisional
+// and opt-in. Its type byte is a placeholder too: 0xAB, picked because no frame or command uses
+// it (0xA9 is the time-sync command in fitdays_commands.js):
+//   [0] ab  [1] reading count n, then n × [uint16 BE kHz][uint16 BE R, 0.1 Ω][int16 BE X, 0.1 Ω (0 = not reported)]
+//
+// Every impedance a frame carries is also listed as impedances: [{ frequencyKHz, resistanceOhm,
+// reactanceOhm }]. The 0xA7 record has no frequency field; single-frequency scales measure at
+// RECORD_FREQUENCY_KHZ, so its one resistance is listed at that frequency with no reactance.
+
+const HEADER_LENGTH = 4;
+const CHECKSUM_MASK = 0x1F;
+const WEIGHT_RESOLUTION_KG = 0.05;
+const WEIGHT_VALUE_MASK = 0x7FFF;
+const SEQUENCE_MODULO = 256;
+const FFB2_FRAME_LENGTH = 12;
+
+const FRAME_TYPES = {
+  liveWeight: 0xA2,   // FFB2: status byte + measurement block
+  record: 0xA7,       // FFB3: BE unix timestamp + measurement block + impedance
+  deviceInfo: 0xAA,   // FFB3: device/status report sent after connecting
+  segmental: 0xA8,    // FFB3: per-segment impedance at one frequency (8-electrode models)
+  multiFrequency: 0xAB // FFB3: whole-body resistance/reactance at several frequencies (placeholder type)
+};
+
+// Segment order in 0xA8 frames
+const SEGMENT_ORDER = ['rightArm', 'leftArm', 'trunk', 'rightLeg', 'leftLeg'];
+const SEGMENTAL_PAYLOAD_LENGTH = 2 + SEGMENT_ORDER.length * 2;
+
+const RECORD_FREQUENCY_KHZ = 50;
+const MULTI_FREQUENCY_ENTRY_LENGTH = 6;
+const IMPEDANCE_RESOLUTION_OHM = 0.1;
+
+// Helper: accept Uint8Array, ArrayBuffer or DataView and return a Uint8Array view
+function toBytes(buffer) {
+  if (buffer instanceof Uint8Array) return buffer;
+  if (ArrayBuffer.isView(buffer)) return new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+  return new Uint8Array(buffer);
+}
+
+function bytesToHex(buffer) {
+  return Array.from(toBytes(buffer)).map(b => b.toString(16).padStart(2, '0')).join(' ');
+}
+
+// Accepts "62 00 1e", "62001e" or "62:00:1e"
+function hexToBytes(hex) {
+  const clean = String(hex).replace(/[^0-9a-fA-F]/g, '');
+  const out = new Uint8Array(clean.length >> 1);
+  for (let i = 0; i < out.length; i++) out[i] = parseInt(clean.substr(i * 2, 2), 16);
+  return out;
+}
+
+function vendorChecksum(payload) {
+  let sum = 0;
+  for (let i = 0; i < payload.length; i++) sum += payload[i];
+  return sum & CHECKSUM_MASK;
+}
+
+// Split a notification into its envelope fields; returns null when the length field does not fit
+function parseVendorEnvelope(buffer) {
+  const bytes = toBytes(buffer);
+  if (bytes.length < HEADER_LENGTH + 2) return null;
+
+  const seq = bytes[0];
+  const length = bytes[2] | (bytes[3] << 8);
+  if (length < 1 || HEADER_LENGTH + length + 1 !== bytes.length) return null;
+
+  const payload = bytes.subarray(HEADER_LENGTH, HEADER_LENGTH + length);
+  const checksum = bytes[HEADER_LENGTH + length];
+  return {
+    seq,
+    length,
+    type: payload[0],
+    payload,
+    checksum,
+    checksumOk: vendorChecksum(payload) === checksum
+  };
+}
+
+// Inverse of parseVendorEnvelope: wrap a payload as [seq][00][len LE ×2][payload][checksum]
+function encodeVendorFrame(seq, payload) {
+  const frame = new Uint8Array(HEADER_LENGTH + payload.length + 1);
+  frame[0] = seq & 0xFF;
+  frame[1] = 0x00;
+  frame[2] = payload.length & 0xFF;
+  frame[3] = (payload.length >> 8) & 0xFF;
+  frame.set(payload, HEADER_LENGTH);
+  frame[HEADER_LENGTH + payload.length] = vendorChecksum(payload);
+  return frame;
+}
+
+function decodeMeasurementBlock(payload, offset) {
+  if (payload.length < offset + 5) return null;
+  const weightRaw = (payload[offset + 2] << 8) | payload[offset + 3];
+  return {
+    deviceType: payload[offset],
+    attributes: payload[offset + 1],
+    weightRaw,
+    weightKg: Number(((weightRaw & WEIGHT_VALUE_MASK) * WEIGHT_RESOLUTION_KG).toFixed(2))
+  };
+}
+
+// Inverse of decodeMeasurementBlock (bit 15 set, as on every frame the scale sends)
+function encodeMeasurementBlock(weightKg, { deviceType = 0x22, attributes = 0x61 } = {}) {
+  const raw = 0x8000 | (Math.round(weightKg / WEIGHT_RESOLUTION_KG) & WEIGHT_VALUE_MASK);
+  return Uint8Array.of(deviceType, attributes, raw >> 8, raw & 0xFF, 0x00);
+}
+
+function readUInt32BE(payload, offset) {
+  return ((payload[offset] << 24) >>> 0) + (payload[offset + 1] << 16) + (payload[offset + 2] << 8) + payload[offset + 3];
+}
+
+// [1] status byte (bit 0 = still measuring), [2..6] measurement block.
+// Live frames never carry impedance, so impedanceOhm is always null here.
+function decodeLiveWeight(base, p) {
+  const block = decodeMeasurementBlock(p, 2);
+  if (!block) return { ...base, kind: 'unknown', reason: 'live weight frame too short' };
+  return {
+    ...base,
+    kind: 'liveWeight',
+    status: p[1],
+    ...block,
+    impedanceOhm: null,
+    stable: (p[1] & 0x01) === 0
+  };
+}
+
+// [1] count, then count × [kHz][R][X]; readings with R = 0 are dropped
+function decodeMultiFrequency(base, p) {
+  const count = p[1];
+  if (p.length < 2 + count * MULTI_FREQUENCY_ENTRY_LENGTH) return { ...base, kind: 'unknown', reason: 'multi-frequency frame too short' };
+  const impedances = [];
+  for (let i = 0; i < count; i++) {
+    const o = 2 + i * MULTI_FREQUENCY_ENTRY_LENGTH;
+    const resistanceRaw = (p[o + 2] << 8) | p[o + 3];
+    const reactanceRaw = ((p[o + 4] << 8) | p[o + 5]) << 16 >> 16;
+    if (resistanceRaw === 0) continue;
+    impedances.push({
+      frequencyKHz: (p[o] << 8) | p[o + 1],
+      resistanceOhm: Number((resistanceRaw * IMPEDANCE_RESOLUTION_OHM).toFixed(1)),
+      reactanceOhm: reactanceRaw !== 0 ? Number((reactanceRaw * IMPEDANCE_RESOLUTION_OHM).toFixed(1)) : null
+    });
+  }
+  return { ...base, kind: 'multiFrequency', impedances };
+}
+
+// Decode one FFB3 notification into a typed record.
+// kind: 'record' | 'liveWeight' | 'segmental' | 'multiFrequency' | 'deviceInfo' | 'unknown' | 'invalid' — never a candidate list.
+// provisional: also decode the layouts no capture has confirmed yet (see the header)
+function decodeFfb3Frame(buffer, { provisional = false } = {}) {
+  const bytes = toBytes(buffer);
+  const env = parseVendorEnvelope(bytes);
+  if (!env) {
+    return { kind: 'invalid', reason: 'length field does not match frame size', hex: bytesToHex(bytes) };
+  }
+
+  const base = {
+    seq: env.seq,
+    length: env.length,
+    type: env.type,
+    checksumOk: env.checksumOk,
+    hex: bytesToHex(bytes)
+  };
+  const p = env.payload;
+
+  switch (env.type) {
+    case FRAME_TYPES.record: {
+      // [1..4] BE unix seconds, [5..9] measurement block, [10] slot, [11..12] BE impedance (0 = none)
+      const block = decodeMeasurementBlock(p, 5);
+      if (!block || p.length < 13) return { ...base, kind: 'unknown', reason: 'record frame too short' };
+      const impedanceRaw = (p[11] << 8) | p[12];
+      return {
+        ...base,
+        kind: 'record',
+        timestamp: new Date(readUInt32BE(p, 1) * 1000),
+        ...block,
+        impedanceOhm: impedanceRaw > 0 ? impedanceRaw : null,
+        impedances: impedanceRaw > 0 ? [{ frequencyKHz: RECORD_FREQUENCY_KHZ, resistanceOhm: impedanceRaw, reactanceOhm: null }] : [],
+        stable: true
+      };
+    }
+    case FRAME_TYPES.liveWeight:
+      return decodeLiveWeight(base, p);
+    case FRAME_TYPES.segmental: {
+      if (!provisional) return { ...base, kind: 'unknown', reason: 'segmental layout (0xa8) is provisional and not enabled' };
+      if (p.length < SEGMENTAL_PAYLOAD_LENGTH) return { ...base, kind: 'unknown', reason: 'segmental frame too short' };
+      const segments = {};
+      SEGMENT_ORDER.forEach((name, i) => {
+        const ohm = (p[2 + i * 2] << 8) | p[3 + i * 2];
+        segments[name] = ohm > 0 ? ohm : null;
+      });
+      return { ...base, kind: 'segmental', frequencyKHz: p[1], segments };
+    }
+    case FRAME_TYPES.multiFrequency:
+      if (!provisional) return { ...base, kind: 'unknown', reason: 'multi-frequency layout (0xab) is provisional and not enabled' };
+      return decodeMultiFrequency(base, p);
+    case FRAME_TYPES.deviceInfo:
+      // No weight or impedance; [6] repeats the device type seen in measurement blocks
+      return { ...base, kind: 'deviceInfo', deviceType: p.length > 6 ? p[6] : null };
+    default:
+      return { ...base, kind: 'unknown', reason: `unknown frame type 0x${env.type.toString(16)}` };
+  }
+}
+
+// Inverse of the 0xA8 decoder: segments { rightArm: Ω, … } at one frequency
+function encodeSegmentalPayload(frequencyKHz, segments) {
+  const p = new Uint8Array(SEGMENTAL_PAYLOAD_LENGTH);
+  p[0] = FRAME_TYPES.segmental;
+  p[1] = frequencyKHz & 0xFF;
+  SEGMENT_ORDER.forEach((name, i) => {
+    const ohm = Math.round(segments[name] || 0) & 0xFFFF;
+    p[2 + i * 2] = ohm >> 8;
+    p[3 + i * 2] = ohm & 0xFF;
+  });
+  return p;
+}
+
+// Inverse of the multi-frequency decoder: [{ frequencyKHz, resistanceOhm, reactanceOhm }]
+function encodeMultiFrequencyPayload(impedances) {
+  const p = new Uint8Array(2 + impedances.length * MULTI_FREQUENCY_ENTRY_LENGTH);
+  p[0] = FRAME_TYPES.multiFrequency;
+  p[1] = impedances.length;
+  impedances.forEach(({ frequencyKHz, resistanceOhm, reactanceOhm }, i) => {
+    const r = Math.round(resistanceOhm / IMPEDANCE_RESOLUTION_OHM) & 0xFFFF;
+    const x = Math.round((reactanceOhm || 0) / IMPEDANCE_RESOLUTION_OHM) & 0xFFFF;
+    p.set([frequencyKHz >> 8, frequencyKHz & 0xFF, r >> 8, r & 0xFF, x >> 8, x & 0xFF], 2 + i * MULTI_FREQUENCY_ENTRY_LENGTH);
+  });
+  return p;
+}
+
+// Decode one 12-byte FFB2 notification: [seq][00][07 00][a2 status block×5][checksum]
+function decodeFfb2Frame(buffer) {
+  const bytes = toBytes(buffer);
+  const env = parseVendorEnvelope(bytes);
+  if (!env || bytes.length !== FFB2_FRAME_LENGTH) {
+    return { kind: 'invalid', reason: `expected ${FFB2_FRAME_LENGTH}-byte frame`, hex: bytesToHex(bytes) };
+  }
+
+  const base = {
+    seq: env.seq,
+    length: env.length,
+    type: env.type,
+    checksumOk: env.checksumOk,
+    hex: bytesToHex(bytes)
+  };
+  if (env.type !== FRAME_TYPES.liveWeight) {
+    return { ...base, kind: 'unknown', reason: `unknown frame type 0x${env.type.toString(16)}` };
+  }
+  return decodeLiveWeight(base, env.payload);
+}
+
+// Route a notification to its decoder by characteristic (full or short UUID)
+const DECODERS = {
+  ffb2: decodeFfb2Frame,
+  ffb3: decodeFfb3Frame
+};
+
+// options are passed on to the decoder (decodeFfb3Frame: provisional)
+function decodeNotification(uuid, buffer, options) {
+  const key = String(uuid || '').toLowerCase();
+  const shortUuid = key.length > 4 ? key.slice(4, 8) : key;
+  const decoder = DECODERS[shortUuid];
+  if (!decoder) return { kind: 'unsupported', reason: `no decoder for ${uuid || 'unmapped handle'}`, hex: bytesToHex(buffer) };
+  return decoder(buffer, options);
+}
+
+// Flatten a decoded frame into one row for replay tables
+function summarizeFrame(frame) {
+  return {
+    kind: frame.kind,
+    seq: frame.seq ?? null,
+    weightKg: frame.weightKg ?? null,
+    impedanceOhm: frame.impedanceOhm ?? null,
+    stable: frame.stable ?? null,
+    checksumOk: frame.checksumOk ?? null,
+    hex: frame.hex
+  };
+}
+
+// Rolling-counter bookkeeping for one characteristic.
+// check(seq) → { status: 'first' | 'ok' | 'gap' | 'duplicate' | 'replay', missed }
+function createSequenceTracker(modulo = SEQUENCE_MODULO) {
+  let last = null;
+  const stats = { received: 0, missed: 0, duplicates: 0, replays: 0 };
+
+  function check(seq) {
+    stats.received++;
+    if (last === null) {
+      last = seq;
+      return { status: 'first', missed: 0 };
+    }
+    const delta = (seq - last + modulo) % modulo;
+    if (delta === 0) {
+      stats.duplicates++;
+      return { status: 'duplicate', missed: 0 };
+    }
+    // A step "backwards" (more than half the counter range ahead) is an old frame being replayed
+    if (delta > modulo / 2) {
+      stats.replays++;
+      return { status: 'replay', missed: 0 };
+    }
+    last = seq;
+    if (delta > 1) {
+      stats.missed += delta - 1;
+      return { status: 'gap', missed: delta - 1 };
+    }
+    return { status: 'ok', missed: 0 };
+  }
+
+  function reset() {
+    last = null;
+    stats.received = 0;
+    stats.missed = 0;
+    stats.duplicates = 0;
+    stats.replays = 0;
+  }
+
+  return { check, reset, stats };
+}
+
+// Export for ES modules (browser)
+export {
+  FRAME_TYPES,
+  SEGMENT_ORDER,
+  RECORD_FREQUENCY_KHZ,
+  WEIGHT_RESOLUTION_KG,
+  SEQUENCE_MODULO,
+  toBytes,
+  bytesToHex,
+  hexToBytes,
+  vendorChecksum,
+  parseVendorEnvelope,
+  encodeVendorFrame,
+  decodeMeasurementBlock,
+  encodeMeasurementBlock,
+  encodeSegmentalPayload,
+  encodeMultiFrequencyPayload,
+  decodeFfb3Frame,
+  decodeFfb2Frame,
+  decodeNotification,
+  summarizeFrame,
+  createSequenceTracker
+};
+
+// Backward compatibility for CommonJS (ignored by browser ESM loader)
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    FRAME_TYPES,
+    SEGMENT_ORDER,
+    RECORD_FREQUENCY_KHZ,
+    WEIGHT_RESOLUTION_KG,
+    SEQUENCE_MODULO,
+    toBytes,
+    bytesToHex,
+    hexToBytes,
+    vendorChecksum,
+    parseVendorEnvelope,
+    encodeVendorFrame,
+    decodeMeasurementBlock,
+    encodeMeasurementBlock,
+    encodeSegmentalPayload,
+    encodeMultiFrequencyPayload,
+    decodeFfb3Frame,
+    decodeFfb2Frame,
+    decodeNotification,
+    summarizeFrame,
+    createSequenceTracker
+  };
+}
@@ -0,0 +1,176 @@
+"use strict";
+
+import { parseCsvRows, csvField } from './history_export.js';
+import { kgToLb, lbToKg, kgToStoneLb, stoneLbToKg, massUnit } from './units.js';
+
+// History files in the layout of the official FitDays app's CSV export
+//
+// The app writes one row per weigh-in: a local "Time" column, then one column per metric
+// with the unit in the header ("Weight(kg)" / "Weight(lb)" / "Weight(st:lb)", "Body Fat(%)" …) and "--" for
+// values it did not compute. Headers are matched on their name without the unit so minor
+// wording differences between app versions can be listed as aliases below.
+// Imported rows keep the app's numbers as-is and are flagged vendorComputed.
+
+const VENDOR_SOURCE = 'fitdays-app';
+const VENDOR_ALGORITHM = 'fitdays-app';
+const MISSING = '--';
+
+// key: where the value lands (record field or metrics.*); kind: 'mass' columns carry kg, lb or st:lb
+const VENDOR_COLUMNS = [
+  { header: 'Time', key: 'takenAt', kind: 'time', aliases: ['Date', 'Measure Time'] },
+  { header: 'Weight', key: 'weightKg', kind: 'mass' },
+  { header: 'BMI', key: 'metrics.bmi', kind: 'number' },
+  { header: 'Body Fat', key: 'metrics.bodyFatPercent', kind: 'percent', aliases: ['Body Fat Rate'] },
+  { header: 'Fat-free Body Weight', key: 'metrics.fatFreeWeightKg', kind: 'mass' },
+  { header: 'Fat-free Mass', key: 'metrics.ffmKg', kind: 'mass' },
+  { header: 'Lean Body Mass', key: 'metrics.leanBodyMassKg', kind: 'mass' },
+  { header: 'Subcutaneous Fat', key: 'metrics.subcutaneousFatPercent', kind: 'percent' },
+  { header: 'Visceral Fat', key: 'metrics.visceralFat', kind: 'number' },
+  { header: 'Body Water', key: 'metrics.tbwPercent', kind: 'percent', aliases: ['Water'] },
+  { header: 'Skeletal Muscle', key: 'metrics.skeletalMusclePercent', kind: 'percent' },
+  { header: 'Muscle Mass', key: 'metrics.muscleMassKg', kind: 'mass', aliases: ['Muscle'] },
+  { header: 'Bone Mass', key: 'metrics.boneMassKg', kind: 'mass', aliases: ['Bone'] },
+  { header: 'Protein', key: 'metrics.proteinPercent', kind: 'percent' },
+  { header: 'BMR', key: 'metrics.bmrKcal', kind: 'kcal' },
+  { header: 'Metabolic Age', key: 'metrics.metabolicAge', kind: 'number', aliases: ['Body Age'] },
+  { header: 'Impedance', key: 'impedanceOhm', kind: 'ohm' }
+];
+
+// Helper: "Weight(kg)" → { name: 'weight', unit: 'kg' }
+function splitHeader(text) {
+  const m = String(text).trim().match(/^(.*?)\s*(?:\(([^)]*)\))?$/);
+  return { name: m[1].trim().toLowerCase(), unit: (m[2] || '').trim().toLowerCase() };
+}
+
+function findColumn(name) {
+  return VENDOR_COLUMNS.find(c => c.header.toLowerCase() === name ||
+    (c.aliases || []).some(a => a.toLowerCase() === name)) || null;
+}
+
+// True when a CSV header row looks like the FitDays app layout rather than our own export
+function isVendorCsv(text) {
+  const [header] = parseCsvRows(String(text).split(/\r?\n/, 1)[0] || '');
+  if (!header) return false;
+  const names = header.map(h => splitHeader(h).name);
+  const keys = names.map(name => (findColumn(name) || {}).key);
+  return keys.includes('takenAt') && keys.includes('weightKg') && !names.includes('takenat');
+}
+
+// Helper: "2025/10/22 21:23:19", "2025-10-22 21:23" … as local time → epoch ms
+// (null when unreadable; the store's merge() then counts the row as invalid)
+function parseVendorTime(text) {
+  const m = String(text).trim().match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/);
+  if (!m) return null;
+  const [, y, mo, d, h = 0, mi = 0, s = 0] = m;
+  return new Date(Number(y), Number(mo) - 1, Number(d), Number(h), Number(mi), Number(s)).getTime();
+}
+
+// Helper: local time "YYYY/MM/DD HH:mm:ss", the way the app writes it
+function formatVendorTime(ms) {
+  const d = new Date(ms);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}/${pad(d.getMonth() + 1)}/${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`;
+}
+
+function vendorValue(column, unit, text) {
+  const raw = String(text).trim();
+  if (raw === '' || raw === MISSING) return null;
+  if (column.kind === 'time') return parseVendorTime(raw);
+  // Stone columns read "11:6.2" (11 st 6.2 lb)
+  if (column.kind === 'mass' && unit.startsWith('st')) {
+    const [stone, lb = '0'] = raw.split(':').map(s => s.trim());
+    const kg = stoneLbToKg(Number(stone), Number(lb));
+    return Number.isFinite(kg) ? kg : null;
+  }
+  const n = Number(raw.replace(/[^0-9.+-]/g, ''));
+  if (!Number.isFinite(n)) return null;
+  if (column.kind === 'mass' && unit === 'lb') return lbToKg(n);
+  return n;
+}
+
+// FitDays CSV → records for the history store, attributed to `userId` (the app's export has no user column)
+function parseVendorCsv(text, { userId = null, profile = null } = {}) {
+  const [header, ...rows] = parseCsvRows(text);
+  if (!header) throw new Error('Empty FitDays CSV');
+  const columns = header.map((h) => {
+    const { name, unit } = splitHeader(h);
+    return { column: findColumn(name), unit };
+  });
+  if (!columns.some(c => c.column && c.column.key === 'takenAt') || !columns.some(c => c.column && c.column.key === 'weightKg')) {
+    throw new Error('Not a FitDays app export (needs Time and Weight columns)');
+  }
+  const unknown = header.filter((h, i) => !columns[i].column);
+  if (unknown.length) console.warn('⚠️ FitDays CSV columns not imported:', unknown);
+
+  return rows.map((cells) => {
+    const record = {
+      userId,
+      startedAt: null,
+      source: VENDOR_SOURCE,
+      vendorComputed: true,
+      frames: [],
+      weightKg: null,
+      impedanceOhm: null,
+      impedanceEstimated: null,
+      profile,
+      algorithmVersion: VENDOR_ALGORITHM,
+      metrics: {}
+    };
+    columns.forEach(({ column, unit }, i) => {
+      if (!column) return;
+      const value = vendorValue(column, unit, cells[i] ?? '');
+      if (column.key.startsWith('metrics.')) {
+        if (value != null) record.metrics[column.key.slice(8)] = value;
+      } else {
+        record[column.key] = value;
+      }
+    });
+    if (Object.keys(record.metrics).length === 0) record.metrics = null;
+    return record;
+  });
+}
+
+// Our records → the app's layout. units: 'metric' (kg), 'imperial' (lb) or 'stone' (st:lb) for the mass columns
+function toVendorCsv(records, { units = 'metric' } = {}) {
+  const unit = massUnit(units);
+  const unitLabel = { mass: unit === 'st' ? 'st:lb' : unit, percent: '%', kcal: 'kcal', ohm: 'Ω' };
+  const header = VENDOR_COLUMNS.map(c => unitLabel[c.kind] ? `${c.header}(${unitLabel[c.kind]})` : c.header);
+  const lines = [header.map(csvField).join(',')];
+
+  for (const r of records) {
+    const cells = VENDOR_COLUMNS.map((c) => {
+      const value = c.key.startsWith('metrics.') ? (r.metrics || {})[c.key.slice(8)] : r[c.key];
+      if (value == null || (typeof value === 'number' && !Number.isFinite(value))) return MISSING;
+      if (c.kind === 'time') return formatVendorTime(value);
+      if (c.kind === 'mass' && unit === 'st') {
+        const { stone, lb } = kgToStoneLb(value);
+        return `${stone}:${lb.toFixed(1)}`;
+      }
+      if (c.kind === 'mass') return (unit === 'lb' ? kgToLb(value) : value).toFixed(1);
+      if (c.kind === 'kcal' || c.kind === 'ohm' || c.key === 'metrics.metabolicAge') return String(Math.round(value));
+      return Number(value).toFixed(1);
+    });
+    lines.push(cells.map(csvField).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+// Export for ES modules (browser)
+export {
+  VENDOR_SOURCE,
+  VENDOR_COLUMNS,
+  isVendorCsv,
+  parseVendorCsv,
+  toVendorCsv
+};
+
+// Backward compatibility for CommonJS (ignored by browser ESM loader)
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    VENDOR_SOURCE,
+    VENDOR_COLUMNS,
+    isVendorCsv,
+    parseVendorCsv,
+    toVendorCsv
+  };
+}
@@ -0,0 +1,111 @@
+"use strict";
+
+// Node conformance check of the frame decoders in fitdays_protocol.js against captured frames (no browser)
+//
+// Usage:
+//   node frame_conformance.js
+//
+// Every frame in the capture files is decoded from its hex (with its `options`, if any) and each
+// field listed under `expected` is compared with the decoder's output (dates as ISO strings); fields not listed are
+// not checked. The counter scenarios run their sequence numbers through one
+// createSequenceTracker() and compare each status (and the total missed, when given). The 0x2A9D
+// weigh-in scenarios run their readings through a scale link's weight handler and compare the
+// weigh-ins it reports. Exit code 1 on any mismatch.
+
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { hexToBytes, decodeFfb3Frame, decodeFfb2Frame, createSequenceTracker } from './fitdays_protocol.js';
+import { parseWeightMeasurement, createScaleLink } from './scale_link.js';
+
+// Helper: parseWeightMeasurement() reads a DataView and returns null for data it cannot read
+function decodeWeightMeasurement(bytes) {
+  return parseWeightMeasurement(new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)) || { kind: 'invalid' };
+}
+
+const CAPTURES = [
+  { file: 'captures/ffb3_frames.json', decoder: 'decodeFfb3Frame', decode: decodeFfb3Frame },
+  { file: 'captures/ffb2_frames.json', decoder: 'decodeFfb2Frame', decode: decodeFfb2Frame },
+  { file: 'captures/weight_2a9d_frames.json', decoder: 'parseWeightMeasurement', decode: decodeWeightMeasurement }
+];
+
+// Helper: one counter scenario → mismatches as { field, expected, actual }
+function checkSequence({ seqs, expected, missed }) {
+  const tracker = createSequenceTracker();
+  const statuses = seqs.map(seq => tracker.check(seq).status);
+  const wrong = [];
+  if (JSON.stringify(statuses) !== JSON.stringify(expected)) {
+    wrong.push({ field: 'status', expected: expected.join(', '), actual: statuses.join(', ') });
+  }
+  if (missed != null && tracker.stats.missed !== missed) {
+    wrong.push({ field: 'missed', expected: String(missed), actual: String(tracker.stats.missed) });
+  }
+  return wrong;
+}
+
+// Helper: one 0x2A9D weigh-in scenario → mismatches as { field, expected, actual }. The link's quiet
+// timer only runs on a { quiet: true } step.
+function checkWeighIns({ readings, expected }) {
+  let pending = null;
+  const timers = { setTimeout: (fn) => (pending = fn), clearTimeout: () => (pending = null) };
+  const link = createScaleLink({ session: { reset() { }, ingest() { } }, timers });
+  const reported = [];
+  link.on('weight', ({ weightKg, source }) => reported.push({ weightKg, source }));
+  for (const step of readings) {
+    if (step.quiet) {
+      const fire = pending;
+      pending = null;
+      if (fire) fire();
+      continue;
+    }
+    const bytes = hexToBytes(step.hex);
+    link.handlers.weight({ target: { value: new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength) }, timeStamp: step.timeMs });
+  }
+  if (JSON.stringify(reported) === JSON.stringify(expected)) return [];
+  return [{ field: 'weighIns', expected: JSON.stringify(expected), actual: JSON.stringify(reported) }];
+}
+
+// Helper: decoded value in the form the capture files write it
+function comparable(value) {
+  return value instanceof Date ? value.toISOString() : value;
+}
+
+function loadCapture(file) {
+  return JSON.parse(readFileSync(fileURLToPath(new URL(`./${file}`, import.meta.url)), 'utf8'));
+}
+
+function main() {
+  const rows = [];
+  const failures = [];
+  for (const { file, decoder, decode } of CAPTURES) {
+    const doc = loadCapture(file);
+    doc.frames.forEach((frame, i) => {
+      const decoded = decode(hexToBytes(frame.hex), frame.options);
+      const wrong = Object.entries(frame.expected)
+        .filter(([field, want]) => JSON.stringify(comparable(decoded[field])) !== JSON.stringify(want));
+      for (const [field, want] of wrong) {
+        failures.push({ file, frame: i, field, expected: JSON.stringify(want), actual: JSON.stringify(comparable(decoded[field])) });
+      }
+      rows.push({ file, frame: i, decoder, source: frame.source, kind: decoded.kind ?? '', seq: decoded.seq ?? '', result: wrong.length ? 'FAIL' : 'PASS' });
+    });
+    (doc.sequences || []).forEach((scenario, i) => {
+      const wrong = checkSequence(scenario);
+      for (const w of wrong) failures.push({ file, sequence: i, ...w });
+      rows.push({ file, sequence: i, decoder: 'createSequenceTracker', source: scenario.description, seq: scenario.seqs.join(' '), result: wrong.length ? 'FAIL' : 'PASS' });
+    });
+    (doc.weighIns || []).forEach((scenario, i) => {
+      const wrong = checkWeighIns(scenario);
+      for (const w of wrong) failures.push({ file, weighIn: i, ...w });
+      rows.push({ file, weighIn: i, decoder: 'createScaleLink', source: scenario.description, result: wrong.length ? 'FAIL' : 'PASS' });
+    });
+  }
+
+  console.table(rows);
+  if (failures.length) {
+    console.log('❌ Mismatched fields:');
+    console.table(failures);
+  }
+  console.log(failures.length ? `❌ ${failures.length} field(s) did not match` : '✅ All captured frames decode as expected and every counter and weigh-in scenario is tracked correctly');
+  if (failures.length) process.exit(1);
+}
+
+main();
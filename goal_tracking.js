@@ -0,0 +1,128 @@
+"use strict";
+
+// Weight and body fat goals: progress, trend and projected goal date
+//
+// The trend is an ordinary least-squares line through the measurements of the last
+// trendWeeks weeks; its slope is the rate of change and where it crosses the target is the
+// projected goal date. Progress runs from the value when the goal was set (goalStartedAt) to
+// the target. Rates faster than the limits below are flagged as unhealthy.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
+const GOAL_DEFAULTS = {
+  trendWeeks: 4,            // measurements older than this do not shape the trend
+  minPoints: 3,             // fewer measurements: no trend, no projection
+  minSpanDays: 7,           // the trend must cover at least this many days
+  maxWeeklyLossPercent: 1.0,  // weight loss faster than this share of body weight per week
+  maxWeeklyGainPercent: 0.5,  // weight gain faster than this share of body weight per week
+  maxWeeklyFatPoints: 1.0,    // body fat moving faster than this many percentage points per week
+  maxProjectionDays: 730      // projections further out are reported as "not within two years"
+};
+
+// Least-squares line through [{ t, v }]: { slopePerDay, valueAt(t), n, spanDays }, null below 2 points
+function linearTrend(points) {
+  if (points.length < 2) return null;
+  const t0 = points[0].t;
+  const xs = points.map(p => (p.t - t0) / DAY_MS);
+  const meanX = xs.reduce((a, b) => a + b, 0) / xs.length;
+  const meanY = points.reduce((a, p) => a + p.v, 0) / points.length;
+  let sxx = 0;
+  let sxy = 0;
+  xs.forEach((x, i) => {
+    sxx += (x - meanX) * (x - meanX);
+    sxy += (x - meanX) * (points[i].v - meanY);
+  });
+  if (sxx === 0) return null;
+  const slopePerDay = sxy / sxx;
+  const intercept = meanY - slopePerDay * meanX;
+  return {
+    slopePerDay,
+    valueAt: t => intercept + slopePerDay * ((t - t0) / DAY_MS),
+    n: points.length,
+    spanDays: xs[xs.length - 1] - xs[0]
+  };
+}
+
+// Helper: 'YYYY-MM-DD' → epoch ms at local midnight, null when unset or invalid
+function parseDate(value) {
+  const [year, month, day] = String(value || '').split('-').map(Number);
+  if (!year || !month || !day) return null;
+  return new Date(year, month - 1, day).getTime();
+}
+
+// points: [{ t, v }] for one metric, any order. goal: { target, startedAt ('YYYY-MM-DD'),
+// targetDate ('YYYY-MM-DD' or null) }. kind: 'weight' | 'bodyFat' picks the rate limits.
+// Returns null without a target or points, otherwise
+// { current, start, target, progress (0..1), remaining, ratePerWeek (null without a trend),
+//   projectedAt (epoch ms or null), status: 'reached' | 'on-track' | 'behind' | 'away' | 'stalled' | 'no-trend',
+//   warning: null | 'fast-loss' | 'fast-gain' | 'fast-fat-change' }
+function evaluateGoal(points, goal, kind = 'weight', options = {}) {
+  const cfg = { ...GOAL_DEFAULTS, ...options };
+  if (!goal || !(goal.target > 0) || points.length === 0) return null;
+  const sorted = [...points].sort((a, b) => a.t - b.t);
+  const latest = sorted[sorted.length - 1];
+  const startedAt = parseDate(goal.startedAt);
+  // The value when the goal was set: the last one before it, else the first one after
+  const before = startedAt == null ? [] : sorted.filter(p => p.t < startedAt);
+  const startPoint = before.length ? before[before.length - 1] : sorted.find(p => startedAt == null || p.t >= startedAt) || sorted[0];
+
+  const current = latest.v;
+  const start = startPoint.v;
+  const target = goal.target;
+  const direction = Math.sign(target - start);   // −1 lose, +1 gain, 0 already there
+  const remaining = target - current;
+  const reached = direction === 0 ? Math.abs(remaining) < 1e-9 : Math.sign(remaining) !== direction;
+  const progress = reached ? 1 : direction === 0 ? 0 : Math.max(0, Math.min(1, (current - start) / (target - start)));
+
+  const recent = sorted.filter(p => p.t >= latest.t - cfg.trendWeeks * WEEK_MS);
+  const trend = recent.length >= cfg.minPoints ? linearTrend(recent) : null;
+  const usable = trend && trend.spanDays >= cfg.minSpanDays;
+  const ratePerWeek = usable ? trend.slopePerDay * 7 : null;
+
+  let warning = null;
+  if (ratePerWeek != null) {
+    if (kind === 'weight') {
+      const weeklyPercent = (ratePerWeek / current) * 100;
+      if (weeklyPercent < -cfg.maxWeeklyLossPercent) warning = 'fast-loss';
+      else if (weeklyPercent > cfg.maxWeeklyGainPercent) warning = 'fast-gain';
+    } else if (Math.abs(ratePerWeek) > cfg.maxWeeklyFatPoints) {
+      warning = 'fast-fat-change';
+    }
+  }
+
+  let status;
+  let projectedAt = null;
+  if (reached) {
+    status = 'reached';
+  } else if (ratePerWeek == null) {
+    status = 'no-trend';
+  } else if (ratePerWeek === 0 || Math.sign(ratePerWeek) !== Math.sign(remaining)) {
+    status = ratePerWeek === 0 ? 'stalled' : 'away';
+  } else {
+    // Where the trend line reaches the target, counted from the latest measurement
+    const days = remaining / trend.slopePerDay;
+    projectedAt = days <= cfg.maxProjectionDays ? latest.t + days * DAY_MS : null;
+    const deadline = parseDate(goal.targetDate);
+    status = projectedAt == null || (deadline != null && projectedAt > deadline + DAY_MS) ? 'behind' : 'on-track';
+  }
+  return { current, start, target, progress, remaining, ratePerWeek, projectedAt, status, warning };
+}
+
+// Export for ES modules (browser)
+export {
+  GOAL_DEFAULTS,
+  linearTrend,
+  parseDate,
+  evaluateGoal
+};
+
+// Backward compatibility for CommonJS (ignored by browser ESM loader)
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    GOAL_DEFAULTS,
+    linearTrend,
+    parseDate,
+    evaluateGoal
+  };
+}
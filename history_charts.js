@@ -0,0 +1,170 @@
+"use strict";
+
+// Trend charts for stored measurements (see history_store.js), drawn as inline SVG
+//
+// Data helpers are pure; renderTrendChart() only needs document.createElementNS, so the
+// panel works offline with no chart library.
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// One chart per dashboard metric; pick() returns null when a record lacks the value
+// (e.g. entries migrated from the old localStorage log only carry a weight)
+const HISTORY_METRICS = [
+  { key: 'weight', label: 'Weight', unit: 'kg', digits: 1, pick: r => r.weightKg },
+  { key: 'bodyFat', label: 'Body Fat', unit: '%', digits: 1, pick: r => r.metrics && r.metrics.bodyFatPercent },
+  { key: 'muscleMass', label: 'Muscle Mass', unit: 'kg', digits: 1, pick: r => r.metrics && r.metrics.muscleMassKg },
+  { key: 'boneMass', label: 'Bone Mass', unit: 'kg', digits: 1, pick: r => r.metrics && r.metrics.boneMassKg },
+  { key: 'tbw', label: 'Total Body Water', unit: '%', digits: 1, pick: r => r.metrics && r.metrics.tbwPercent },
+  { key: 'vfi', label: 'Visceral Fat Index', unit: '', digits: 1, pick: r => r.metrics && r.metrics.visceralFat },
+  { key: 'bmr', label: 'BMR', unit: 'kcal', digits: 0, pick: r => r.metrics && r.metrics.bmrKcal },
+  { key: 'metaAge', label: 'Metabolic Age', unit: 'yrs', digits: 0, pick: r => r.metrics && r.metrics.metabolicAge }
+];
+
+// Range → lookback and the trailing window of the moving average drawn with it
+const HISTORY_RANGES = {
+  '7d': { label: '7 d', spanMs: 7 * DAY_MS, averageDays: 3 },
+  '30d': { label: '30 d', spanMs: 30 * DAY_MS, averageDays: 7 },
+  '1y': { label: '1 y', spanMs: 365 * DAY_MS, averageDays: 30 },
+  all: { label: 'All', spanMs: null, averageDays: 30 }
+};
+
+const CHART = { width: 320, height: 140, padLeft: 38, padRight: 8, padTop: 10, padBottom: 20 };
+
+// Start of the range as epoch ms (null for 'all')
+function rangeStart(range, now = Date.now()) {
+  const r = HISTORY_RANGES[range];
+  if (!r) throw new Error(`Unknown history range: ${range}`);
+  return r.spanMs == null ? null : now - r.spanMs;
+}
+
+// [{ t, v, record }] sorted by time, skipping records without the metric
+function buildSeries(records, metric) {
+  const points = [];
+  for (const record of records) {
+    const v = metric.pick(record);
+    if (v == null || !Number.isFinite(v)) continue;
+    points.push({ t: record.takenAt, v, record });
+  }
+  return points.sort((a, b) => a.t - b.t);
+}
+
+// Trailing time-window mean: each point averages every point within the previous windowDays
+function movingAverage(points, windowDays) {
+  const span = windowDays * DAY_MS;
+  const out = [];
+  let start = 0;
+  let sum = 0;
+  for (let i = 0; i < points.length; i++) {
+    sum += points[i].v;
+    while (points[i].t - points[start].t > span) sum -= points[start++].v;
+    out.push({ t: points[i].t, v: sum / (i - start + 1) });
+  }
+  return out;
+}
+
+// Helper: padded min/max so a flat series still gets some height
+function valueBounds(values) {
+  let lo = Math.min(...values);
+  let hi = Math.max(...values);
+  const pad = hi === lo ? Math.max(1, Math.abs(hi) * 0.02) : (hi - lo) * 0.1;
+  lo -= pad;
+  hi += pad;
+  return { lo, hi };
+}
+
+function svgEl(tag, attrs = {}) {
+  const el = document.createElementNS(SVG_NS, tag);
+  for (const [k, v] of Object.entries(attrs)) el.setAttribute(k, String(v));
+  return el;
+}
+
+function formatDay(t) {
+  return new Date(t).toISOString().slice(0, 10);
+}
+
+// Draws points, the connecting line and the moving average into an <svg>.
+// Values computed by the FitDays app (record.vendorComputed) get their own line and point
+// style so they can be compared with ours; the moving average follows our values only.
+// options: { averageDays, digits, selectedId, onSelect(record) }
+function renderTrendChart(svg, points, { averageDays = 7, digits = 1, selectedId = null, onSelect = null } = {}) {
+  const { width, height, padLeft, padRight, padTop, padBottom } = CHART;
+  svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+  svg.replaceChildren();
+
+  if (points.length === 0) {
+    const empty = svgEl('text', { x: width / 2, y: height / 2, 'text-anchor': 'middle', class: 'trend-empty' });
+    empty.textContent = 'No measurements in this range';
+    svg.appendChild(empty);
+    return;
+  }
+
+  const { lo, hi } = valueBounds(points.map(p => p.v));
+  const t0 = points[0].t;
+  const t1 = points[points.length - 1].t;
+  const x = (t) => t1 === t0 ? padLeft + (width - padLeft - padRight) / 2
+    : padLeft + ((t - t0) / (t1 - t0)) * (width - padLeft - padRight);
+  const y = (v) => padTop + (1 - (v - lo) / (hi - lo)) * (height - padTop - padBottom);
+
+  // Axes: min/max labels on the left, first/last date underneath
+  svg.appendChild(svgEl('line', { x1: padLeft, y1: height - padBottom, x2: width - padRight, y2: height - padBottom, class: 'trend-axis' }));
+  const labels = [
+    [padLeft - 4, y(hi) + 4, 'end', hi.toFixed(digits)],
+    [padLeft - 4, y(lo), 'end', lo.toFixed(digits)],
+    [padLeft, height - 4, 'start', formatDay(t0)],
+    [width - padRight, height - 4, 'end', formatDay(t1)]
+  ];
+  for (const [lx, ly, anchor, text] of labels) {
+    const label = svgEl('text', { x: lx, y: ly, 'text-anchor': anchor, class: 'trend-label' });
+    label.textContent = text;
+    svg.appendChild(label);
+  }
+
+  const path = (pts) => pts.map(p => `${x(p.t).toFixed(1)},${y(p.v).toFixed(1)}`).join(' ');
+  const own = points.filter(p => !p.record.vendorComputed);
+  const vendor = points.filter(p => p.record.vendorComputed);
+  if (own.length) svg.appendChild(svgEl('polyline', { points: path(own), class: 'trend-line' }));
+  if (vendor.length) svg.appendChild(svgEl('polyline', { points: path(vendor), class: 'trend-line vendor' }));
+  if (own.length > 1) {
+    svg.appendChild(svgEl('polyline', { points: path(movingAverage(own, averageDays)), class: 'trend-average' }));
+  }
+
+  for (const p of points) {
+    const classes = ['trend-point'];
+    if (p.record.vendorComputed) classes.push('vendor');
+    if (p.record.id === selectedId) classes.push('selected');
+    const dot = svgEl('circle', {
+      cx: x(p.t).toFixed(1),
+      cy: y(p.v).toFixed(1),
+      r: p.record.id === selectedId ? 4.5 : 3,
+      class: classes.join(' ')
+    });
+    const tip = svgEl('title');
+    tip.textContent = `${new Date(p.t).toLocaleString()}: ${p.v.toFixed(digits)}${p.record.vendorComputed ? ' (FitDays app)' : ''}`;
+    dot.appendChild(tip);
+    if (onSelect) dot.addEventListener('click', () => onSelect(p.record));
+    svg.appendChild(dot);
+  }
+}
+
+// Export for ES modules (browser)
+export {
+  HISTORY_METRICS,
+  HISTORY_RANGES,
+  rangeStart,
+  buildSeries,
+  movingAverage,
+  renderTrendChart
+};
+
+// Backward compatibility for CommonJS (ignored by browser ESM loader)
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    HISTORY_METRICS,
+    HISTORY_RANGES,
+    rangeStart,
+    buildSeries,
+    movingAverage,
+    renderTrendChart
+  };
+}
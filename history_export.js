@@ -0,0 +1,260 @@
+"use strict";
+
+// Measurement history ⇄ files: versioned JSON and flat CSV, both lossless for our records
+//
+// JSON: { format: 'fitdays-history', version, exportedAt, filter, records: [...] }, records as
+// stored (see history_store.js) minus the local id. CSV: one row per record with the nested
+// profile, metrics and algorithm variants flattened into "profile.*" / "metric.*" / "variant.*"
+// columns, multi-frequency readings into "impedance.R@<kHz>" / "impedance.X@<kHz>", segmental
+// readings into "segment.<name>@<kHz>" columns and raw frames joined with ';'.
+// Timestamps are ISO 8601 in both files.
+
+const EXPORT_FORMAT = 'fitdays-history';
+const EXPORT_VERSION = 1;
+
+const CSV_BASE_COLUMNS = ['userId', 'takenAt', 'startedAt', 'source', 'weightKg', 'impedanceOhm', 'impedanceEstimated', 'algorithmVersion', 'algorithmProfile', 'vendorComputed'];
+const BOOLEAN_FIELDS = new Set(['impedanceEstimated', 'vendorComputed']);
+const CSV_FRAMES_COLUMN = 'frames';
+const PROFILE_TEXT_FIELDS = new Set(['id', 'name', 'birthDate', 'goalDate', 'goalStartedAt', 'units', 'heightUnit']);
+const DATE_FIELDS = new Set(['takenAt', 'startedAt']);
+
+// Helper: record.impedances → { 'R@50': 512, 'X@50': 55.2, … } (X only where it was reported)
+function impedanceCells(impedances) {
+  const cells = {};
+  for (const r of impedances || []) {
+    cells[`R@${r.frequencyKHz}`] = r.resistanceOhm;
+    if (r.reactanceOhm != null) cells[`X@${r.frequencyKHz}`] = r.reactanceOhm;
+  }
+  return cells;
+}
+
+// Helper: record.segments → { 'rightArm@50': 310, … }
+function segmentCells(segments) {
+  const cells = {};
+  for (const [name, readings] of Object.entries(segments || {})) {
+    for (const r of readings) cells[`${name}@${r.frequencyKHz}`] = r.impedanceOhm;
+  }
+  return cells;
+}
+
+// Helper: epoch ms → ISO string (null passes through)
+function toIso(ms) {
+  return ms == null ? null : new Date(ms).toISOString();
+}
+
+// Helper: ISO string / number → epoch ms (null for empty)
+function fromIso(value) {
+  if (value == null || value === '') return null;
+  const ms = typeof value === 'number' ? value : Date.parse(value);
+  if (!Number.isFinite(ms)) throw new Error(`Invalid timestamp: ${value}`);
+  return ms;
+}
+
+function exportRecord(record) {
+  const { id, ...rest } = record;
+  return { ...rest, takenAt: toIso(record.takenAt), startedAt: toIso(record.startedAt) };
+}
+
+// filter: { userId, from, to } as used for the query, recorded so a reader knows what is in the file
+function toJsonExport(records, filter = {}) {
+  return JSON.stringify({
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    filter: { userId: filter.userId ?? null, from: toIso(filter.from ?? null), to: toIso(filter.to ?? null) },
+    records: records.map(exportRecord)
+  }, null, 2);
+}
+
+// Returns records ready for the store (epoch ms timestamps, no id)
+function parseJsonExport(text) {
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Not a JSON file: ${err.message}`);
+  }
+  if (!doc || doc.format !== EXPORT_FORMAT) throw new Error('Not a FitDays history export');
+  if (!(doc.version >= 1 && doc.version <= EXPORT_VERSION)) {
+    throw new Error(`Unsupported export version ${doc.version} (this app reads up to ${EXPORT_VERSION})`);
+  }
+  if (!Array.isArray(doc.records)) throw new Error('Export has no records');
+  return doc.records.map(r => ({ ...r, takenAt: fromIso(r.takenAt), startedAt: fromIso(r.startedAt) }));
+}
+
+// Helper: RFC 4180 field quoting
+function csvField(value) {
+  if (value == null) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Helper: RFC 4180 parser → array of rows (quoted fields may contain commas, quotes and newlines)
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const src = String(text).replace(/^\uFEFF/, '');
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(f => f !== ''));
+}
+
+function toCsvExport(records) {
+  const profileKeys = new Set();
+  const metricKeys = new Set();
+  const variantKeys = new Set();
+  const impedanceKeys = new Set();
+  const segmentKeys = new Set();
+  for (const r of records) {
+    Object.keys(r.profile || {}).forEach(k => profileKeys.add(k));
+    Object.keys(r.metrics || {}).forEach(k => metricKeys.add(k));
+    Object.keys(r.algorithmVariants || {}).forEach(k => variantKeys.add(k));
+    Object.keys(impedanceCells(r.impedances)).forEach(k => impedanceKeys.add(k));
+    Object.keys(segmentCells(r.segments)).forEach(k => segmentKeys.add(k));
+  }
+  const columns = [
+    ...CSV_BASE_COLUMNS,
+    ...[...profileKeys].map(k => `profile.${k}`),
+    ...[...metricKeys].map(k => `metric.${k}`),
+    ...[...variantKeys].map(k => `variant.${k}`),
+    ...[...impedanceKeys].map(k => `impedance.${k}`),
+    ...[...segmentKeys].map(k => `segment.${k}`),
+    CSV_FRAMES_COLUMN
+  ];
+
+  const lines = [columns.join(',')];
+  for (const r of records) {
+    const impedances = impedanceCells(r.impedances);
+    const segments = segmentCells(r.segments);
+    const cells = columns.map((col) => {
+      if (col === CSV_FRAMES_COLUMN) return (r.frames || []).join(';');
+      if (col.startsWith('profile.')) return r.profile ? r.profile[col.slice(8)] : null;
+      if (col.startsWith('metric.')) return r.metrics ? r.metrics[col.slice(7)] : null;
+      if (col.startsWith('variant.')) return r.algorithmVariants ? r.algorithmVariants[col.slice(8)] : null;
+      if (col.startsWith('impedance.')) return impedances[col.slice(10)];
+      if (col.startsWith('segment.')) return segments[col.slice(8)];
+      return DATE_FIELDS.has(col) ? toIso(r[col]) : r[col];
+    });
+    lines.push(cells.map(csvField).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+// Helper: CSV text → typed value for a column ('' is null)
+function csvValue(column, text) {
+  if (text === '') return null;
+  if (DATE_FIELDS.has(column)) return fromIso(text);
+  if (BOOLEAN_FIELDS.has(column)) return text === 'true';
+  if (column === 'weightKg' || column === 'impedanceOhm' || column.startsWith('metric.') ||
+      column.startsWith('impedance.') || column.startsWith('segment.')) return Number(text);
+  if (column.startsWith('profile.')) return PROFILE_TEXT_FIELDS.has(column.slice(8)) ? text : Number(text);
+  return text;
+}
+
+// Inverse of toCsvExport(); unknown columns are ignored
+function parseCsvExport(text) {
+  const [header, ...rows] = parseCsvRows(text);
+  if (!header || !header.includes('takenAt') || !header.includes('weightKg')) {
+    throw new Error('Not a FitDays history CSV (needs takenAt and weightKg columns)');
+  }
+  // A row with any profile.* (metric.*) value gets the whole object back, empty cells as null;
+  // variant.*, impedance.* and segment.* cells are only present for what the record actually has
+  return rows.map((cells) => {
+    const record = { frames: [] };
+    const profile = {};
+    const metrics = {};
+    const variants = {};
+    const impedances = new Map();
+    const segments = {};
+    let hasProfile = false;
+    let hasMetrics = false;
+    header.forEach((column, i) => {
+      const value = csvValue(column, cells[i] ?? '');
+      if (column === CSV_FRAMES_COLUMN) {
+        record.frames = cells[i] ? cells[i].split(';') : [];
+      } else if (column.startsWith('profile.')) {
+        profile[column.slice(8)] = value;
+        hasProfile = hasProfile || value != null;
+      } else if (column.startsWith('metric.')) {
+        metrics[column.slice(7)] = value;
+        hasMetrics = hasMetrics || value != null;
+      } else if (column.startsWith('variant.')) {
+        if (value != null) variants[column.slice(8)] = value;
+      } else if (column.startsWith('impedance.')) {
+        const [part, kHz] = column.slice(10).split('@');
+        if (value == null) return;
+        const reading = impedances.get(kHz) || { frequencyKHz: Number(kHz), resistanceOhm: null, reactanceOhm: null };
+        reading[part === 'X' ? 'reactanceOhm' : 'resistanceOhm'] = value;
+        impedances.set(kHz, reading);
+      } else if (column.startsWith('segment.')) {
+        const [name, kHz] = column.slice(8).split('@');
+        if (value != null) (segments[name] = segments[name] || []).push({ frequencyKHz: Number(kHz), impedanceOhm: value });
+      } else if (column === 'vendorComputed' || column === 'algorithmProfile') {
+        // Only set on records that have them (FitDays app imports; measurements since variants existed)
+        if (value != null) record[column] = value;
+      } else if (CSV_BASE_COLUMNS.includes(column)) {
+        record[column] = value;
+      }
+    });
+    record.profile = hasProfile ? profile : null;
+    record.metrics = hasMetrics ? metrics : null;
+    if (Object.keys(variants).length) record.algorithmVariants = variants;
+    if (impedances.size) record.impedances = [...impedances.values()].sort((a, b) => a.frequencyKHz - b.frequencyKHz);
+    if (Object.keys(segments).length) {
+      Object.values(segments).forEach(readings => readings.sort((a, b) => a.frequencyKHz - b.frequencyKHz));
+      record.segments = segments;
+    }
+    return record;
+  });
+}
+
+// Export for ES modules (browser)
+export {
+  EXPORT_FORMAT,
+  EXPORT_VERSION,
+  toJsonExport,
+  parseJsonExport,
+  toCsvExport,
+  parseCsvExport,
+  parseCsvRows,
+  csvField
+};
+
+// Backward compatibility for CommonJS (ignored by browser ESM loader)
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    EXPORT_FORMAT,
+    EXPORT_VERSION,
+    toJsonExport,
+    parseJsonExport,
+    toCsvExport,
+    parseCsvExport,
+    parseCsvRows,
+    csvField
+  };
+}
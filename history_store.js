@@ -0,0 +1,276 @@
+"use strict";
+
+// Measurement history in IndexedDB — one record per completed weigh-in
+//
+// Record shape (see saveMeasurement in main.js):
+//   { id, userId, takenAt (epoch ms), startedAt, source ('ble' | 'virtual' | 'gatt-2a9d' | 'legacy' | 'fitdays-app'),
+//     weightKg, impedanceOhm, impedanceEstimated, frames: [hex], profile, algorithmVersion, metrics,
+//     vendorComputed (true when the metrics come from the FitDays app, see fitdays_vendor_csv.js) }
+// takenAt is stored as a number so date ranges map straight onto IDBKeyRange.
+
+const DB_NAME = 'fitdays';
+const DB_VERSION = 1;
+const STORE = 'measurements';
+const DEFAULT_USER_ID = 'default';
+const LEGACY_LOG_KEY = 'fitdays_logs';
+const LEGACY_SESSION_GAP_MS = 30 * 1000; // legacy entries further apart than this are separate weigh-ins
+const LEGACY_STABLE_KG = 0.05;           // an entry repeating the previous weight within this is stable
+
+// Helper: IDBRequest → Promise
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Helper: resolves once the transaction commits (writes are durable only then)
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+  });
+}
+
+function upgrade(db) {
+  if (!db.objectStoreNames.contains(STORE)) {
+    const store = db.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+    store.createIndex('takenAt', 'takenAt');
+    store.createIndex('userId', 'userId');
+    store.createIndex('userId_takenAt', ['userId', 'takenAt']);
+  }
+}
+
+// Helper: Date | ISO string | epoch ms → epoch ms (null passes through)
+function toEpochMs(value) {
+  if (value == null) return null;
+  const ms = value instanceof Date ? value.getTime() : (typeof value === 'number' ? value : Date.parse(value));
+  if (!Number.isFinite(ms)) throw new Error(`Invalid date: ${value}`);
+  return ms;
+}
+
+// Helper: the old debug log has one entry per notification, ramp-up and step-off included.
+// Entries are split into weigh-ins at a zero weight or a pause of LEGACY_SESSION_GAP_MS, and each
+// weigh-in keeps its last stable entry (one that repeats the previous weight), else its last one.
+// Returns { entries, unreadable } with unreadable = entries without a usable timestamp.
+function collapseLegacyLog(logs) {
+  const entries = [];
+  let unreadable = 0;
+  let session = null;
+  const close = () => {
+    if (session) entries.push(session.stable || session.last);
+    session = null;
+  };
+  for (const l of logs) {
+    if (!l) continue;
+    if (!(l.weight > 0)) {
+      close();
+      continue;
+    }
+    let at;
+    try {
+      at = toEpochMs(l.timestamp);
+    } catch (err) {
+      at = null;
+    }
+    if (at == null) {
+      unreadable++;
+      continue;
+    }
+    if (session && at - session.lastAt > LEGACY_SESSION_GAP_MS) close();
+    if (!session) session = { last: null, lastAt: null, stable: null };
+    if (session.last && Math.abs(l.weight - session.last.weight) <= LEGACY_STABLE_KG) session.stable = l;
+    session.last = l;
+    session.lastAt = at;
+  }
+  close();
+  return { entries, unreadable };
+}
+
+// Duplicate rule for imports: same user, same moment, same weight (to 10 g). Values computed by
+// the FitDays app are kept next to ours for comparison, so they never duplicate our own records.
+function recordFingerprint(record) {
+  const origin = record.vendorComputed ? '|vendor' : '';
+  return `${record.userId || DEFAULT_USER_ID}|${toEpochMs(record.takenAt)}|${Math.round(Number(record.weightKg) * 100)}${origin}`;
+}
+
+// Opens (and creates/upgrades) the database; resolves to
+// { add, get, query, count, remove, clear, merge, migrateLegacyLog, close }
+async function openHistoryStore({ name = DB_NAME, indexedDB = globalThis.indexedDB, IDBKeyRange = globalThis.IDBKeyRange } = {}) {
+  if (!indexedDB) throw new Error('IndexedDB is not available in this browser');
+
+  const open = indexedDB.open(name, DB_VERSION);
+  open.onupgradeneeded = () => upgrade(open.result);
+  const db = await promisify(open);
+
+  function tx(mode) {
+    const t = db.transaction(STORE, mode);
+    return { t, store: t.objectStore(STORE), done: transactionDone(t) };
+  }
+
+  // Helper: the record as stored (default user, times in epoch ms, no id)
+  function normalize(record) {
+    const entry = {
+      ...record,
+      userId: record.userId || DEFAULT_USER_ID,
+      takenAt: toEpochMs(record.takenAt) ?? Date.now(),
+      startedAt: toEpochMs(record.startedAt)
+    };
+    delete entry.id;
+    return entry;
+  }
+
+  // Returns the new record id
+  async function add(record) {
+    const { store, done } = tx('readwrite');
+    const id = await promisify(store.add(normalize(record)));
+    await done;
+    return id;
+  }
+
+  // Bulk import: skips records already stored (or repeated in the batch) per recordFingerprint,
+  // and records without a timestamp or weight. All new records are written in one transaction.
+  // Returns { added, duplicates, invalid }
+  async function merge(records) {
+    const valid = [];
+    let invalid = 0;
+    for (const r of records) {
+      try {
+        if (r && r.takenAt != null && r.weightKg > 0) valid.push(normalize(r));
+        else invalid++;
+      } catch (err) {
+        invalid++;
+      }
+    }
+    if (valid.length === 0) return { added: 0, duplicates: 0, invalid };
+
+    // reduce, not Math.min(...times): a large import would overflow the argument list
+    const { from, to } = valid.reduce((range, r) => ({
+      from: Math.min(range.from, r.takenAt),
+      to: Math.max(range.to, r.takenAt)
+    }), { from: Infinity, to: -Infinity });
+    const existing = await query({ from, to });
+    const seen = new Set(existing.map(recordFingerprint));
+    const fresh = [];
+    for (const r of valid) {
+      const key = recordFingerprint(r);
+      if (seen.has(key)) continue;
+      seen.add(key);
+      fresh.push(r);
+    }
+
+    const { store, done } = tx('readwrite');
+    for (const r of fresh) store.add(r);
+    await done;
+    return { added: fresh.length, duplicates: valid.length - fresh.length, invalid };
+  }
+
+  async function get(id) {
+    const { store } = tx('readonly');
+    return (await promisify(store.get(id))) || null;
+  }
+
+  // Records in takenAt order. from/to are inclusive; any of the filters may be omitted.
+  async function query({ from = null, to = null, userId = null, source = null } = {}) {
+    const lo = toEpochMs(from);
+    const hi = toEpochMs(to);
+    const { store } = tx('readonly');
+    let request;
+    if (userId) {
+      const range = IDBKeyRange.bound([userId, lo ?? -Infinity], [userId, hi ?? Infinity]);
+      request = store.index('userId_takenAt').getAll(range);
+    } else if (lo != null || hi != null) {
+      const range = lo != null && hi != null ? IDBKeyRange.bound(lo, hi)
+        : (lo != null ? IDBKeyRange.lowerBound(lo) : IDBKeyRange.upperBound(hi));
+      request = store.index('takenAt').getAll(range);
+    } else {
+      request = store.index('takenAt').getAll();
+    }
+    const records = await promisify(request);
+    return source ? records.filter(r => r.source === source) : records;
+  }
+
+  async function count() {
+    const { store } = tx('readonly');
+    return promisify(store.count());
+  }
+
+  async function remove(id) {
+    const { store, done } = tx('readwrite');
+    store.delete(id);
+    await done;
+  }
+
+  async function clear() {
+    const { store, done } = tx('readwrite');
+    store.clear();
+    await done;
+  }
+
+  // One-off move of the old 100-entry localStorage debug log into the store, through merge() so
+  // every entry is checked before the single write and a retried move adds no duplicates.
+  // The log holds every notification, so it is first collapsed to one entry per weigh-in
+  // (collapseLegacyLog); entries with an unreadable timestamp are dropped. The log is removed only
+  // once the write has committed. Returns the number imported.
+  async function migrateLegacyLog(storage = globalThis.localStorage) {
+    if (!storage) return 0;
+    let logs;
+    try {
+      logs = JSON.parse(storage.getItem(LEGACY_LOG_KEY) || '[]');
+    } catch (err) {
+      console.warn('⚠️ Unreadable legacy measurement log, leaving it in place:', err);
+      return 0;
+    }
+    const { entries, unreadable } = collapseLegacyLog(Array.isArray(logs) ? logs : []);
+    const { added, invalid } = await merge(entries.map(l => ({
+      userId: DEFAULT_USER_ID,
+      takenAt: l.timestamp,
+      source: 'legacy',
+      weightKg: l.weight,
+      impedanceOhm: l.impedance ?? null,
+      impedanceEstimated: null,
+      frames: [],
+      profile: l.userProfile || null,
+      algorithmVersion: null,
+      metrics: null
+    })));
+    if (unreadable + invalid) console.warn(`⚠️ Skipped ${unreadable + invalid} legacy log entries without a readable timestamp`);
+    storage.removeItem(LEGACY_LOG_KEY);
+    return added;
+  }
+
+  return {
+    add,
+    get,
+    query,
+    count,
+    remove,
+    clear,
+    merge,
+    migrateLegacyLog,
+    close: () => db.close()
+  };
+}
+
+// Export for ES modules (browser)
+export {
+  DB_NAME,
+  STORE,
+  DEFAULT_USER_ID,
+  LEGACY_LOG_KEY,
+  recordFingerprint,
+  openHistoryStore
+};
+
+// Backward compatibility for CommonJS (ignored by browser ESM loader)
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    DB_NAME,
+    STORE,
+    DEFAULT_USER_ID,
+    LEGACY_LOG_KEY,
+    recordFingerprint,
+    openHistoryStore
+  };
+}
@@ -1,4 +1,24 @@
 import * as BIA from './bia_algorithms.js';
+import * as Protocol from './fitdays_protocol.js';
+import * as Commands from './fitdays_commands.js';
+import * as Pcapng from './pcapng_reader.js';
+import * as ConsoleLog from './console_log_reader.js';
+import * as VirtualScale from './virtual_scale.js';
+import * as Session from './measurement_session.js';
+import * as History from './history_store.js';
+import * as Charts from './history_charts.js';
+import * as Profiles from './user_profiles.js';
+import * as HistoryExport from './history_export.js';
+import * as VendorCsv from './fitdays_vendor_csv.js';
+import * as Algorithms from './algorithm_registry.js';
+import * as Segmental from './segmental_composition.js';
+import * as Fluids from './bioimpedance_fluids.js';
+import * as References from './reference_ranges.js';
+import * as Goals from './goal_tracking.js';
+import * as Units from './units.js';
+import * as Connection from './connection_manager.js';
+import * as Devices from './device_profiles.js';
+import * as Link from './scale_link.js';
 
 /**
  * FitDays Web BLE Interface - Enhanced Version
@@ -7,23 +27,32 @@ import * as BIA from './bia_algorithms.js';
  * real-time body composition analysis using BIA (Bioelectrical Impedance Analysis).
  * 
  * Key Features:
- * - Connects to both Weight Scale Service (0x181D) and Custom BIA Service (0xFFB0)
+ * - One discovery pipeline for every supported scale, driven by device profiles (device_profiles.js)
+ *   and shared with virtual_scale_check.js (scale_link.js)
  * - Logs all raw BLE data in hex format for debugging
  * - Enhanced error handling with DOMException support
  * - Automatic timeout detection for user guidance
- * - Simulation mode for testing without physical device
+ * - Simulation mode: a virtual FG2305ULB (virtual_scale.js) exercised through the real BLE path
+ * - Measurement history: one IndexedDB record per completed weigh-in (history_store.js)
+ * - User profiles with weigh-in attribution by recent weight (user_profiles.js)
+ * - Swappable algorithm variants per metric, selectable on the dashboard (algorithm_registry.js)
+ * - Reconnects with backoff when the scale sleeps and wakes (connection_manager.js)
  * 
  * Updated UUIDs extracted from BLE capture analysis of FitDays FG2305ULB scale:
  * - Weight Scale Service (0x181D): Standard GATT service for weight measurements
  * - Weight Measurement Characteristic (0x2A9D): Notify characteristic for weight data
  * - Custom BIA Service (0xFFB0): Vendor-specific service for body impedance analysis
  * - BIA Measurement Characteristic (0xFFB2): Notify characteristic for impedance data
+ * - Vendor Characteristics (0xFFB1 / 0xFFB4): Write-only, used for profile, unit and clock commands
  */
 const UUIDS = {
   weightService: "0000181d-0000-1000-8000-00805f9b34fb",   // Weight Scale Service (0x181D)
   weightChar: "00002a9d-0000-1000-8000-00805f9b34fb",   // Weight Measurement Characteristic (0x2A9D)
   customService: "0000ffb0-0000-1000-8000-00805f9b34fb",   // Custom BIA Service (0xFFB0)
-  biaChar: "0000ffb2-0000-1000-8000-00805f9b34fb"    // BIA Measurement Characteristic (0xFFB2)
+  biaChar: "0000ffb2-0000-1000-8000-00805f9b34fb",   // BIA Measurement Characteristic (0xFFB2)
+  commandChar: "0000ffb1-0000-1000-8000-00805f9b34fb",   // Vendor write characteristic (0xFFB1)
+  vendorChar: "0000ffb3-0000-1000-8000-00805f9b34fb",   // Vendor notify characteristic (0xFFB3)
+  syncChar: "0000ffb4-0000-1000-8000-00805f9b34fb"    // Vendor write characteristic (0xFFB4)
 };
 
 // Log updated UUIDs for confirmation
@@ -31,14 +60,23 @@ console.log("✅ Updated UUIDs from BLE capture:", UUIDS);
 
 
 // State
-let device = null;
-let server = null;
-let weightChar = null;
-let biaChar = null;
 let isConnected = false;
 let simulate = false;
-let simInterval = null;
+let virtualScale = null;
+let restoreBluetooth = null;
 let dataTimeout = null;
+let replaying = false; // replayed captures are shown but never saved to history
+let pendingAttribution = null; // settle() of the open "who is on the scale?" prompt
+const ATTRIBUTION_PROMPT_MS = 60 * 1000; // unanswered prompt: the weigh-in goes to the active profile
+const session = Session.createMeasurementSession();
+// The command opcodes are unconfirmed, so a real scale only gets them on opt-in; frame layouts
+// no capture has confirmed are only decoded from the virtual scale
+const link = Link.createScaleLink({
+  session,
+  getProfile: () => getUserProfile(),
+  allowCommands: () => simulate || sendCommands,
+  provisionalFrames: () => virtualScale !== null
+});
 
 // DOM helpers
 const $ = (id) => document.getElementById(id);
@@ -52,11 +90,30 @@ const btnFallback = $('btnFallback');
 const toggleSim = $('toggleSim');
 const statusHint = $('statusHint');
 
-// User inputs
-const ageEl = $('age');
+// User inputs (the form edits the active profile)
+const profileSelectEl = $('profileSelect');
+const profileNameEl = $('profileName');
+const birthDateEl = $('birthDate');
 const heightEl = $('heightCm');
+const heightFtEl = $('heightFt');
+const heightInEl = $('heightIn');
 const sexEl = $('sex');
+const bodyTypeEl = $('bodyType');
+const goalWeightEl = $('goalWeight');
+const goalWeightStEl = $('goalWeightSt');
+const goalBodyFatEl = $('goalBodyFatPercent');
+const goalDateEl = $('goalDate');
 const unitsEl = $('units');
+const heightUnitEl = $('heightUnit');
+const algorithmProfileEl = $('algorithmProfile');
+const referenceTableEl = $('referenceTable');
+const sendCommandsEl = $('sendCommands');
+const profiles = Profiles.createProfileStore(localStorage, { heightCm: 175 });
+let algorithmSelection = Algorithms.loadAlgorithmSelection(localStorage);
+let referenceTableId = localStorage.getItem(References.REFERENCE_TABLE_KEY) || References.DEFAULT_REFERENCE_TABLE;
+let referenceTable = null;   // loaded asynchronously; cards show no rating until it arrives
+let lastRated = null;        // { metrics, person, sources } of the values on screen, re-rated on a table switch
+let sendCommands = localStorage.getItem(Commands.COMMANDS_OPT_IN_KEY) === 'true'; // unconfirmed opcodes, real scale only on opt-in
 
 // Status labels
 function setStatus(text) { setText('connStatus', text); }
@@ -65,6 +122,19 @@ function setDeviceInfo(name, serviceUuid) {
   setText('serviceUuid', serviceUuid || '—');
 }
 
+// FFB2 counter health: received / dropped / duplicate+replayed
+function renderFrameStats() {
+  const { received, missed, duplicates, replays } = link.sequence.stats;
+  if (received === 0) {
+    setText('frameStats', '—');
+    return;
+  }
+  const issues = [];
+  if (missed) issues.push(`${missed} dropped`);
+  if (duplicates + replays) issues.push(`${duplicates + replays} replayed`);
+  setText('frameStats', `${received} received${issues.length ? ' · ⚠️ ' + issues.join(', ') : ''}`);
+}
+
 // Data timeout management
 function startDataTimeout() {
   if (dataTimeout) clearTimeout(dataTimeout);
@@ -92,697 +162,786 @@ const Metrics = {
   tbw: (v) => setText('tbwValue', v),
   vfi: (v) => setText('vfiValue', v),
   bmr: (v) => setText('bmrValue', v),
-  metaAge: (v) => setText('metaAgeValue', v)
+  metaAge: (v) => setText('metaAgeValue', v),
+  protein: (v) => setText('proteinValue', v),
+  skeletalMuscle: (kg, pct) => { setText('skeletalMuscleValue', kg); setText('skeletalMusclePercent', pct); },
+  subcutaneousFat: (v) => setText('subcutaneousFatValue', v),
+  leanBodyMass: (v) => setText('leanBodyMassValue', v),
+  fatFreeWeight: (v) => setText('fatFreeWeightValue', v),
+  // shape: 1–9 (BIA.BODY_SHAPES), null clears the grid
+  bodyShape: (shape) => {
+    setText('bodyShapeValue', shape ? BIA.BODY_SHAPES[shape - 1] : '—');
+    document.querySelectorAll('.body-shape-grid [data-shape]').forEach((cell) => {
+      cell.dataset.active = String(Number(cell.dataset.shape) === shape);
+    });
+  },
+  bodyScore: (v) => setText('bodyScoreValue', v)
 };
 
-function getUserProfile() {
-  const age = Number(ageEl.value || 30);
-  const heightCm = Number(heightEl.value || 170);
-  const sex = Number(sexEl.value || 1);
-  const units = unitsEl.value || 'metric';
-  return { age, heightCm, sex, units };
+// Weigh-in phase → status bar text; the metrics section mirrors the phase via data-phase
+const PHASE_STATUS = {
+  idle: '⏳ Waiting for data…',
+  awake: '👣 Scale is awake — step on with bare feet',
+  weighing: '⚖️ Weighing…',
+  stable: '🔒 Weight locked',
+  impedance: '🔬 Measuring body composition — keep still',
+  complete: '✅ Measurement complete'
+};
+
+function renderPhase(phase) {
+  setStatus(PHASE_STATUS[phase] || phase);
+  const metricsEl = document.querySelector('.metrics');
+  if (metricsEl) metricsEl.dataset.phase = phase;
 }
 
-function kgToLb(kg) { return kg * 2.20462262185; }
-function cmToM(cm) { return cm / 100; }
+// Live weight only updates the Weight card; everything else waits for a final result.
+// stability: 'settling' | 'locked' | null (cleared)
+function renderLiveWeight(weightKg, stability = null) {
+  const { value, unit } = Units.formatMass(weightKg, getUserProfile().units);
+  Metrics.weight(value, unit);
+  renderWeightStability(stability);
+}
 
-function format1(x) { return (Math.round(x * 10) / 10).toFixed(1); }
-function format0(x) { return Math.round(x).toString(); }
+const STABILITY_LABELS = { settling: 'settling…', locked: '🔒 locked' };
 
-// Compute metrics using available algorithms (note: several functions are placeholders)
-function computeAndRenderMetrics({ weightKg, impedanceOhm }) {
-  const { age, heightCm, sex, units } = getUserProfile();
-  const heightM = cmToM(heightCm);
+function renderWeightStability(stability) {
+  const el = $('weightState');
+  if (!el) return;
+  el.textContent = STABILITY_LABELS[stability] || '';
+  el.dataset.state = stability || '';
+  const card = el.closest('.metric-card');
+  if (card) card.dataset.stability = stability || '';
+}
 
-  // Weight + BMI
-  const weightDisplay = units === 'imperial' ? format1(kgToLb(weightKg)) : format1(weightKg);
-  const weightUnit = units === 'imperial' ? 'lb' : 'kg';
-  Metrics.weight(weightDisplay, weightUnit);
-  const bmi = weightKg / (heightM * heightM);
-  Metrics.bmi(format1(bmi));
-
-  // Enhanced body fat calculation based on impedance and BIA principles
-  // Using Deurenberg formula as base with impedance correction
-  const impedanceIndex = impedanceOhm / (heightM * heightM);
-
-  // Age and sex specific coefficients for body fat calculation
-  const ageSexFactor = sex === 1 ?
-    (age < 30 ? 0.98 : age < 50 ? 1.0 : 1.02) :
-    (age < 30 ? 0.95 : age < 50 ? 0.97 : 1.0);
-
-  // Impedance-based body fat estimation
-  let bfPercentPreRound;
-  if (sex === 1) { // Male
-    bfPercentPreRound = (1.20 * (impedanceIndex / 1000)) + (0.23 * age) - 16.2;
-  } else { // Female
-    bfPercentPreRound = (1.20 * (impedanceIndex / 1000)) + (0.23 * age) - 5.4;
-  }
-
-  // Apply age/sex correction and clamp to reasonable range
-  bfPercentPreRound *= ageSexFactor;
-  bfPercentPreRound = BIA.clamp(bfPercentPreRound, 5.0, 60.0);
-
-  // FFM variants
-  const ffm20 = BIA.getFFM_WLA20(weightKg, bfPercentPreRound, age, sex, 100.0);
-  const ffm32 = BIA.getFFM_WLA32(weightKg, bfPercentPreRound, age, sex, 100.0);
-
-  // Fat mass derived from FFM (choose one variant for display)
-  const fatMassKg = Math.max(0, weightKg - ffm20);
-  const bodyFatPercent = weightKg > 0 ? (fatMassKg / weightKg) * 100.0 : 0;
-  Metrics.bodyFat(BIA.round1StrictHalfUp(bodyFatPercent).toFixed(1));
-
-  // Muscle mass (placeholder percent => mass)
-  const musclePercent = BIA.getMusclePercent_WLA09(weightKg, age, sex, 0.8, Math.max(1, ffm32), 0, 9);
-  const muscleMassKg = (musclePercent / 100.0) * weightKg;
-  Metrics.muscleMass(format1(muscleMassKg));
-
-  // Enhanced bone mass calculation
-  // Based on FFM, age, sex, and weight
-  const baseBoneMass = ffm20 * 0.045; // 4.5% of FFM as base
-  const ageFactor = Math.max(0.7, 1.0 - (age - 20) * 0.005); // Bone density decreases with age
-  const sexFactor = sex === 1 ? 1.1 : 1.0; // Males typically have higher bone mass
-  const weightFactor = Math.min(1.2, Math.max(0.8, weightKg / 70.0));
-
-  const boneMass = baseBoneMass * ageFactor * sexFactor * weightFactor;
-  Metrics.boneMass(format1(boneMass));
-
-  // Enhanced total body water calculation
-  // Based on FFM and impedance with age/sex corrections
-  const baseTBW = ffm20 * 0.73; // 73% of FFM is water
-  const impedanceFactor = Math.max(0.8, Math.min(1.2, 1000 / impedanceOhm));
-  const tbwAgeFactor = Math.max(0.9, 1.0 - (age - 20) * 0.002);
-  const tbwSexFactor = sex === 1 ? 1.0 : 0.95; // Males typically have slightly higher water content
-
-  const tbwKg = baseTBW * impedanceFactor * tbwAgeFactor * tbwSexFactor;
-  const tbwPercent = BIA.clamp((tbwKg / weightKg) * 100.0, 30, 75);
-  Metrics.tbw(format1(tbwPercent));
-
-  // Enhanced visceral fat index calculation
-  // Based on BMI, age, sex, and impedance
-  let vfi;
-  if (sex === 1) { // Male
-    vfi = (bmi * 0.4) + (age * 0.1) - (impedanceOhm / 1000) * 0.2;
-  } else { // Female
-    vfi = (bmi * 0.35) + (age * 0.08) - (impedanceOhm / 1000) * 0.15;
-  }
-  vfi = Math.max(1, Math.min(30, vfi));
-  Metrics.vfi(format1(vfi));
-
-  // BMR (use available placeholder variant)
-  const bmr = BIA.getBMR_WLA38(sex, weightKg, age, heightCm, 0, 0.0);
-  Metrics.bmr(format0(bmr));
-
-  // Enhanced metabolic age calculation
-  // Based on BMR, body composition, and fitness level
-  const idealBMR = BIA.getBMR_WLA38(sex, 70, age, 170, 0, 0.0); // Reference BMR
-  const actualBMR = BIA.getBMR_WLA38(sex, weightKg, age, heightCm, 0, 0.0);
-  const bmrRatio = actualBMR / idealBMR;
-
-  // Body composition factors
-  const bodyFatFactor = (bfPercentPreRound - 15) * 0.1; // Higher body fat = older metabolic age
-  const muscleFactor = (musclePercent - 40) * -0.05; // Higher muscle = younger metabolic age
-
-  const metaAge = Math.max(18, Math.min(80, age + (bmrRatio - 1) * 5 + bodyFatFactor + muscleFactor));
-  Metrics.metaAge(Math.round(metaAge).toString());
-}
-
-// Parse notifications - Enhanced for FG2305ULB protocol
-function parseWeightMeasurement(value) {
-  if (value.byteLength < 2) return null;
-
-  // Try multiple parsing methods for different protocols
-  const bytes = new Uint8Array(value.buffer);
-  console.log("Weight packet:", Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join(' '));
-
-  // Method 1: Standard GATT Weight Scale (0x2A9D)
-  if (value.byteLength >= 4) {
-    const flags = value.getUint16(0, true);
-    const si = (flags & 0x01) === 0; // 0 => SI (kg)
-    const wRaw = value.getUint16(2, true);
-    const weightKg = si ? wRaw * 0.005 : (wRaw * 0.01) * 0.45359237;
-    if (weightKg > 0 && weightKg < 500) return { weightKg };
-  }
-
-  // Method 2: Direct weight value (common in smart scales)
-  if (value.byteLength >= 2) {
-    const weightRaw = value.getUint16(0, true);
-    // Try different scales
-    const scales = [0.01, 0.1, 1.0, 0.005];
-    for (const scale of scales) {
-      const weightKg = weightRaw * scale;
-      if (weightKg > 10 && weightKg < 300) {
-        return { weightKg };
-      }
+session.on('phase', ({ from, to }) => {
+  console.log(`🔁 Session phase: ${from} → ${to}`);
+  renderPhase(to);
+});
+
+session.on('weight', ({ weightKg, stability }) => renderLiveWeight(weightKg, stability));
+
+session.on('locked', ({ weightKg, source }) => {
+  console.log(`🔒 Weight locked at ${weightKg} kg (${source === 'flag' ? "scale's stable flag" : 'settled signal'})`);
+});
+
+session.on('complete', ({ measurement }) => {
+  Promise.resolve(completeWeighIn({
+    source: simulate ? 'virtual' : 'ble',
+    takenAt: measurement.timestamp,
+    startedAt: measurement.startedAt,
+    frames: measurement.frames,
+    weightKg: measurement.weightKg,
+    impedanceOhm: measurement.impedanceOhm,
+    impedances: measurement.impedances,
+    segments: measurement.segments
+  })).catch(reportWeighInError);
+});
+
+session.on('steppedOff', () => console.log('👋 User stepped off the scale'));
+session.on('aborted', ({ phase }) => {
+  console.warn(`⚠️ Weigh-in abandoned during ${phase}`);
+  renderWeightStability(null);
+});
+
+// Active profile with the age the algorithms expect, worked out from the birth date
+function getUserProfile() {
+  const { id, name, birthDate, heightCm, sex, bodyType, goalWeightKg, goalBodyFatPercent, goalDate, goalStartedAt, units, heightUnit } = profiles.active();
+  const age = Profiles.ageFromBirthDate(birthDate) ?? 30;
+  return { id, name, birthDate, age, heightCm, sex, bodyType, goalWeightKg, goalBodyFatPercent, goalDate, goalStartedAt, units, heightUnit };
+}
+
+// Sidebar: profile switcher options and the form for the active profile
+function renderProfiles() {
+  const active = profiles.active();
+  if (profileSelectEl) {
+    profileSelectEl.textContent = '';
+    for (const p of profiles.list()) {
+      const opt = document.createElement('option');
+      opt.value = p.id;
+      opt.textContent = p.name;
+      opt.selected = p.id === active.id;
+      profileSelectEl.appendChild(opt);
     }
+    profileSelectEl.value = active.id;
   }
+  if (profileNameEl) profileNameEl.value = active.name;
+  if (birthDateEl) birthDateEl.value = active.birthDate;
+  sexEl.value = String(active.sex);
+  bodyTypeEl.value = String(active.bodyType);
+  if (goalBodyFatEl) goalBodyFatEl.value = active.goalBodyFatPercent == null ? '' : String(active.goalBodyFatPercent);
+  if (goalDateEl) goalDateEl.value = active.goalDate || '';
+  unitsEl.value = active.units;
+  if (heightUnitEl) heightUnitEl.value = active.heightUnit;
+  renderUnitInputs(active);
+}
 
-  // Method 3: 4-byte weight
-  if (value.byteLength >= 4) {
-    const weightRaw = value.getUint32(0, true);
-    const weightKg = weightRaw / 1000.0; // Common scale for 4-byte values
-    if (weightKg > 10 && weightKg < 300) {
-      return { weightKg };
-    }
+// Helper: what the height and goal weight inputs show for stored cm / kg in the profile's units
+function heightInputs(cm) {
+  const { ft, in: inches } = Units.cmToFtIn(cm, 1);
+  return { cm: String(cm), ft: String(ft), in: String(inches) };
+}
+function goalWeightInputs(kg, units) {
+  if (kg == null) return { st: '', value: '' };
+  if (Units.massUnit(units) === 'st') {
+    const { stone, lb } = Units.kgToStoneLb(kg);
+    return { st: String(stone), value: String(lb) };
   }
+  return { st: '', value: String(Math.round(Units.toMassUnit(kg, units) * 10) / 10) };
+}
 
-  return null;
+// Height and goal weight inputs in the profile's units, mass unit labels on the cards
+function renderUnitInputs(profile) {
+  const ftin = profile.heightUnit === 'ftin';
+  const height = heightInputs(profile.heightCm);
+  const cmField = $('heightCmField');
+  const ftInField = $('heightFtInField');
+  if (cmField) cmField.hidden = ftin;
+  if (ftInField) ftInField.hidden = !ftin;
+  heightEl.value = height.cm;
+  if (heightFtEl) heightFtEl.value = height.ft;
+  if (heightInEl) heightInEl.value = height.in;
+
+  const stone = Units.massUnit(profile.units) === 'st';
+  const goal = goalWeightInputs(profile.goalWeightKg, profile.units);
+  setText('goalWeightUnit', stone ? 'st, lb' : Units.massUnit(profile.units));
+  if (goalWeightStEl) {
+    goalWeightStEl.hidden = !stone;
+    goalWeightStEl.value = goal.st;
+  }
+  if (goalWeightEl) goalWeightEl.value = goal.value;
+  document.querySelectorAll('[data-mass-unit]').forEach((el) => { el.textContent = Units.cardUnit(profile.units); });
 }
 
-function parseBiaMeasurement(value) {
-  if (value.byteLength < 2) return null;
+// Inputs are read in the units they were shown in; untouched ones keep the stored value exactly
+function readHeightInput(active) {
+  const shown = heightInputs(active.heightCm);
+  if (active.heightUnit !== 'ftin') return heightEl.value === shown.cm ? active.heightCm : Number(heightEl.value || 170);
+  if (heightFtEl.value === shown.ft && heightInEl.value === shown.in) return active.heightCm;
+  return Math.round(Units.ftInToCm(Number(heightFtEl.value || 0), Number(heightInEl.value || 0)) * 10) / 10 || 170;
+}
+function readGoalWeightInput(active) {
+  if (!goalWeightEl) return active.goalWeightKg;
+  const shown = goalWeightInputs(active.goalWeightKg, active.units);
+  const st = goalWeightStEl ? goalWeightStEl.value : '';
+  if (goalWeightEl.value === shown.value && (Units.massUnit(active.units) !== 'st' || st === shown.st)) return active.goalWeightKg;
+  if (Units.massUnit(active.units) === 'st') {
+    return st || goalWeightEl.value ? Units.stoneLbToKg(Number(st || 0), Number(goalWeightEl.value || 0)) : null;
+  }
+  return goalWeightEl.value ? Units.fromMassUnit(Number(goalWeightEl.value), active.units) : null;
+}
 
-  const bytes = new Uint8Array(value.buffer);
-  console.log("BIA packet:", Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join(' '));
+function readProfileForm() {
+  const active = profiles.active();
+  const goals = {
+    goalWeightKg: readGoalWeightInput(active),
+    goalBodyFatPercent: goalBodyFatEl && goalBodyFatEl.value ? Number(goalBodyFatEl.value) : null,
+    goalDate: goalDateEl && goalDateEl.value ? goalDateEl.value : null
+  };
+  // Progress counts from the day a target changes; moving only the date keeps the start
+  const hasTarget = goals.goalWeightKg != null || goals.goalBodyFatPercent != null;
+  const targetsChanged = goals.goalWeightKg !== active.goalWeightKg || goals.goalBodyFatPercent !== active.goalBodyFatPercent;
+  const now = new Date();
+  const today = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+  return {
+    ...active,
+    ...goals,
+    goalStartedAt: !hasTarget ? null : targetsChanged || !active.goalStartedAt ? today : active.goalStartedAt,
+    name: profileNameEl ? profileNameEl.value.trim() : profiles.active().name,
+    birthDate: birthDateEl && birthDateEl.value ? birthDateEl.value : profiles.active().birthDate,
+    heightCm: readHeightInput(active),
+    sex: Number(sexEl.value || 1),
+    bodyType: Number(bodyTypeEl.value || 0),
+    units: unitsEl.value || 'metric',
+    heightUnit: heightUnitEl ? heightUnitEl.value : active.heightUnit
+  };
+}
 
-  // Try multiple parsing methods for impedance data
-  // Method 1: 2-byte impedance
-  if (value.byteLength >= 2) {
-    const impedance = value.getUint16(0, true);
-    if (impedance >= 150 && impedance <= 3000) {
-      return { impedanceOhm: impedance };
-    }
+// Switch user: the form, history panel and (when connected) the scale follow
+function selectProfile(id) {
+  const profile = profiles.setActive(id);
+  console.log(`👤 Active profile: ${profile.name}`);
+  renderProfiles();
+  renderHistory();
+  if (link.canSendCommands()) {
+    link.commands.syncUserProfile(getUserProfile()).catch(err => console.warn("⚠️ Scale sync failed:", err));
   }
+}
 
-  // Method 2: 4-byte impedance
-  if (value.byteLength >= 4) {
-    const impedance = value.getUint32(0, true);
-    if (impedance >= 150 && impedance <= 300000) {
-      return { impedanceOhm: impedance };
-    }
-  }
+// Who stepped on? Closest recent weight among the profiles; ask when two are too close to call
+async function attributeWeighIn(weightKg) {
+  const active = profiles.active();
+  const list = profiles.list();
+  if (list.length < 2) return active.id;
 
-  // Method 3: Signed 16-bit impedance
-  if (value.byteLength >= 2) {
-    const impedance = value.getInt16(0, true);
-    if (impedance >= 150 && impedance <= 3000) {
-      return { impedanceOhm: impedance };
-    }
+  let recent = [];
+  const store = await historyReady;
+  try {
+    if (store) recent = await store.query({ from: Date.now() - 90 * 24 * 60 * 60 * 1000 });
+  } catch (err) {
+    console.warn('⚠️ Could not read history for user recognition:', err);
+  }
+  const result = Profiles.matchUserByWeight(weightKg, recent, list);
+  if (result.status === 'match') {
+    console.log(`👤 ${weightKg} kg matches ${profiles.get(result.profileId).name}`, result.candidates);
+    return result.profileId;
   }
+  if (result.status === 'none') {
+    console.log(`👤 ${weightKg} kg matches no recent history, keeping ${active.name}`);
+    return active.id;
+  }
+  return promptAttribution(weightKg, result.candidates);
+}
 
-  // Method 4: Multi-byte parsing (common in smart scales)
-  for (let i = 0; i <= value.byteLength - 2; i++) {
-    const impedance = value.getUint16(i, true);
-    if (impedance >= 150 && impedance <= 3000) {
-      return { impedanceOhm: impedance };
+// Resolves with the profile id picked in the sidebar prompt; the active profile when nobody
+// answers within ATTRIBUTION_PROMPT_MS or a newer weigh-in replaces the prompt
+function promptAttribution(weightKg, candidates) {
+  const el = $('attributionPrompt');
+  if (!el) return Promise.resolve(profiles.active().id);
+  if (pendingAttribution) pendingAttribution(profiles.active().id);
+  const ids = candidates.map(c => c.profileId);
+  if (!ids.includes(profiles.active().id)) ids.push(profiles.active().id);
+
+  setStatus('👥 Who is on the scale?');
+  el.textContent = '';
+  const question = document.createElement('div');
+  const { units } = getUserProfile();
+  question.textContent = `${Units.formatMassText(weightKg, units)} could be more than one person. Who is on the scale?`;
+  el.appendChild(question);
+  el.hidden = false;
+
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => {
+      console.log(`👤 Nobody answered who weighed ${weightKg} kg, keeping ${profiles.active().name}`);
+      settle(profiles.active().id);
+    }, ATTRIBUTION_PROMPT_MS);
+    function settle(id) {
+      clearTimeout(timer);
+      if (pendingAttribution === settle) pendingAttribution = null;
+      el.hidden = true;
+      el.textContent = '';
+      resolve(id);
     }
-  }
+    pendingAttribution = settle;
+
+    for (const id of ids) {
+      const c = candidates.find(x => x.profileId === id);
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'btn';
+      btn.textContent = c ? `${profiles.get(id).name} (usually ${Units.formatMassText(c.referenceKg, units)})` : profiles.get(id).name;
+      btn.addEventListener('click', () => settle(id));
+      el.appendChild(btn);
+    }
+  });
+}
 
-  return null;
+// A finished weigh-in: pick the user, then render and store it under that user.
+// data: { source, takenAt, startedAt, frames, weightKg, impedanceOhm (null = estimate from weight),
+//         impedances ([{ frequencyKHz, resistanceOhm, reactanceOhm }], may be empty),
+//         segments (per-segment readings from 8-electrode scales, else null) }
+function completeWeighIn(data) {
+  // Replays stay synchronous: the replay table reads window.__last right after each frame
+  if (replaying) return applyWeighIn(data, profiles.active().id);
+  return attributeWeighIn(data.weightKg).then(userId => applyWeighIn(data, userId));
 }
 
-async function handleWeightNotify(event) {
-  try {
-    const dv = event.target.value;
+// Helper: a weigh-in that could not be attributed, rendered or saved
+function reportWeighInError(err) {
+  console.error('❌ Could not complete the weigh-in:', err);
+  setStatus('❌ Could not save the weigh-in');
+}
 
-    // Log raw hex data before parsing
-    const bytes = new Uint8Array(dv.buffer);
-    const hex = Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join(' ');
-    console.log("⚖️ Weight Raw Data (hex):", hex);
-    console.log("📏 Weight Data Length:", bytes.length, "bytes");
+function applyWeighIn({ source, takenAt, startedAt = null, frames = [], weightKg, impedanceOhm, impedances = [], segments = null }, userId) {
+  if (userId !== profiles.active().id) selectProfile(userId);
+  const last = window.__last || { weightKg: 0, impedanceOhm: 500 };
+  const next = {
+    ...last,
+    weightKg,
+    impedanceOhm: impedanceOhm != null ? impedanceOhm : estimateImpedance(weightKg),
+    impedances,
+    segments
+  };
+  if (impedanceOhm == null) console.log("📊 Using estimated impedance:", next.impedanceOhm);
+  window.__last = next;
+  const { metrics, variants, profile: algorithmProfile } = computeAndRenderMetrics(next);
+  return saveMeasurement({
+    userId,
+    source,
+    takenAt,
+    startedAt,
+    frames,
+    weightKg,
+    impedanceOhm: next.impedanceOhm,
+    impedanceEstimated: impedanceOhm == null,
+    impedances,
+    segments,
+    metrics,
+    algorithmProfile,
+    algorithmVariants: variants
+  });
+}
 
-    const parsed = parseWeightMeasurement(dv);
-    if (!parsed) {
-      console.warn("⚠️ Could not parse weight data");
-      return;
-    }
+function cmToM(cm) { return cm / 100; }
 
-    console.log("✅ Weight Parsed:", parsed);
-    const last = window.__last || { weightKg: 0, impedanceOhm: 500 };
-    const next = { ...last, ...parsed };
-
-    // If no BIA data available, use estimated impedance based on weight and height
-    if (!next.impedanceOhm || next.impedanceOhm === 500) {
-      const { heightCm, sex } = getUserProfile();
-      const heightM = cmToM(heightCm);
-      // Estimate impedance based on body composition
-      const estimatedImpedance = sex === 1 ?
-        (heightM * heightM * 1000) / (next.weightKg * 0.8) :
-        (heightM * heightM * 1000) / (next.weightKg * 0.75);
-      next.impedanceOhm = Math.round(estimatedImpedance);
-      console.log("📊 Using estimated impedance:", next.impedanceOhm);
-    }
+function format1(x) { return (Math.round(x * 10) / 10).toFixed(1); }
+function format0(x) { return Math.round(x).toString(); }
 
-    window.__last = next;
-    logMeasurement(next);
-    computeAndRenderMetrics(next);
-    clearDataTimeout(); // Clear timeout when data is received
-    setStatus('⏳ Waiting for data…');
-  } catch (error) {
-    console.error("❌ Error in weight notification handler:", error);
-    if (error.name === 'DOMException') {
-      setStatus('Step on the scale to activate');
-    }
-  }
+// Compute metrics with the selected algorithm variants (note: several WLA functions are placeholders).
+// Returns { metrics, variants, profile, segmental, fluids } with unrounded values so they can be stored with the measurement.
+function computeAndRenderMetrics({ weightKg, impedanceOhm, impedances = [], segments = null }) {
+  const { age, heightCm, sex, bodyType, units } = getUserProfile();
+  const result = Algorithms.computeMetrics({ weightKg, impedanceOhm, impedances, heightCm, age, sex, bodyType }, algorithmSelection);
+  const m = result.metrics;
+  const mass = kg => Units.formatMass(kg, units).value;
+
+  const weight = Units.formatMass(weightKg, units);
+  Metrics.weight(weight.value, weight.unit);
+  Metrics.bmi(format1(m.bmi));
+  Metrics.bodyFat(BIA.round1StrictHalfUp(m.bodyFatPercent).toFixed(1));
+  Metrics.muscleMass(mass(m.muscleMassKg));
+  Metrics.boneMass(mass(m.boneMassKg));
+  Metrics.tbw(format1(m.tbwPercent));
+  Metrics.vfi(format1(m.visceralFat));
+  Metrics.bmr(format0(m.bmrKcal));
+  Metrics.metaAge(Math.round(m.metabolicAge).toString());
+  Metrics.protein(format1(m.proteinPercent));
+  Metrics.skeletalMuscle(mass(m.skeletalMuscleKg), format1(m.skeletalMusclePercent));
+  Metrics.subcutaneousFat(format1(m.subcutaneousFatPercent));
+  Metrics.leanBodyMass(mass(m.leanBodyMassKg));
+  Metrics.fatFreeWeight(mass(m.fatFreeWeightKg));
+  Metrics.bodyShape(m.bodyShape);
+  Metrics.bodyScore(format0(m.bodyScore));
+  renderVariantPickers(result.variants);
+
+  // Per-limb split when the scale measured segments; whole-body scales leave the diagram plain
+  const segmental = Segmental.computeSegmental({ ...m, segments });
+  Object.assign(m, Segmental.flattenSegmental(segmental));
+  renderBodySegments(segmental);
+
+  // ECW/ICW and phase angle need multi-frequency readings; otherwise the TBW card stays whole
+  const fluids = Fluids.computeFluids({ weightKg, heightCm, sex, tbwPercent: m.tbwPercent, impedances });
+  Object.assign(m, Fluids.flattenFluids(fluids));
+  renderFluids(fluids);
+
+  lastRated = { metrics: m, person: { age, sex, heightCm, weightKg }, sources: Algorithms.outputSources(result.variants) };
+  renderLastRated();
+  return { ...result, segmental, fluids };
 }
 
-async function handleBiaNotify(event) {
-  try {
-    const dv = event.target.value;
+// Helper: "18.5–25.0", "≥ 49.4", "< 10.0"
+function formatRange({ min, max }, f) {
+  if (min != null && max != null) return `${f(min)}–${f(max)}`;
+  return min != null ? `≥ ${f(min)}` : `< ${f(max)}`;
+}
 
-    // Log raw hex data before parsing
-    const bytes = new Uint8Array(dv.buffer);
-    const hex = Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join(' ');
-    console.log("🔬 BIA Raw Data (hex):", hex);
-    console.log("📏 BIA Data Length:", bytes.length, "bytes");
+// Helper: rate the values on screen against the current table
+function renderLastRated() {
+  if (!lastRated) return renderRatings();
+  const { metrics, person, sources } = lastRated;
+  renderRatings(References.classifyAll(referenceTable, metrics, person, sources), References.unratedMetrics(referenceTable, metrics, sources));
+}
 
-    const parsed = parseBiaMeasurement(dv);
-    if (!parsed) {
-      console.warn("⚠️ Could not parse BIA data");
-      return;
+// Cards: band label in the title (data-rating-band) and a gauge with the target range under the
+// value (.metric-rating[data-rating], data-digits for the range, data-mass for the unit selector); both keyed by metric name.
+// unrated: { metric: source } of values the table has bands for, but not for their algorithm variant
+function renderRatings(ratings = {}, unrated = {}) {
+  document.querySelectorAll('[data-rating-band]').forEach((el) => {
+    const r = ratings[el.dataset.ratingBand];
+    el.textContent = r ? r.band.label : '';
+    el.dataset.tone = r ? r.band.tone : '';
+  });
+  document.querySelectorAll('.metric-rating[data-rating]').forEach((el) => {
+    const r = ratings[el.dataset.rating];
+    const source = unrated[el.dataset.rating];
+    el.textContent = '';
+    if (!r && source) {
+      const note = document.createElement('div');
+      note.className = 'gauge-target';
+      note.textContent = source.placeholder
+        ? `Not rated: ${source.label} is a placeholder or builds on one`
+        : `Not rated: no reference bands fit how this was computed (${source.label})`;
+      el.appendChild(note);
     }
-
-    console.log("✅ BIA Parsed:", parsed);
-    const last = window.__last || { weightKg: 0, impedanceOhm: 500 };
-    const next = { ...last, ...parsed };
-    window.__last = next;
-    logMeasurement(next);
-    computeAndRenderMetrics(next);
-    clearDataTimeout(); // Clear timeout when data is received
-    setStatus('⏳ Waiting for data…');
-  } catch (error) {
-    console.error("❌ Error in BIA notification handler:", error);
-    if (error.name === 'DOMException') {
-      setStatus('Step on the scale to activate');
+    if (!r) return;
+    const span = r.edges[r.edges.length - 1] - r.edges[0];
+    const gauge = document.createElement('div');
+    gauge.className = 'gauge';
+    r.bands.forEach((band, i) => {
+      const part = document.createElement('span');
+      part.className = 'gauge-band';
+      part.dataset.tone = band.tone;
+      part.style.flexGrow = String((r.edges[i + 1] - r.edges[i]) / span);
+      part.title = band.label;
+      gauge.appendChild(part);
+    });
+    const marker = document.createElement('span');
+    marker.className = 'gauge-marker';
+    marker.style.left = `${(r.position * 100).toFixed(1)}%`;
+    gauge.appendChild(marker);
+    el.appendChild(gauge);
+    if (r.target) {
+      const target = document.createElement('div');
+      target.className = 'gauge-target';
+      const digits = Number(el.dataset.digits ?? 1);
+      const units = getUserProfile().units;
+      target.textContent = `Target ${formatRange(r.target, el.dataset.mass != null ? v => Units.formatMassText(v, units, digits) : v => v.toFixed(digits))}`;
+      el.appendChild(target);
     }
-  }
+  });
 }
 
-// Robust weight selection heuristic
-function chooseBestWeight(candidates, lastWeight) {
-  const weightCandidates = candidates.filter(c => c.type && c.type.startsWith('weight'));
-  if (weightCandidates.length === 0) return null;
+// Load a reference table by id (see reference_ranges.js) and re-rate the values on screen
+async function selectReferenceTable(id) {
+  referenceTableId = References.REFERENCE_TABLES[id] ? id : References.DEFAULT_REFERENCE_TABLE;
+  localStorage.setItem(References.REFERENCE_TABLE_KEY, referenceTableId);
+  if (referenceTableEl) referenceTableEl.value = referenceTableId;
+  try {
+    referenceTable = await References.loadReferenceTable(referenceTableId);
+    console.log(`📏 Reference ranges: ${referenceTable.name}`);
+  } catch (err) {
+    referenceTable = null;
+    console.warn(`⚠️ Reference ranges "${referenceTableId}" unavailable, cards stay unrated:`, err.message);
+  }
+  renderLastRated();
+}
 
-  // Strict realistic range first (human weight)
-  let filtered = weightCandidates.filter(c => c.value >= 20 && c.value <= 250);
-  // Fallback to wider range if nothing matches
-  if (filtered.length === 0) filtered = weightCandidates.filter(c => c.value >= 10 && c.value <= 300);
-  if (filtered.length === 0) return null;
+// TBW card detail: ECW / ICW split and phase angle, hidden when neither was measured
+function renderFluids(fluids) {
+  const el = $('tbwSplit');
+  if (!el) return;
+  const parts = [];
+  if (fluids && fluids.ecwL != null) {
+    parts.push(`ECW ${format1(fluids.ecwL)} L · ICW ${format1(fluids.icwL)} L (ECW/TBW ${fluids.ecwRatio.toFixed(2)})`);
+  }
+  if (fluids && fluids.phaseAngleDeg != null) parts.push(`Phase angle ${format1(fluids.phaseAngleDeg)}° @ ${fluids.phaseAngleKHz} kHz`);
+  el.textContent = parts.join(' · ');
+  el.hidden = parts.length === 0;
+}
 
-  // Prefer scale === 100, then larger raw16
-  filtered.sort((a, b) => {
-    const scalePrefA = a.scale === 100 ? 0 : 1;
-    const scalePrefB = b.scale === 100 ? 0 : 1;
-    if (scalePrefA !== scalePrefB) return scalePrefA - scalePrefB;
-    if (b.raw16 !== a.raw16) return b.raw16 - a.raw16; // larger raw16 first
-    return 0;
+// Body diagram: each part gets data-level (muscle low / normal / high) and a tooltip
+function renderBodySegments(segmental) {
+  document.querySelectorAll('.body-svg [data-segment]').forEach((el) => {
+    const seg = segmental ? segmental.segments[el.dataset.segment] : null;
+    el.dataset.level = seg ? seg.level : '';
+    const tip = el.querySelector('title');
+    if (tip) {
+      const label = Segmental.SEGMENTS.find(s => s.key === el.dataset.segment).label;
+      tip.textContent = seg
+        ? `${label}: muscle ${Units.formatMassText(seg.muscleKg, getUserProfile().units)} (${seg.level}), fat ${format1(seg.fatPercent)} %, ${seg.impedanceOhm} Ω`
+        : label;
+    }
   });
+  const legend = $('segmentLegend');
+  if (legend) legend.hidden = !segmental;
+}
 
-  // If lastWeight is available, choose closest to lastWeight among the top-tier
-  if (typeof lastWeight === 'number' && lastWeight > 0) {
-    // Only consider the best few after preference sort
-    const top = filtered.slice(0, Math.min(3, filtered.length));
-    let best = top[0];
-    let bestDiff = Math.abs(best.value - lastWeight);
-    for (let i = 1; i < top.length; i++) {
-      const diff = Math.abs(top[i].value - lastWeight);
-      if (diff < bestDiff) {
-        best = top[i];
-        bestDiff = diff;
+// Each metric card names the variant(s) behind its value and lets one be swapped in place.
+// Containers: <div class="metric-variant" data-metrics="bodyFat ffm">
+function renderVariantPickers(variants = Algorithms.resolveVariants(algorithmSelection)) {
+  document.querySelectorAll('.metric-variant[data-metrics]').forEach((el) => {
+    el.textContent = '';
+    for (const metric of el.dataset.metrics.split(/\s+/)) {
+      const select = document.createElement('select');
+      select.dataset.metric = metric;
+      select.title = `${Algorithms.ALGORITHMS[metric].label} algorithm`;
+      for (const v of Algorithms.listVariants(metric)) {
+        const opt = document.createElement('option');
+        opt.value = v.id;
+        opt.textContent = v.placeholder ? `${v.label} (placeholder)` : v.label;
+        opt.title = `Inputs: ${v.inputs.join(', ')}`;
+        opt.selected = v.id === variants[metric];
+        select.appendChild(opt);
       }
+      select.value = variants[metric];
+      el.appendChild(select);
     }
-    return best;
-  }
+  });
+  if (algorithmProfileEl) algorithmProfileEl.value = Algorithms.selectionLabel(algorithmSelection);
+}
 
-  // Otherwise choose the first after preference sort
-  return filtered[0];
+// Switch algorithm profile or one metric's variant; the last weigh-in is recomputed for
+// comparison (shown only — stored measurements keep the variants they were taken with)
+function selectAlgorithms(selection) {
+  algorithmSelection = Algorithms.saveAlgorithmSelection(localStorage, selection);
+  console.log('🧮 Algorithms:', Algorithms.selectionLabel(algorithmSelection), Algorithms.resolveVariants(algorithmSelection));
+  if (window.__last && window.__last.weightKg > 0) computeAndRenderMetrics(window.__last);
+  else renderVariantPickers();
 }
 
-async function handleVendorNotify(event) {
-  try {
-    const dv = event.target.value;
-    const bytes = new Uint8Array(dv.buffer);
-    const candidates = parseFitdaysPacket(bytes);
+// Estimate impedance based on body composition when the scale sent none
+function estimateImpedance(weightKg) {
+  const { heightCm, sex } = getUserProfile();
+  const heightM = cmToM(heightCm);
+  const estimatedImpedance = sex === 1 ?
+    (heightM * heightM * 1000) / (weightKg * 0.8) :
+    (heightM * heightM * 1000) / (weightKg * 0.75);
+  return Math.round(estimatedImpedance);
+}
 
-    // Choose best weight using heuristic
-    const last = window.__last || { weightKg: 0, impedanceOhm: 500 };
-    let chosen = chooseBestWeight(candidates, last.weightKg || 0);
-    let weightKg = chosen ? Number(chosen.value.toFixed(2)) : null;
+// 0x2A9D carries no impedance: reuse the last real BIA reading, otherwise estimate
+link.on('weight', ({ weightKg, scaleUnits, frames }) => {
+  if (scaleUnits && Units.massUnit(scaleUnits) !== Units.massUnit(getUserProfile().units)) {
+    console.log(`📏 Scale reports ${Units.massUnit(scaleUnits)}, dashboard shows ${Units.massUnit(getUserProfile().units)}`);
+  }
+  const last = window.__last || { weightKg: 0, impedanceOhm: 500 };
+  const lastImpedance = last.impedanceOhm && last.impedanceOhm !== 500 ? last.impedanceOhm : null;
+  Promise.resolve(completeWeighIn({
+    source: 'gatt-2a9d',
+    takenAt: new Date(),
+    frames,
+    weightKg,
+    impedanceOhm: lastImpedance
+  })).catch(reportWeighInError);
+  setStatus('⏳ Waiting for data…');
+});
 
-    if (chosen) {
-      console.log(`🎯 Weight chosen (vendor): raw16=${chosen.raw16}, scale=/${chosen.scale}, kg=${weightKg}`);
-    } else {
-      // Fallback to existing parser
-      const w = parseWeightMeasurement(dv);
-      if (w && w.weightKg) {
-        weightKg = Number(w.weightKg.toFixed(2));
-        console.log(`🎯 Weight fallback (parseWeightMeasurement): kg=${weightKg}`);
-      }
-    }
+link.on('frame', ({ decoder, accepted }) => {
+  if (decoder === 'bia') renderFrameStats();
+  if (accepted) clearDataTimeout(); // Clear timeout when data is received
+});
 
-    // Derive impedance from candidates or fallback
-    let impedanceOhm = null;
-    for (const c of candidates) {
-      if (c.type && c.type.startsWith('impedance') && c.value >= 150 && c.value <= 3000) {
-        impedanceOhm = Math.round(c.value);
-        break;
-      }
-    }
-    if (impedanceOhm == null) {
-      const b = parseBiaMeasurement(dv);
-      if (b && b.impedanceOhm) impedanceOhm = Math.round(b.impedanceOhm);
-    }
+link.on('error', ({ decoder, error }) => {
+  if (decoder !== 'vendor' && error.name === 'DOMException') setStatus('Step on the scale to activate');
+});
 
-    if (weightKg == null && impedanceOhm == null) {
-      console.warn("⚠️ Vendor packet did not yield weight or impedance");
-      return;
-    }
+link.on('syncFailed', ({ step }) => setStatus(`⚠️ Could not sync ${step} to the scale`));
 
-    // Optional 3-sample median smoothing for weight
-    if (weightKg != null) {
-      window.__weightSamples = Array.isArray(window.__weightSamples) ? window.__weightSamples : [];
-      window.__weightSamples.push(weightKg);
-      if (window.__weightSamples.length > 3) window.__weightSamples.shift();
-      const buf = [...window.__weightSamples].sort((a, b) => a - b);
-      if (buf.length === 3) {
-        const smoothed = buf[1];
-        console.log(`🧮 Smoothed weight (median of last 3): ${smoothed} from [${window.__weightSamples.join(', ')}]`);
-        weightKg = smoothed;
-      }
-    }
+link.on('subscribed', ({ device, report }) => {
+  renderFrameStats();
+  setDeviceInfo(device.name || 'Unknown', Devices.describeReport(report));
+});
+
+// Connection state → status bar text, buttons and the data timeout
+const CONNECTION_STATUS = {
+  idle: '❌ Disconnected',
+  scanning: 'Turn on the scale and STEP on it. When the Bluetooth chooser appears, select MY_SCALE and wait for connection.',
+  connecting: 'Connecting…',
+  subscribed: '✅ Connected to MY_SCALE',
+  sleeping: '😴 Scale is asleep — step on it to reconnect',
+  lost: '📴 Scale out of reach — step on it or click Connect Scale'
+};
+let scanningStatus = CONNECTION_STATUS.scanning;
+
+const connection = Connection.createConnectionManager({
+  storage: localStorage,
+  subscribe: link.subscribe
+});
+
+connection.on('state', ({ state, previous, device: dev, attempt, delayMs }) => {
+  console.log(`🔌 Connection: ${previous} → ${state}`);
+  isConnected = state === 'subscribed';
+  const busy = state === 'scanning' || state === 'connecting';
+  btnConnect.disabled = busy;
+  btnRetry.disabled = busy;
+  btnFallback.disabled = busy;
+  // Disconnect also stops a sleeping or lost scale from being retried
+  btnDisconnect.disabled = state === 'idle' || state === 'scanning';
+  const statusEl = $('connStatus');
+  if (statusEl) statusEl.dataset.state = state;
+
+  if (state === 'scanning') setStatus(scanningStatus);
+  else if (state === 'sleeping' && attempt > 1) setStatus(`${CONNECTION_STATUS.sleeping} (retry ${attempt} in ${Math.round(delayMs / 1000)} s)`);
+  else if (state === 'connecting' && previous !== 'scanning') setStatus(`🔄 Reconnecting to ${(dev && dev.name) || 'the scale'}…`);
+  else setStatus(CONNECTION_STATUS[state]);
+
+  if (state === 'subscribed') startDataTimeout(); // Start timeout to detect when no data arrives
+  else clearDataTimeout();
+  if (state === 'sleeping' && previous === 'subscribed') session.reset();
+});
 
-    const next = {
-      ...last,
-      ...(weightKg != null ? { weightKg } : {}),
-      ...(impedanceOhm != null ? { impedanceOhm } : {})
-    };
-    window.__last = next;
-    logMeasurement(next);
-    computeAndRenderMetrics(next);
-    clearDataTimeout();
-    setStatus('⏳ Waiting for data…');
-  } catch (error) {
-    console.error('❌ Error in vendor notification handler:', error);
+// Helper: status text for a failed connect() (the state handler already reset the buttons)
+function reportConnectError(err) {
+  if (err.name === 'NotFoundError') {
+    console.warn('User canceled the Bluetooth selection dialog.');
+    setStatus('You cancelled the Bluetooth chooser or didn\'t select any device. Please click Connect Scale again.');
+  } else if (err.name === 'SecurityError') {
+    console.error('Security error - HTTPS required for Web Bluetooth');
+    setStatus('Error: HTTPS required for Bluetooth');
+  } else if (err.name === 'NotSupportedError') {
+    console.error('Web Bluetooth not supported');
+    setStatus('Error: Web Bluetooth not supported');
+  } else {
+    console.error('Connection failed:', err);
+    setStatus(`Connection failed: ${err.message}`);
   }
 }
 
-async function connectBle() {
+// Both connect buttons: same discovery pipeline, they only differ in what the chooser lists
+async function connectScale(requestOptions, hint) {
   if (!navigator.bluetooth) {
     setStatus('Web Bluetooth not supported');
     return;
   }
-
-  // Show clear instructions and disable button
-  setStatus('Turn on the scale and STEP on it. When the Bluetooth chooser appears, select MY_SCALE and wait for connection.');
-  btnConnect.disabled = true;
-  btnRetry.disabled = true;
-  btnFallback.disabled = true;
-
-  try {
-    device = await navigator.bluetooth.requestDevice({
-  filters: [{ name: "MY_SCALE" }],
-  optionalServices: [UUIDS.customService, UUIDS.weightService]
-});
-
-    // device = await navigator.bluetooth.requestDevice({
-    //   filters: [
-    //     { name: "MY_SCALE" },
-    //     { services: [UUIDS.weightService] }
-    //   ],
-    //   optionalServices: [UUIDS.weightService, UUIDS.customService]
-    // });
-    // device = await navigator.bluetooth.requestDevice({
-    //   acceptAllDevices: true,
-    //   optionalServices: [
-    //     UUIDS.weightService,
-    //     UUIDS.customService,
-    //     'device_information',
-    //     'battery_service'
-    //   ]
-    // });
-
-    device.addEventListener('gattserverdisconnected', onDisconnected);
-    console.log("✅ Found device:", device.name);
-    setDeviceInfo(device.name || 'Unknown', UUIDS.weightService);
-    setStatus('Connecting…');
-
-    server = await device.gatt.connect();
-
-    // Log discovered services and characteristics
-    console.log("🔍 Discovering services and characteristics...");
-const svcs = await server.getPrimaryServices();
-const serviceUUIDs = svcs.map(s => s.uuid);
-console.log("🔍 Discovered Services:", serviceUUIDs);
-
-// Log each service and its characteristics
-for (const s of svcs) {
+  scanningStatus = hint;
   try {
-    const chars = await s.getCharacteristics();
-    console.log(`📡 Service ${s.uuid} → Characteristics:`, chars.map(c => c.uuid));
+    await connection.connect(requestOptions);
   } catch (err) {
-    console.warn(`⚠️ Could not list characteristics for ${s.uuid}:`, err);
+    reportConnectError(err);
   }
 }
 
-// 🧠 Try to find the correct service and characteristic automatically
-let svc = svcs.find(s => s.uuid.includes(UUIDS.weightService.slice(4, 8))) ||
-           svcs.find(s => s.uuid.includes("ffb0")); // vendor service fallback
-
-if (!svc) {
-  console.warn("⚠️ No matching weight or BIA service found, using first discovered service as fallback");
-  svc = svcs[0];
-}
-
-console.log("✅ Using service:", svc.uuid);
-
-// Try to get weight and BIA characteristics safely
-try {
-  weightChar = await svc.getCharacteristic(UUIDS.weightChar);
-  await weightChar.startNotifications();
-  weightChar.addEventListener("characteristicvaluechanged", handleWeightNotify);
-  console.log("📡 Subscribed to weight notifications");
-} catch (err) {
-  console.warn("⚠️ Could not start weight notifications:", err);
+function connectBle() {
+  return connectScale(Devices.requestOptions(), CONNECTION_STATUS.scanning);
 }
 
-try {
-  biaChar = await svc.getCharacteristic(UUIDS.biaChar);
-  await biaChar.startNotifications();
-  biaChar.addEventListener("characteristicvaluechanged", handleBiaNotify);
-  console.log("📡 Subscribed to BIA notifications");
-} catch (err) {
-  console.warn("⚠️ Could not start BIA notifications:", err);
+// Fallback connection function that shows all devices
+function connectBleFallback() {
+  return connectScale(Devices.requestOptions({ acceptAllDevices: true }),
+    '⚠️ Fallback mode – showing all nearby BLE devices (use only if MY_SCALE doesn\'t appear).');
 }
 
-// Subscribe to additional vendor characteristics to capture weight in custom protocol
-try {
-  const vendorChars = await svc.getCharacteristics();
-  for (const c of vendorChars) {
-    if (c.uuid.includes('ffb1') || c.uuid.includes('ffb3') || c.uuid.includes('ffb4')) {
-      try {
-        await c.startNotifications();
-        c.addEventListener('characteristicvaluechanged', handleVendorNotify);
-        console.log(`📡 Subscribed to vendor notify ${c.uuid}`);
-      } catch (subErr) {
-        console.warn(`⚠️ Could not subscribe to ${c.uuid}:`, subErr);
-      }
-    }
+// Page load: reconnect to the scale picked last time, if the browser still grants access
+async function restoreConnection() {
+  if (simulate || !navigator.bluetooth) return;
+  try {
+    const known = await connection.restore();
+    if (known) console.log(`🔌 Waiting for ${known.name || 'the last scale'} to wake up`);
+  } catch (err) {
+    console.warn("⚠️ Could not restore the last scale:", err);
   }
-} catch (err) {
-  console.warn("⚠️ Could not subscribe to vendor characteristics:", err);
 }
 
-setStatus("Connected");
-console.log("✅ Connected to MY_SCALE, ready for measurements");
+async function disconnectBle() {
+  clearDataTimeout(); // Clear any pending timeouts
+  await link.unsubscribe();
+  connection.disconnect();
+}
 
-    // console.log("🔍 Discovering services and characteristics...");
-    // const svcs = await server.getPrimaryServices();
-    // console.log('🔍 Discovered Services:', svcs.map(s => s.uuid));
-    // for (const s of svcs) {
-    //   const chars = await s.getCharacteristics();
-    //   console.log(`📡 Service ${s.uuid} → Characteristics:`, chars.map(c => c.uuid));
-    // }
+// Simulation swaps in a virtual FG2305ULB and connects to it through the normal BLE path
+async function startSimulation() {
+  if (virtualScale) return;
+  clearDataTimeout(); // Clear any real device timeouts
+  setStatus('Simulating…');
+  virtualScale = VirtualScale.createVirtualScale({ repeatEveryMs: 15000, sleepAfterMs: 3000 });
+  restoreBluetooth = VirtualScale.installVirtualBluetooth(navigator, virtualScale.bluetooth);
+  await connectBle();
+}
 
-    // Connect to Weight Scale Service (0x181D)
-    console.log("🔗 Connecting to Weight Scale Service...");
-    const weightService = await server.getPrimaryService(UUIDS.weightService);
-    weightChar = await weightService.getCharacteristic(UUIDS.weightChar);
-    await weightChar.startNotifications();
-    weightChar.addEventListener('characteristicvaluechanged', handleWeightNotify);
-    console.log("✅ Weight Scale Service connected");
+async function stopSimulation() {
+  if (!virtualScale) return;
+  await disconnectBle();
+  virtualScale.stop();
+  restoreBluetooth();
+  virtualScale = null;
+  restoreBluetooth = null;
+  if (!isConnected) setStatus('Idle');
+}
 
-    // Connect to Custom BIA Service (0xFFB0)
-    console.log("🔗 Connecting to Custom BIA Service...");
-    try {
-      const biaService = await server.getPrimaryService(UUIDS.customService);
-      biaChar = await biaService.getCharacteristic(UUIDS.biaChar);
-      await biaChar.startNotifications();
-      biaChar.addEventListener('characteristicvaluechanged', handleBiaNotify);
-      console.log("✅ Custom BIA Service connected");
-    } catch (e) {
-      console.warn("⚠️ Custom BIA Service not available:", e.message);
-      console.log("📊 Will use weight-only mode with estimated impedance");
-      biaChar = null;
-    }
+// Offline replay: feed captured frames through the same notification handlers as a live scale
+const REPLAY_HANDLERS = {
+  [UUIDS.weightChar]: link.handlers.weight,
+  [UUIDS.biaChar]: link.handlers.bia,
+  [UUIDS.vendorChar]: link.handlers.vendor
+};
 
-    isConnected = true;
-    btnDisconnect.disabled = false;
-    btnConnect.disabled = false;
-    btnRetry.disabled = false;
-    btnFallback.disabled = false;
-    setStatus('✅ Connected to MY_SCALE');
-    startDataTimeout(); // Start timeout to detect when no data arrives
-  } catch (err) {
-    // Re-enable buttons on error
-    btnConnect.disabled = false;
-    btnRetry.disabled = false;
-    btnFallback.disabled = false;
-
-    if (err.name === 'NotFoundError') {
-      console.warn('User canceled the Bluetooth selection dialog.');
-      setStatus('You cancelled the Bluetooth chooser or didn\'t select any device. Please click Connect Scale again.');
-    } else if (err.name === 'SecurityError') {
-      console.error('Security error - HTTPS required for Web Bluetooth');
-      setStatus('Error: HTTPS required for Bluetooth');
-    } else if (err.name === 'NotSupportedError') {
-      console.error('Web Bluetooth not supported');
-      setStatus('Error: Web Bluetooth not supported');
-    } else {
-      console.error('Connection failed:', err);
-      setStatus(`Connection failed: ${err.message}`);
+// One row per frame: what the decoder saw and what reached computeAndRenderMetrics
+function renderReplayTable(rows) {
+  const panel = $('replayPanel');
+  const body = $('replayRows');
+  if (!panel || !body) return;
+  body.textContent = '';
+  for (const r of rows) {
+    const tr = document.createElement('tr');
+    for (const cell of [r.source, r.char, r.kind, r.seq, r.frameWeight, r.renderedWeight, r.renderedImpedance, r.hex]) {
+      const td = document.createElement('td');
+      td.textContent = cell == null ? '—' : String(cell);
+      tr.appendChild(td);
     }
+    body.appendChild(tr);
   }
-
+  panel.hidden = rows.length === 0;
 }
 
-// Fallback connection function that shows all devices
-async function connectBleFallback() {
-  if (!navigator.bluetooth) {
-    setStatus('Web Bluetooth not supported');
-    return;
-  }
-
-  // Show warning and disable buttons
-  setStatus('⚠️ Fallback mode – showing all nearby BLE devices (use only if MY_SCALE doesn\'t appear).');
-  btnConnect.disabled = true;
-  btnRetry.disabled = true;
-  btnFallback.disabled = true;
-
+// frames: [{ uuid, dv, source, timeMs }] in arrival order; returns the replay table rows.
+// timeMs is the capture time, so the stability detector sees the original frame spacing.
+function replayFrames(frames) {
+  link.reset();
+  session.reset();
+  const rows = [];
+  replaying = true;
   try {
-    device = await navigator.bluetooth.requestDevice({
-      acceptAllDevices: true,
-      optionalServices: [UUIDS.weightService, UUIDS.customService]
-    });
-    device.addEventListener('gattserverdisconnected', onDisconnected);
-    console.log("✅ Found device (fallback):", device.name);
-    setDeviceInfo(device.name || 'Unknown', UUIDS.weightService);
-    setStatus('Connecting…');
-
-    server = await device.gatt.connect();
-
-    // Log discovered services and characteristics
-    console.log("🔍 Discovering services and characteristics...");
-    const svcs = await server.getPrimaryServices();
-    console.log('🔍 Discovered Services:', svcs.map(s => s.uuid));
-    for (const s of svcs) {
-      const chars = await s.getCharacteristics();
-      console.log(`📡 Service ${s.uuid} → Characteristics:`, chars.map(c => c.uuid));
+    for (const { uuid, dv, source, timeMs } of frames) {
+      const handler = REPLAY_HANDLERS[uuid];
+      const frame = Protocol.summarizeFrame(Protocol.decodeNotification(uuid, dv));
+      // Handlers and their listeners run synchronously up to the first await, so window.__last is current here
+      if (handler) handler({ target: { value: dv }, timeStamp: timeMs });
+      const last = window.__last || {};
+      rows.push({
+        source,
+        char: uuid ? uuid.slice(4, 8) : '?',
+        kind: handler ? frame.kind : 'unmapped',
+        seq: frame.seq,
+        frameWeight: frame.weightKg,
+        renderedWeight: handler ? last.weightKg : null,
+        renderedImpedance: handler ? last.impedanceOhm : null,
+        hex: frame.hex
+      });
     }
+    link.finishWeighIn(); // the capture ends here, so a 0x2A9D reading still settling is final
+  } finally {
+    replaying = false;
+  }
+  renderReplayTable(rows);
+  return rows;
+}
 
-    // Connect to Weight Scale Service (0x181D)
-    console.log("🔗 Connecting to Weight Scale Service...");
-    const weightService = await server.getPrimaryService(UUIDS.weightService);
-    weightChar = await weightService.getCharacteristic(UUIDS.weightChar);
-    await weightChar.startNotifications();
-    weightChar.addEventListener('characteristicvaluechanged', handleWeightNotify);
-    console.log("✅ Weight Scale Service connected");
-
-    // Connect to Custom BIA Service (0xFFB0)
-    console.log("🔗 Connecting to Custom BIA Service...");
-    try {
-      const biaService = await server.getPrimaryService(UUIDS.customService);
-      biaChar = await biaService.getCharacteristic(UUIDS.biaChar);
-      await biaChar.startNotifications();
-      biaChar.addEventListener('characteristicvaluechanged', handleBiaNotify);
-      console.log("✅ Custom BIA Service connected");
-    } catch (e) {
-      console.warn("⚠️ Custom BIA Service not available:", e.message);
-      console.log("📊 Will use weight-only mode with estimated impedance");
-      biaChar = null;
+async function importCapture(file) {
+  try {
+    setStatus(`Reading ${file.name}…`);
+    const capture = Pcapng.readPcapng(new Uint8Array(await file.arrayBuffer()));
+    const { notifications, l2cap } = Pcapng.extractAttNotifications(capture);
+    console.log(`📂 ${file.name}: ${capture.packets.length} packets, ${notifications.length} ATT notifications`);
+    const skipped = l2cap.truncated + l2cap.incomplete;
+    if (notifications.length === 0) {
+      setStatus(`No GATT notifications in ${file.name} (advertising only?)`);
+      return;
     }
 
-    isConnected = true;
-    btnDisconnect.disabled = false;
-    btnConnect.disabled = false;
-    btnRetry.disabled = false;
-    btnFallback.disabled = false;
-    setStatus('✅ Connected to MY_SCALE');
-    startDataTimeout(); // Start timeout to detect when no data arrives
+    const start = notifications[0].timestampUs;
+    const frames = notifications.map(n => ({
+      uuid: n.uuid,
+      dv: new DataView(n.value.buffer, n.value.byteOffset, n.value.byteLength),
+      source: `+${((n.timestampUs - start) / 1e6).toFixed(3)} s`,
+      timeMs: (n.timestampUs - start) / 1000
+    }));
+    const rows = replayFrames(frames);
+    const unmapped = rows.filter(r => r.kind === 'unmapped').length;
+    setStatus(`Replayed ${rows.length - unmapped} of ${rows.length} notifications from ${file.name}` +
+      (unmapped ? ` (${unmapped} on unknown handles)` : '') +
+      (skipped ? `, ${skipped} cut short by the capture and skipped` : ''));
   } catch (err) {
-    // Re-enable buttons on error
-    btnConnect.disabled = false;
-    btnRetry.disabled = false;
-    btnFallback.disabled = false;
-
-    if (err.name === 'NotFoundError') {
-      console.warn('User canceled the Bluetooth selection dialog.');
-      setStatus('You cancelled the Bluetooth chooser or didn\'t select any device. Please click Connect Scale again.');
-    } else if (err.name === 'SecurityError') {
-      console.error('Security error - HTTPS required for Web Bluetooth');
-      setStatus('Error: HTTPS required for Bluetooth');
-    } else if (err.name === 'NotSupportedError') {
-      console.error('Web Bluetooth not supported');
-      setStatus('Error: Web Bluetooth not supported');
-    } else {
-      console.error('Connection failed:', err);
-      setStatus(`Connection failed: ${err.message}`);
-    }
+    console.error('❌ Capture import failed:', err);
+    setStatus(`Capture import failed: ${err.message}`);
   }
 }
 
-async function disconnectBle() {
+async function importConsoleLog(file) {
   try {
-    clearDataTimeout(); // Clear any pending timeouts
-    if (weightChar) {
-      try { await weightChar.stopNotifications(); } catch { }
-      weightChar.removeEventListener('characteristicvaluechanged', handleWeightNotify);
-    }
-    if (biaChar) {
-      try { await biaChar.stopNotifications(); } catch { }
-      biaChar.removeEventListener('characteristicvaluechanged', handleBiaNotify);
-    }
-    if (device && device.gatt && device.gatt.connected) {
-      device.gatt.disconnect();
+    const parsed = ConsoleLog.parseConsoleLog(await file.text());
+    console.log(`📂 ${file.name}: ${parsed.length} raw frames`);
+    if (parsed.length === 0) {
+      setStatus(`No raw frames found in ${file.name}`);
+      return;
     }
-  } finally {
-    isConnected = false;
-    btnDisconnect.disabled = true;
-    btnConnect.disabled = false;
-    btnRetry.disabled = false;
-    btnFallback.disabled = false;
-    setStatus('❌ Disconnected');
+    // Frames without a "Measurement logged" line reuse the previous frame's time
+    let timeMs = 0;
+    const frames = parsed.map(f => {
+      if (f.loggedAt) timeMs = Date.parse(f.loggedAt);
+      return {
+        uuid: f.uuid,
+        dv: new DataView(f.bytes.buffer, f.bytes.byteOffset, f.bytes.byteLength),
+        source: `line ${f.line}`,
+        timeMs
+      };
+    });
+    replayFrames(frames);
+    setStatus(`Replayed ${frames.length} frames from ${file.name}`);
+  } catch (err) {
+    console.error('❌ Log import failed:', err);
+    setStatus(`Log import failed: ${err.message}`);
   }
 }
 
-function onDisconnected() {
-  clearDataTimeout(); // Clear any pending timeouts
-  isConnected = false;
-  btnDisconnect.disabled = true;
-  btnConnect.disabled = false;
-  btnRetry.disabled = false;
-  btnFallback.disabled = false;
-  setStatus('❌ Disconnected');
-}
-
-function startSimulation() {
-  if (simInterval) return;
-  clearDataTimeout(); // Clear any real device timeouts
-  setStatus('Simulating…');
-  let t = 0;
-  simInterval = setInterval(() => {
-    t += 1;
-    const weightKg = 72.0 + Math.sin(t / 10) * 0.4; // small drift
-    const impedanceOhm = 520 + Math.round(Math.sin(t / 7) * 15) + 10 * (Math.random() - 0.5);
-    window.__last = { weightKg, impedanceOhm };
-    computeAndRenderMetrics(window.__last);
-  }, 750);
-}
-
-function stopSimulation() {
-  if (simInterval) clearInterval(simInterval);
-  simInterval = null;
-  if (!isConnected) setStatus('Idle');
-}
-
 // Events
 // btnConnect.addEventListener('click', () => { if (!simulate) connectBle(); });
 // btnDisconnect.addEventListener('click', () => disconnectBle());
@@ -808,6 +967,89 @@ document.addEventListener("DOMContentLoaded", () => {
   if (btnDisconnectEl) btnDisconnectEl.addEventListener('click', () => disconnectBle());
   if (btnRetryEl) btnRetryEl.addEventListener('click', () => { if (!simulate) connectBle(); });
   if (btnFallbackEl) btnFallbackEl.addEventListener('click', () => { if (!simulate) connectBleFallback(); });
+  // Edits save to the active profile; keep the scale in step with the sidebar while connected
+  const userFormEl = document.getElementById('userForm');
+  if (userFormEl) userFormEl.addEventListener('change', (e) => {
+    profiles.save(readProfileForm());
+    renderProfiles();
+    if (e.target && (e.target.id === 'units' || e.target.id === 'heightUnit')) {
+      if (window.__last && window.__last.weightKg > 0) computeAndRenderMetrics(window.__last);
+      renderHistory();
+    } else if (e.target && /^goal/.test(e.target.id)) {
+      renderGoals();
+    }
+    if (!link.canSendCommands()) return;
+    const profile = getUserProfile();
+    const pending = e.target && e.target.id === 'units'
+      ? link.commands.setUnits(profile.units)
+      : link.commands.syncUserProfile(profile);
+    pending.catch(err => console.warn("⚠️ Scale sync failed:", err));
+  });
+  if (profileSelectEl) profileSelectEl.addEventListener('change', (e) => selectProfile(e.target.value));
+  // Algorithm profile in the sidebar, per-metric variants on the cards ('custom' is display only)
+  if (algorithmProfileEl) algorithmProfileEl.addEventListener('change', (e) => {
+    if (e.target.value !== 'custom') selectAlgorithms({ profile: e.target.value, overrides: {} });
+  });
+  if (referenceTableEl) referenceTableEl.addEventListener('change', (e) => selectReferenceTable(e.target.value));
+  if (sendCommandsEl) sendCommandsEl.addEventListener('change', (e) => {
+    sendCommands = e.target.checked;
+    localStorage.setItem(Commands.COMMANDS_OPT_IN_KEY, String(sendCommands));
+    if (sendCommands && link.canSendCommands()) link.syncScale();
+  });
+  const metricsEl = document.querySelector('.metrics');
+  if (metricsEl) metricsEl.addEventListener('change', (e) => {
+    const metric = e.target && e.target.dataset && e.target.dataset.metric;
+    if (!metric) return;
+    selectAlgorithms({ ...algorithmSelection, overrides: { ...algorithmSelection.overrides, [metric]: e.target.value } });
+  });
+  const btnNewProfileEl = document.getElementById('btnNewProfile');
+  if (btnNewProfileEl) btnNewProfileEl.addEventListener('click', () => {
+    const profile = profiles.save({ name: `User ${profiles.list().length + 1}` });
+    selectProfile(profile.id);
+    if (profileNameEl) profileNameEl.focus();
+  });
+  const btnDeleteProfileEl = document.getElementById('btnDeleteProfile');
+  if (btnDeleteProfileEl) btnDeleteProfileEl.addEventListener('click', () => {
+    const active = profiles.active();
+    if (profiles.list().length <= 1) {
+      setStatus('The last profile cannot be deleted');
+      return;
+    }
+    if (!window.confirm(`Delete profile "${active.name}"? Its saved measurements are kept.`)) return;
+    profiles.remove(active.id);
+    selectProfile(profiles.active().id);
+  });
+  const pcapInputEl = document.getElementById('pcapInput');
+  if (pcapInputEl) pcapInputEl.addEventListener('change', (e) => {
+    const file = e.target.files && e.target.files[0];
+    if (file) importCapture(file);
+    e.target.value = '';
+  });
+  const historyRangesEl = document.getElementById('historyRanges');
+  if (historyRangesEl) historyRangesEl.addEventListener('click', (e) => {
+    const range = e.target && e.target.dataset && e.target.dataset.range;
+    if (!range) return;
+    historyRange = range;
+    renderHistory();
+  });
+  const btnExportCsvEl = document.getElementById('btnExportCsv');
+  if (btnExportCsvEl) btnExportCsvEl.addEventListener('click', () => exportHistory('csv'));
+  const btnExportJsonEl = document.getElementById('btnExportJson');
+  if (btnExportJsonEl) btnExportJsonEl.addEventListener('click', () => exportHistory('json'));
+  const btnExportVendorEl = document.getElementById('btnExportVendor');
+  if (btnExportVendorEl) btnExportVendorEl.addEventListener('click', () => exportHistory('vendor'));
+  const historyInputEl = document.getElementById('historyInput');
+  if (historyInputEl) historyInputEl.addEventListener('change', (e) => {
+    const file = e.target.files && e.target.files[0];
+    if (file) importHistory(file);
+    e.target.value = '';
+  });
+  const logInputEl = document.getElementById('logInput');
+  if (logInputEl) logInputEl.addEventListener('change', (e) => {
+    const file = e.target.files && e.target.files[0];
+    if (file) importConsoleLog(file);
+    e.target.value = '';
+  });
   if (toggleSimEl) toggleSimEl.addEventListener('change', (e) => {
     simulate = e.target.checked;
     if (simulate) {
@@ -818,116 +1060,407 @@ document.addEventListener("DOMContentLoaded", () => {
   });
 });
 
-// Data logging for debugging
-function logMeasurement(data) {
-  const timestamp = new Date().toISOString();
-  const logEntry = {
-    timestamp,
-    weight: data.weightKg,
-    impedance: data.impedanceOhm,
-    userProfile: getUserProfile()
+// Measurement history (IndexedDB); the old localStorage log is moved over on first open
+const historyReady = History.openHistoryStore()
+  .then(async (store) => {
+    const moved = await store.migrateLegacyLog();
+    if (moved) console.log(`📦 Moved ${moved} weigh-ins from the legacy log into measurement history`);
+    return store;
+  })
+  .catch((err) => {
+    console.warn('⚠️ Measurement history unavailable, results will not be saved:', err);
+    return null;
+  });
+
+// One record per completed weigh-in: raw frames, decoded values, profile and every metric
+async function saveMeasurement({ userId, source, takenAt, startedAt = null, frames = [], weightKg, impedanceOhm, impedanceEstimated, impedances = [], segments = null, metrics, algorithmProfile, algorithmVariants }) {
+  const record = {
+    userId: userId || profiles.active().id,
+    takenAt: takenAt || new Date(),
+    startedAt,
+    source,
+    frames,
+    weightKg,
+    impedanceOhm,
+    impedanceEstimated,
+    // Only kept when they say more than impedanceOhm: several frequencies or a reactance
+    ...(impedances.length > 1 || impedances.some(r => r.reactanceOhm != null) ? { impedances } : {}),
+    ...(segments ? { segments } : {}),
+    profile: getUserProfile(),
+    algorithmVersion: BIA.ALGORITHM_VERSION,
+    algorithmProfile,
+    algorithmVariants,
+    metrics
   };
-  console.log('📊 Measurement logged:', logEntry);
+  // Same shape as before: console_log_reader.js picks the timestamp up when a log is replayed
+  console.log('📊 Measurement logged:', {
+    timestamp: new Date(record.takenAt).toISOString(),
+    weight: weightKg,
+    impedance: impedanceOhm,
+    source
+  });
+  if (replaying) return null;
 
-  // Store in localStorage for debugging
-  const logs = JSON.parse(localStorage.getItem('fitdays_logs') || '[]');
-  logs.push(logEntry);
-  if (logs.length > 100) logs.shift(); // Keep only last 100 entries
-  localStorage.setItem('fitdays_logs', JSON.stringify(logs));
+  const store = await historyReady;
+  if (!store) return null;
+  try {
+    const id = await store.add(record);
+    console.log(`💾 Saved measurement #${id} to history`);
+    renderHistory();
+    return id;
+  } catch (err) {
+    console.error('❌ Could not save measurement to history:', err);
+    setStatus(`Measurement not saved: ${err.message}`);
+    return null;
+  }
 }
 
-// Initial UI state
-setStatus('Idle');
-setDeviceInfo('—', '—');
-if (btnRetry) btnRetry.disabled = true;
-if (btnFallback) btnFallback.disabled = true;
-Metrics.weight('—', 'kg');
-Metrics.bmi('—');
-Metrics.bodyFat('—');
-Metrics.muscleMass('—');
-Metrics.boneMass('—');
-Metrics.tbw('—');
-Metrics.vfi('—');
-Metrics.bmr('—');
-Metrics.metaAge('—');
-
-
-// buffer: Uint8Array or ArrayBuffer
-function parseFitdaysPacket(buffer) {
-  const bytes = (buffer instanceof Uint8Array) ? buffer : new Uint8Array(buffer);
-  const hex = Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join(' ');
-  console.log("Packet hex:", hex);
+// History panel: one trend chart per metric card, plus details for a clicked point
+let historyRange = '30d';
+let selectedRecordId = null;
+
+async function renderHistory() {
+  const panel = $('historyPanel');
+  const chartsEl = $('historyCharts');
+  if (!panel || !chartsEl) return;
+  const store = await historyReady;
+  if (!store) {
+    panel.hidden = true;
+    return;
+  }
+  panel.hidden = false;
 
-  const candidates = [];
+  for (const btn of document.querySelectorAll('#historyRanges [data-range]')) {
+    btn.classList.toggle('active', btn.dataset.range === historyRange);
+  }
 
-  // helper to read little-endian unsigned integers
-  function readUInt16LE(off) {
-    if (off + 1 >= bytes.length) return null;
-    return bytes[off] | (bytes[off + 1] << 8);
+  let records;
+  try {
+    records = await store.query({ from: Charts.rangeStart(historyRange), userId: profiles.active().id });
+  } catch (err) {
+    console.error('❌ Could not read measurement history:', err);
+    setText('historySummary', `History unavailable: ${err.message}`);
+    return;
   }
-  function readUInt32LE(off) {
-    if (off + 3 >= bytes.length) return null;
-    return (bytes[off]) | (bytes[off + 1] << 8) | (bytes[off + 2] << 16) | (bytes[off + 3] << 24);
+  const { averageDays, label } = Charts.HISTORY_RANGES[historyRange];
+  const vendorCount = records.filter(r => r.vendorComputed).length;
+  setText('historySummary', records.length
+    ? `${records.length} measurement(s) in the last ${label} · dashed line: ${averageDays}-day moving average` +
+      (vendorCount ? ` · ${vendorCount} from the FitDays app (orange)` : '')
+    : `No measurements in the last ${label}`);
+
+  const { units } = getUserProfile();
+  chartsEl.textContent = '';
+  for (const metric of Charts.HISTORY_METRICS) {
+    // Masses follow the unit selector (stone as decimal stones); everything else is stored as shown
+    const isMass = metric.unit === 'kg';
+    const points = Charts.buildSeries(records, metric).map(p => isMass ? { ...p, v: Units.toMassUnit(p.v, units) } : p);
+    const card = document.createElement('figure');
+    card.className = 'trend-card';
+    const title = document.createElement('figcaption');
+    title.className = 'metric-title';
+    const unit = isMass ? Units.massUnit(units) : metric.unit;
+    title.textContent = unit ? `${metric.label} (${unit})` : metric.label;
+    const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    card.appendChild(title);
+    card.appendChild(svg);
+    chartsEl.appendChild(card);
+    Charts.renderTrendChart(svg, points, {
+      averageDays,
+      digits: metric.digits,
+      selectedId: selectedRecordId,
+      onSelect: (record) => {
+        selectedRecordId = record.id;
+        renderHistory();
+      }
+    });
   }
 
-  // try plausible offsets for weight (uint16) and scales (/10, /100)
-  for (let off = 0; off < Math.min(12, bytes.length - 1); off++) {
-    const raw16 = readUInt16LE(off);
-    if (raw16 === null) continue;
-    // plausible weight ranges to consider (kg)
-    const w10 = raw16 / 10.0;
-    const w100 = raw16 / 100.0;
-    if (w10 >= 10 && w10 <= 300) candidates.push({ type: 'weight', off, raw16, value: w10, scale: 10 });
-    if (w100 >= 10 && w100 <= 300) candidates.push({ type: 'weight', off, raw16, value: w100, scale: 100 });
-  }
+  renderHistoryDetail(records.find(r => r.id === selectedRecordId) || null);
+  renderGoals();
+}
 
-  // try plausible offsets for impedance (uint16/uint32)
-  for (let off = 0; off < Math.min(12, bytes.length - 1); off++) {
-    const raw16 = readUInt16LE(off);
-    if (raw16 === null) continue;
-    // plausible impedance ranges (ohms)
-    if (raw16 >= 150 && raw16 <= 3000) candidates.push({ type: 'impedance16', off, raw16, value: raw16 });
+// Goal progress on the Weight and Body Fat cards: bar, weekly trend, projected date, rate warning
+const GOAL_STATUS_TEXT = {
+  reached: 'Goal reached 🎉',
+  'on-track': 'On track',
+  behind: 'Behind schedule',
+  away: 'Trending away from the goal',
+  stalled: 'No change lately',
+  'no-trend': 'Not enough recent weigh-ins for a trend'
+};
+const GOAL_WARNING_TEXT = {
+  'fast-loss': `⚠️ Losing more than ${Goals.GOAL_DEFAULTS.maxWeeklyLossPercent}% of body weight per week is faster than recommended`,
+  'fast-gain': `⚠️ Gaining more than ${Goals.GOAL_DEFAULTS.maxWeeklyGainPercent}% of body weight per week is faster than recommended`,
+  'fast-fat-change': `⚠️ Body fat is changing by more than ${Goals.GOAL_DEFAULTS.maxWeeklyFatPoints} point(s) per week`
+};
+
+async function renderGoals() {
+  const profile = getUserProfile();
+  const goals = [
+    { id: 'weightGoal', kind: 'weight', target: profile.goalWeightKg, value: r => r.weightKg },
+    { id: 'bodyFatGoal', kind: 'bodyFat', target: profile.goalBodyFatPercent, value: r => r.metrics && r.metrics.bodyFatPercent }
+  ];
+  let records = [];
+  const store = await historyReady;
+  if (store && goals.some(g => g.target != null)) {
+    try {
+      records = await store.query({ userId: profile.id });
+    } catch (err) {
+      console.warn('⚠️ Goal progress unavailable:', err.message);
+    }
   }
-  for (let off = 0; off < Math.min(12, bytes.length - 3); off++) {
-    const raw32 = readUInt32LE(off);
-    if (raw32 === null) continue;
-    if (raw32 >= 150 && raw32 <= 300000) candidates.push({ type: 'impedance32', off, raw32, value: raw32 });
+  for (const goal of goals) {
+    const el = $(goal.id);
+    if (!el) continue;
+    el.textContent = '';
+    const points = records.map(r => ({ t: r.takenAt, v: goal.value(r) })).filter(p => Number.isFinite(p.v));
+    const result = Goals.evaluateGoal(points, { target: goal.target, startedAt: profile.goalStartedAt, targetDate: profile.goalDate }, goal.kind);
+    el.hidden = !result;
+    if (!result) continue;
+
+    // Weight follows the unit selector (stone users get their weekly rate in lb); body fat is in points
+    const isWeight = goal.kind === 'weight';
+    const amount = v => isWeight ? Units.formatMassText(v, profile.units) : `${v.toFixed(1)} %`;
+    const rateUnits = profile.units === 'stone' ? 'imperial' : profile.units;
+    const rateUnit = isWeight ? Units.massUnit(rateUnits) : '%';
+    const bar = document.createElement('div');
+    bar.className = 'goal-bar';
+    const fill = document.createElement('span');
+    fill.style.width = `${(result.progress * 100).toFixed(1)}%`;
+    bar.appendChild(fill);
+    el.appendChild(bar);
+
+    const summary = document.createElement('div');
+    summary.className = 'goal-summary';
+    const parts = [`Goal ${amount(result.target)} · ${Math.round(result.progress * 100)}%`];
+    if (result.status !== 'reached') parts.push(`${amount(Math.abs(result.remaining))} to go`);
+    if (result.ratePerWeek != null) {
+      const rate = isWeight ? Units.toMassUnit(result.ratePerWeek, rateUnits) : result.ratePerWeek;
+      parts.push(`${rate >= 0 ? '+' : '−'}${Math.abs(rate).toFixed(2)} ${rateUnit}/week`);
+    }
+    summary.textContent = parts.join(' · ');
+    el.appendChild(summary);
+
+    const status = document.createElement('div');
+    status.className = 'goal-status';
+    status.dataset.status = result.status;
+    status.textContent = result.projectedAt != null
+      ? `${GOAL_STATUS_TEXT[result.status]} · projected ${new Date(result.projectedAt).toLocaleDateString()}`
+      : GOAL_STATUS_TEXT[result.status];
+    if (profile.goalDate) status.textContent += ` · target ${new Date(Goals.parseDate(profile.goalDate)).toLocaleDateString()}`;
+    el.appendChild(status);
+
+    if (result.warning) {
+      const warning = document.createElement('div');
+      warning.className = 'goal-warning';
+      warning.textContent = GOAL_WARNING_TEXT[result.warning];
+      el.appendChild(warning);
+    }
   }
+}
 
-  // Heuristic: also check 2-byte signed values (sometimes impedance uses signed)
-  function readInt16LE(off) {
-    if (off + 1 >= bytes.length) return null;
-    const v = readUInt16LE(off);
-    return v >= 0x8000 ? v - 0x10000 : v;
+// Drill-down for one stored measurement: decoded values, metrics, profile and raw frames
+function renderHistoryDetail(record) {
+  const el = $('historyDetail');
+  if (!el) return;
+  el.textContent = '';
+  el.hidden = !record;
+  if (!record) return;
+
+  const heading = document.createElement('h3');
+  heading.textContent = `${new Date(record.takenAt).toLocaleString()} · ${record.source}`;
+  el.appendChild(heading);
+
+  const m = record.metrics || {};
+  const p = record.profile || {};
+  const fmt = (v, digits = 1, unit = '') => v == null ? '—' : `${Number(v).toFixed(digits)}${unit ? ' ' + unit : ''}`;
+  const { units, heightUnit } = getUserProfile();
+  const rows = [
+    ['Weight', Units.formatMassText(record.weightKg, units, 2)],
+    ['Impedance', record.impedanceOhm == null ? '—' : `${record.impedanceOhm} Ω${record.impedanceEstimated ? ' (estimated)' : ''}`],
+    ...(record.impedances ? [['Frequencies', record.impedances.map(r =>
+      `${r.frequencyKHz} kHz: R ${r.resistanceOhm} Ω${r.reactanceOhm != null ? `, X ${r.reactanceOhm} Ω` : ''}`).join('; ')]] : []),
+    ...(record.segments ? [['Segments', Segmental.SEGMENTS.map(({ key, label }) => {
+      const r = Segmental.pickReading(record.segments[key]);
+      return `${label.toLowerCase()} ${r ? r.impedanceOhm + ' Ω' : '—'}`;
+    }).join(', ')]] : []),
+    ['BMI', fmt(m.bmi)],
+    ['Body fat', fmt(m.bodyFatPercent, 1, '%')],
+    ['Muscle mass', Units.formatMassText(m.muscleMassKg, units)],
+    ['Bone mass', Units.formatMassText(m.boneMassKg, units)],
+    ['Total body water', fmt(m.tbwPercent, 1, '%')],
+    ...(m.ecwL != null ? [['ECW / ICW', `${fmt(m.ecwL, 1, 'L')} / ${fmt(m.icwL, 1, 'L')}`]] : []),
+    ...(m.phaseAngleDeg != null ? [['Phase angle', fmt(m.phaseAngleDeg, 1, '°')]] : []),
+    ['Visceral fat index', fmt(m.visceralFat)],
+    ['BMR', fmt(m.bmrKcal, 0, 'kcal')],
+    ['Metabolic age', fmt(m.metabolicAge, 0, 'yrs')],
+    ['Protein', fmt(m.proteinPercent, 1, '%')],
+    ['Skeletal muscle', m.skeletalMuscleKg == null ? '—' : `${Units.formatMassText(m.skeletalMuscleKg, units)} (${fmt(m.skeletalMusclePercent, 1, '%')})`],
+    ['Subcutaneous fat', fmt(m.subcutaneousFatPercent, 1, '%')],
+    ['Lean body mass', Units.formatMassText(m.leanBodyMassKg, units)],
+    ['Fat-free weight', Units.formatMassText(m.fatFreeWeightKg, units)],
+    ['Body type', m.bodyShape ? BIA.BODY_SHAPES[m.bodyShape - 1] : '—'],
+    ['Body score', fmt(m.bodyScore, 0, '/ 100')],
+    ['Profile', record.profile ? `${p.name ? p.name + ': ' : ''}${p.sex === 1 ? 'male' : 'female'}, ${p.age} y, ${Units.formatHeight(p.heightCm, heightUnit)}, ${p.bodyType === 1 ? 'athlete' : 'standard'}` : '—'],
+    ['Algorithm', record.vendorComputed ? 'computed by the FitDays app'
+      : [record.algorithmVersion || '—', record.algorithmProfile].filter(Boolean).join(' · ')],
+    ['Variants', record.algorithmVariants
+      ? Object.entries(record.algorithmVariants).map(([metric, id]) => `${metric}: ${id}`).join(', ') : '—']
+  ];
+  const dl = document.createElement('dl');
+  for (const [k, v] of rows) {
+    const dt = document.createElement('dt');
+    dt.textContent = k;
+    const dd = document.createElement('dd');
+    dd.textContent = v;
+    dl.appendChild(dt);
+    dl.appendChild(dd);
   }
-  for (let off = 0; off < Math.min(12, bytes.length - 1); off++) {
-    const i16 = readInt16LE(off);
-    if (i16 === null) continue;
-    if (i16 >= 150 && i16 <= 3000) candidates.push({ type: 'impedance_s16', off, raw: i16, value: i16 });
+  el.appendChild(dl);
+
+  const frames = record.frames || [];
+  if (frames.length) {
+    const details = document.createElement('details');
+    const summary = document.createElement('summary');
+    summary.textContent = `Raw frames (${frames.length})`;
+    const pre = document.createElement('pre');
+    pre.textContent = frames.join('\n');
+    details.appendChild(summary);
+    details.appendChild(pre);
+    el.appendChild(details);
   }
+}
 
-  // Unique candidate dedup by type+off+value
-  const uniq = {};
-  const filtered = [];
-  for (const c of candidates) {
-    const k = `${c.type}_${c.off}_${c.value}`;
-    if (!uniq[k]) { uniq[k] = 1; filtered.push(c); }
+// Export the active user's measurements in the range shown in the history panel.
+// kind: 'csv' | 'json' (our lossless formats) or 'vendor' (FitDays app CSV layout)
+async function exportHistory(kind) {
+  const store = await historyReady;
+  if (!store) {
+    setStatus('Measurement history unavailable, nothing to export');
+    return;
+  }
+  const filter = { userId: profiles.active().id, from: Charts.rangeStart(historyRange), to: Date.now() };
+  try {
+    const records = await store.query(filter);
+    const stamp = new Date().toISOString().slice(0, 10);
+    const slug = profiles.active().name.toLowerCase().replace(/[^a-z0-9]+/g, '-') || 'user';
+    const name = `fitdays-${slug}-${historyRange}-${stamp}`;
+    if (kind === 'vendor') {
+      // The app's layout has no room for its own numbers next to ours: export only what we computed
+      const own = records.filter(r => !r.vendorComputed);
+      downloadText(`${name}-app.csv`, VendorCsv.toVendorCsv(own, { units: profiles.active().units }), 'text/csv');
+      setStatus(`Exported ${own.length} measurement(s) in FitDays app format`);
+      return;
+    }
+    const text = kind === 'csv' ? HistoryExport.toCsvExport(records) : HistoryExport.toJsonExport(records, filter);
+    downloadText(`${name}.${kind}`, text, kind === 'csv' ? 'text/csv' : 'application/json');
+    setStatus(`Exported ${records.length} measurement(s) to ${kind.toUpperCase()}`);
+  } catch (err) {
+    console.error('❌ History export failed:', err);
+    setStatus(`Export failed: ${err.message}`);
   }
+}
 
-  console.log("Candidates (" + filtered.length + "):");
-  filtered.forEach(c => {
-    if (c.type.startsWith('weight')) {
-      console.log(` Weight candidate: offset=${c.off}, raw=${c.raw16}, scale=/${c.scale}, kg=${c.value.toFixed(2)}`);
+function downloadText(filename, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Merge a previously exported CSV/JSON file back in; users unknown here get a profile
+// from the snapshot stored with their measurements. A FitDays app CSV has no user column
+// and is imported for the active profile, flagged as vendor-computed.
+async function importHistory(file) {
+  const store = await historyReady;
+  if (!store) {
+    setStatus('Measurement history unavailable, cannot import');
+    return;
+  }
+  try {
+    const text = await file.text();
+    const isJson = /\.json$/i.test(file.name) || text.trimStart().startsWith('{');
+    let records;
+    if (isJson) {
+      records = HistoryExport.parseJsonExport(text);
+    } else if (VendorCsv.isVendorCsv(text)) {
+      const profile = getUserProfile();
+      records = VendorCsv.parseVendorCsv(text, { userId: profile.id, profile });
+      console.log(`📥 ${file.name}: FitDays app export, ${records.length} row(s) for ${profile.name}`);
     } else {
-      console.log(` Imp candidate: type=${c.type}, offset=${c.off}, raw=${c.raw16 || c.raw}, value=${c.value}`);
+      records = HistoryExport.parseCsvExport(text);
     }
-  });
-  return filtered;
+
+    for (const r of records) {
+      if (!r.userId || profiles.get(r.userId)) continue;
+      const snapshot = r.profile || {};
+      profiles.save({ ...snapshot, id: r.userId, name: snapshot.name || `Imported ${r.userId}` });
+      console.log(`👤 Created profile for imported user ${r.userId}`);
+    }
+
+    const { added, duplicates, invalid } = await store.merge(records);
+    console.log(`📥 ${file.name}: ${added} added, ${duplicates} duplicate(s), ${invalid} invalid`);
+    setStatus(`Imported ${added} measurement(s) from ${file.name}` +
+      (duplicates ? `, ${duplicates} already present` : '') +
+      (invalid ? `, ${invalid} skipped as invalid` : ''));
+    renderProfiles();
+    renderHistory();
+  } catch (err) {
+    console.error('❌ History import failed:', err);
+    setStatus(`Import failed: ${err.message}`);
+  }
 }
 
-// const bytes = new Uint8Array(ev.target.value.buffer);
-// console.log("raw hex:", Array.from(bytes).map(b=>b.toString(16).padStart(2,'0')).join(' '));
-// parseFitdaysPacket(bytes);
+// Initial UI state
+setStatus('Idle');
+setDeviceInfo('—', '—');
+renderFrameStats();
+if (btnRetry) btnRetry.disabled = true;
+if (btnFallback) btnFallback.disabled = true;
+Metrics.weight('—', Units.cardUnit(getUserProfile().units));
+Metrics.bmi('—');
+Metrics.bodyFat('—');
+Metrics.muscleMass('—');
+Metrics.boneMass('—');
+Metrics.tbw('—');
+Metrics.vfi('—');
+Metrics.bmr('—');
+Metrics.metaAge('—');
+Metrics.protein('—');
+Metrics.skeletalMuscle('—', '—');
+Metrics.subcutaneousFat('—');
+Metrics.leanBodyMass('—');
+Metrics.fatFreeWeight('—');
+Metrics.bodyShape(null);
+Metrics.bodyScore('—');
+if (algorithmProfileEl) {
+  for (const [id, p] of [...Object.entries(Algorithms.ALGORITHM_PROFILES), ['custom', { label: 'Custom (per-metric picks)' }]]) {
+    const opt = document.createElement('option');
+    opt.value = id;
+    opt.textContent = p.label;
+    opt.disabled = id === 'custom';
+    algorithmProfileEl.appendChild(opt);
+  }
+}
+if (referenceTableEl) {
+  for (const [id, t] of Object.entries(References.REFERENCE_TABLES)) {
+    const opt = document.createElement('option');
+    opt.value = id;
+    opt.textContent = t.label;
+    referenceTableEl.appendChild(opt);
+  }
+}
+if (sendCommandsEl) sendCommandsEl.checked = sendCommands;
+renderVariantPickers();
+selectReferenceTable(referenceTableId);
+renderProfiles();
+renderHistory();
+restoreConnection();
 
 // Log updated UUIDs for verification
 console.log(" Updated UUIDs from BLE capture:");
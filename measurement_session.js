@@ -0,0 +1,258 @@
+"use strict";
+
+import { createStabilityDetector } from './weight_stability.js';
+import { RECORD_FREQUENCY_KHZ } from './fitdays_protocol.js';
+
+// Weigh-in session model driven by decoded vendor frames (see fitdays_protocol.js)
+//
+//   idle ──deviceInfo──▶ awake ──weight > 0──▶ weighing ──weight holds──▶ stable
+//   stable ──still measuring──▶ impedance ──record / final status──▶ complete
+//   complete ──weight 0──▶ awake ("steppedOff");  weighing/stable/impedance ──weight 0──▶ awake ("aborted")
+//
+// On the FG2305ULB the FFB3 record (0xA7) arrives at the end of the impedance phase, before
+// FFB2 flips its status byte to final; either one completes the session, and the measurement
+// is only emitted once.
+//
+// 8-electrode models add segmental impedance frames (0xA8, provisional layout) before the
+// record; they are kept per segment and frequency and handed over as measurement.segments
+// (null on 4-electrode scales).
+// Whole-body readings from the record and from (provisional) multi-frequency frames are merged
+// into measurement.impedances, [{ frequencyKHz, resistanceOhm, reactanceOhm }] sorted by frequency;
+// impedanceOhm stays the single resistance the algorithms use (the record's, else the reading
+// closest to the record frequency).
+//
+// "weight holds" is decided by weight_stability.js: the scale's final-status flag locks at
+// once, otherwise the live weights must settle. One weight is locked per weigh-in.
+
+const PHASES = {
+  idle: 'idle',
+  awake: 'awake',
+  weighing: 'weighing',
+  stable: 'stable',
+  impedance: 'impedance',
+  complete: 'complete'
+};
+
+const DEFAULTS = {
+  stability: {},          // createStabilityDetector() options: windowSize, toleranceKg, minDwellMs
+  finalFrames: 3          // final-status live frames that complete a session without a record
+};
+
+// Helper: fold one 0xA8 frame into { segment: [{ frequencyKHz, impedanceOhm }] } (newest reading
+// per frequency wins; segments the frame did not measure are left as they were)
+function addSegmentalReading(segments, frame) {
+  const next = { ...(segments || {}) };
+  for (const [name, impedanceOhm] of Object.entries(frame.segments)) {
+    if (impedanceOhm == null) continue;
+    const readings = (next[name] || []).filter(r => r.frequencyKHz !== frame.frequencyKHz);
+    readings.push({ frequencyKHz: frame.frequencyKHz, impedanceOhm });
+    next[name] = readings.sort((a, b) => a.frequencyKHz - b.frequencyKHz);
+  }
+  return Object.keys(next).length ? next : null;
+}
+
+// Helper: merge whole-body readings by frequency, sorted by frequency. Newest wins, except with
+// keepExisting (the record's whole-ohm reading must not replace a finer multi-frequency one)
+function addImpedanceReadings(impedances, readings, keepExisting = false) {
+  const byFrequency = new Map(impedances.map(r => [r.frequencyKHz, r]));
+  for (const r of readings || []) {
+    if (!keepExisting || !byFrequency.has(r.frequencyKHz)) byFrequency.set(r.frequencyKHz, r);
+  }
+  return [...byFrequency.values()].sort((a, b) => a.frequencyKHz - b.frequencyKHz);
+}
+
+// Helper: resistance of the reading closest to the record frequency, null when there is none
+function primaryResistance(impedances) {
+  if (impedances.length === 0) return null;
+  return impedances.reduce((best, r) =>
+    Math.abs(r.frequencyKHz - RECORD_FREQUENCY_KHZ) < Math.abs(best.frequencyKHz - RECORD_FREQUENCY_KHZ) ? r : best).resistanceOhm;
+}
+
+// Returns { ingest(frame, timeMs), on(type, fn), off(type, fn), reset(), phase, measurement }
+// Events: 'phase' { from, to, frame },
+//         'weight' { weightKg, rawWeightKg, stability: 'settling' | 'locked', lockedWeightKg, phase, frame },
+//         'locked' { weightKg, source: 'flag' | 'signal' }, 'complete' { measurement },
+//         'steppedOff' { measurement }, 'aborted' { phase }
+function createMeasurementSession(options = {}) {
+  const cfg = { ...DEFAULTS, ...options };
+  const detector = createStabilityDetector(cfg.stability);
+  const listeners = new Map();
+  let phase = PHASES.idle;
+  let measurement = null;
+  let frames = [];
+  let segments = null;
+  let impedances = [];
+  let startedAt = null;
+  let finalCount = 0;
+
+  function on(type, fn) {
+    if (!listeners.has(type)) listeners.set(type, new Set());
+    listeners.get(type).add(fn);
+    return () => off(type, fn);
+  }
+
+  function off(type, fn) {
+    if (listeners.has(type)) listeners.get(type).delete(fn);
+  }
+
+  function emit(type, detail) {
+    for (const fn of listeners.get(type) || []) {
+      try {
+        fn(detail);
+      } catch (err) {
+        console.error(`❌ Session '${type}' listener failed:`, err);
+      }
+    }
+  }
+
+  function setPhase(to, frame) {
+    if (to === phase) return;
+    const from = phase;
+    phase = to;
+    emit('phase', { from, to, frame });
+  }
+
+  function startWeighIn(frame) {
+    frames = [];
+    segments = null;
+    impedances = [];
+    measurement = null;
+    startedAt = new Date();
+    finalCount = 0;
+    detector.reset();
+    setPhase(PHASES.weighing, frame);
+  }
+
+  function complete(frame, { weightKg, impedanceOhm = null, readings = [], timestamp = null }) {
+    impedances = addImpedanceReadings(impedances, readings, true);
+    measurement = {
+      weightKg,
+      impedanceOhm: impedanceOhm != null ? impedanceOhm : primaryResistance(impedances),
+      impedances,
+      timestamp: timestamp || new Date(),
+      startedAt,
+      segments,
+      frames: frames.slice()
+    };
+    setPhase(PHASES.complete, frame);
+    emit('complete', { measurement });
+  }
+
+  function ingestLiveWeight(frame, timeMs) {
+    const weightKg = frame.weightKg || 0;
+
+    if (weightKg <= 0) {
+      detector.reset();
+      if (phase === PHASES.complete) {
+        const done = measurement;
+        setPhase(PHASES.awake, frame);
+        emit('steppedOff', { measurement: done });
+      } else if (phase === PHASES.weighing || phase === PHASES.stable || phase === PHASES.impedance) {
+        const abandoned = phase;
+        setPhase(PHASES.awake, frame);
+        emit('aborted', { phase: abandoned });
+      } else if (phase === PHASES.idle) {
+        setPhase(PHASES.awake, frame);
+      }
+      return;
+    }
+
+    // Still standing on the scale after a result: nothing new until they step off
+    if (phase === PHASES.complete) return;
+    if (phase === PHASES.idle || phase === PHASES.awake) startWeighIn(frame);
+    frames.push(frame.hex);
+
+    const wasLocked = detector.state === 'locked';
+    const result = detector.push({ weightKg, stableFlag: frame.stable ? true : null, timeMs });
+    const locked = result.state === 'locked';
+    if (locked && !wasLocked) emit('locked', { weightKg: result.lockedWeightKg, source: result.source });
+
+    if (frame.stable) {
+      finalCount++;
+      if (finalCount >= cfg.finalFrames) {
+        complete(frame, { weightKg: result.lockedWeightKg });
+        return;
+      }
+    } else if (locked && phase === PHASES.weighing) {
+      setPhase(PHASES.stable, frame);
+    } else if (locked && phase === PHASES.stable && wasLocked) {
+      // The scale keeps its "measuring" status after the weight locks: that is the BIA sweep
+      setPhase(PHASES.impedance, frame);
+    }
+    emit('weight', {
+      weightKg: result.weightKg,
+      rawWeightKg: weightKg,
+      stability: result.state,
+      lockedWeightKg: result.lockedWeightKg,
+      phase,
+      frame
+    });
+  }
+
+  // timeMs: arrival time of the frame (event.timeStamp, or the capture time when replaying);
+  // the stability detector's dwell time is measured on it
+  function ingest(frame, timeMs = Date.now()) {
+    if (!frame) return phase;
+    switch (frame.kind) {
+      case 'deviceInfo':
+        if (phase === PHASES.idle) setPhase(PHASES.awake, frame);
+        break;
+      case 'liveWeight':
+        ingestLiveWeight(frame, timeMs);
+        break;
+      case 'record':
+        if (phase === PHASES.complete || !(frame.weightKg > 0)) break;
+        if (phase === PHASES.idle || phase === PHASES.awake) startWeighIn(frame);
+        frames.push(frame.hex);
+        complete(frame, { weightKg: frame.weightKg, impedanceOhm: frame.impedanceOhm, readings: frame.impedances, timestamp: frame.timestamp });
+        break;
+      case 'segmental':
+        if (phase !== PHASES.weighing && phase !== PHASES.stable && phase !== PHASES.impedance) break;
+        frames.push(frame.hex);
+        segments = addSegmentalReading(segments, frame);
+        break;
+      case 'multiFrequency':
+        if (phase !== PHASES.weighing && phase !== PHASES.stable && phase !== PHASES.impedance) break;
+        frames.push(frame.hex);
+        impedances = addImpedanceReadings(impedances, frame.impedances);
+        break;
+      default:
+        break;
+    }
+    return phase;
+  }
+
+  function reset() {
+    phase = PHASES.idle;
+    measurement = null;
+    frames = [];
+    segments = null;
+    impedances = [];
+    startedAt = null;
+    finalCount = 0;
+    detector.reset();
+  }
+
+  return {
+    ingest,
+    on,
+    off,
+    reset,
+    get phase() { return phase; },
+    get measurement() { return measurement; }
+  };
+}
+
+// Export for ES modules (browser)
+export {
+  PHASES,
+  createMeasurementSession
+};
+
+// Backward compatibility for CommonJS (ignored by browser ESM loader)
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    PHASES,
+    createMeasurementSession
+  };
+}
@@ -0,0 +1,57 @@
+"use strict";
+
+// Node check of pcapng_reader.js against a capture with GATT traffic (no browser)
+//
+// Usage:
+//   node pcapng_check.js
+//
+// The capture listed in captures/gatt_notifications.json is read and its ATT notifications are
+// compared, in order, with the expected handle, characteristic and value; notifications split
+// over several fragments must come out whole, and the L2CAP counters (reassembled, truncated,
+// incomplete) must match. Exit code 1 on any mismatch.
+
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { readPcapng, extractAttNotifications } from './pcapng_reader.js';
+import { bytesToHex } from './fitdays_protocol.js';
+
+const EXPECTATIONS = 'captures/gatt_notifications.json';
+
+// Helper: repo-relative path → file contents
+function readRepoFile(file, encoding) {
+  return readFileSync(fileURLToPath(new URL(`./${file}`, import.meta.url)), encoding);
+}
+
+function main() {
+  const doc = JSON.parse(readRepoFile(EXPECTATIONS, 'utf8'));
+  const { notifications, l2cap } = extractAttNotifications(readPcapng(readRepoFile(doc.file)));
+  const rows = [];
+  const failures = [];
+
+  const count = Math.max(notifications.length, doc.notifications.length);
+  for (let i = 0; i < count; i++) {
+    const want = doc.notifications[i];
+    const got = notifications[i];
+    const actual = got && { handle: got.handle, characteristic: got.uuid ? got.uuid.slice(4, 8) : null, hex: bytesToHex(got.value) };
+    const wrong = ['handle', 'characteristic', 'hex']
+      .filter(field => !want || !actual || want[field] !== actual[field]);
+    for (const field of wrong) {
+      failures.push({ notification: i, field, expected: want ? String(want[field]) : '(none)', actual: actual ? String(actual[field]) : '(none)' });
+    }
+    rows.push({ notification: i, handle: actual ? actual.handle : '', char: actual ? actual.characteristic : '', bytes: got ? got.value.length : '', result: wrong.length ? 'FAIL' : 'PASS' });
+  }
+  for (const [counter, want] of Object.entries(doc.l2cap)) {
+    if (l2cap[counter] !== want) failures.push({ notification: '', field: `l2cap.${counter}`, expected: String(want), actual: String(l2cap[counter]) });
+    rows.push({ notification: `l2cap.${counter}`, bytes: l2cap[counter], result: l2cap[counter] === want ? 'PASS' : 'FAIL' });
+  }
+
+  console.table(rows);
+  if (failures.length) {
+    console.log('❌ Mismatched fields:');
+    console.table(failures);
+  }
+  console.log(failures.length ? `❌ ${failures.length} field(s) did not match` : '✅ Every notification is read whole and every cut-short PDU is skipped and counted');
+  if (failures.length) process.exit(1);
+}
+
+main();
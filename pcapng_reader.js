@@ -0,0 +1,329 @@
+"use strict";
+
+// pcapng reader for offline BLE captures (Wireshark / nRF Sniffer / Android HCI snoop)
+//
+// Blocks handled: Section Header (0x0A0D0D0A), Interface Description (0x00000001),
+// Enhanced Packet (0x00000006). Everything else is skipped by its length field.
+// From the packets we pull out ATT Handle Value Notifications/Indications and, when the
+// capture includes service discovery, the handle → characteristic UUID mapping.
+// L2CAP PDUs longer than one LL PDU or ACL packet are reassembled per connection and direction;
+// PDUs the capture cut short (snap length, missing fragments) are skipped and counted.
+
+const BLOCK_TYPES = {
+  sectionHeader: 0x0A0D0D0A,
+  interfaceDescription: 0x00000001,
+  enhancedPacket: 0x00000006
+};
+
+const LINK_TYPES = {
+  bluetoothHciH4: 187,
+  bluetoothHciH4WithPhdr: 201,
+  bluetoothLeLl: 251,
+  bluetoothLeLlWithPhdr: 256,
+  nordicBle: 272
+};
+
+const BYTE_ORDER_MAGIC = 0x1A2B3C4D;
+const ADVERTISING_ACCESS_ADDRESS = 0x8E89BED6;
+const L2CAP_CID_ATT = 0x0004;
+
+const ATT_OPCODES = {
+  findInformationResponse: 0x05,
+  readByTypeResponse: 0x09,
+  handleValueNotification: 0x1B,
+  handleValueIndication: 0x1D
+};
+
+// Helper: expand a 16-bit UUID to the 128-bit form Web Bluetooth reports
+function uuid16To128(u16) {
+  return `0000${u16.toString(16).padStart(4, '0')}-0000-1000-8000-00805f9b34fb`;
+}
+
+// Helper: 128-bit UUID stored little-endian on air → canonical string
+function uuid128FromLE(bytes) {
+  const hex = Array.from(bytes).reverse().map(b => b.toString(16).padStart(2, '0')).join('');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+// Parse a whole pcapng file.
+// Returns { interfaces: [{ linkType, tsResolution }], packets: [{ interfaceId, linkType, timestampUs, data }] }
+function readPcapng(buffer) {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  const dv = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const interfaces = [];
+  const packets = [];
+  let sectionInterfaces = [];
+  let le = true;
+  let off = 0;
+
+  while (off + 12 <= bytes.length) {
+    const rawType = dv.getUint32(off, true);
+    if (rawType === BLOCK_TYPES.sectionHeader) {
+      // Byte-order magic decides the endianness of every later block in this section
+      const magic = dv.getUint32(off + 8, true);
+      if (magic === BYTE_ORDER_MAGIC) le = true;
+      else if (magic === 0x4D3C2B1A) le = false;
+      else throw new Error(`Not a pcapng file: bad byte-order magic at offset ${off}`);
+      sectionInterfaces = [];
+    } else if (off === 0) {
+      throw new Error('Not a pcapng file: missing Section Header Block');
+    }
+
+    const type = dv.getUint32(off, le);
+    const length = dv.getUint32(off + 4, le);
+    if (length < 12 || off + length > bytes.length) {
+      throw new Error(`Truncated pcapng block at offset ${off}`);
+    }
+
+    if (type === BLOCK_TYPES.interfaceDescription) {
+      const iface = { linkType: dv.getUint16(off + 8, le), tsResolution: 1e-6 };
+      // Options: look for if_tsresol (code 9)
+      let opt = off + 16;
+      while (opt + 4 <= off + length - 4) {
+        const code = dv.getUint16(opt, le);
+        const optLen = dv.getUint16(opt + 2, le);
+        if (code === 0) break;
+        if (code === 9 && optLen >= 1) {
+          const v = bytes[opt + 4];
+          iface.tsResolution = (v & 0x80) ? Math.pow(2, -(v & 0x7F)) : Math.pow(10, -v);
+        }
+        opt += 4 + ((optLen + 3) & ~3);
+      }
+      sectionInterfaces.push(iface);
+      interfaces.push(iface);
+    } else if (type === BLOCK_TYPES.enhancedPacket) {
+      const interfaceId = dv.getUint32(off + 8, le);
+      const iface = sectionInterfaces[interfaceId];
+      const ticks = dv.getUint32(off + 12, le) * 4294967296 + dv.getUint32(off + 16, le);
+      const capturedLength = dv.getUint32(off + 20, le);
+      packets.push({
+        interfaceId,
+        linkType: iface ? iface.linkType : null,
+        timestampUs: ticks * (iface ? iface.tsResolution : 1e-6) * 1e6,
+        data: bytes.subarray(off + 28, off + 28 + capturedLength)
+      });
+    }
+
+    off += length;
+  }
+
+  return { interfaces, packets };
+}
+
+// LL data PDU (starting at the access address) → L2CAP fragment, or null for advertising,
+// control and empty PDUs. LLID 0x02 starts an L2CAP PDU, 0x01 continues it.
+function l2capFromLinkLayer(ll) {
+  if (ll.length < 6) return null;
+  const accessAddress = (ll[0] | (ll[1] << 8) | (ll[2] << 16) | (ll[3] << 24)) >>> 0;
+  if (accessAddress === ADVERTISING_ACCESS_ADDRESS) return null;
+  const llid = ll[4] & 0x03;
+  const pduLength = ll[5];
+  if ((llid !== 0x02 && llid !== 0x01) || pduLength === 0) return null;
+  const data = ll.subarray(6, 6 + pduLength);
+  return { data, length: pduLength, start: llid === 0x02, link: `ll-${accessAddress.toString(16)}` };
+}
+
+// Packet of a given link type → L2CAP fragment or null:
+// { data, length (bytes on air; more than data.length when the capture cut the packet),
+//   start, link (connection key), fromCentral (null when the link type does not say) }
+function extractL2cap(packet) {
+  const d = packet.data;
+  switch (packet.linkType) {
+    case LINK_TYPES.nordicBle: {
+      // [0] board id, [1..6] sniffer header, [7] packet header length, [8] flags, ... LL packet
+      if (d.length < 9) return null;
+      const fragment = l2capFromLinkLayer(d.subarray(7 + d[7]));
+      return fragment && { ...fragment, fromCentral: (d[8] & 0x02) !== 0 };
+    }
+    case LINK_TYPES.bluetoothLeLlWithPhdr: {
+      const fragment = l2capFromLinkLayer(d.subarray(10));
+      return fragment && { ...fragment, fromCentral: null };
+    }
+    case LINK_TYPES.bluetoothLeLl: {
+      const fragment = l2capFromLinkLayer(d);
+      return fragment && { ...fragment, fromCentral: null };
+    }
+    case LINK_TYPES.bluetoothHciH4WithPhdr:
+    case LINK_TYPES.bluetoothHciH4: {
+      const phdr = packet.linkType === LINK_TYPES.bluetoothHciH4WithPhdr ? 4 : 0;
+      if (d.length < phdr + 5 || d[phdr] !== 0x02) return null; // ACL data only
+      const handle = (d[phdr + 1] | (d[phdr + 2] << 8)) & 0x0FFF;
+      const pb = (d[phdr + 2] >> 4) & 0x03;   // 0x01 = continuing fragment, the others start a PDU
+      const length = d[phdr + 3] | (d[phdr + 4] << 8);
+      // Direction pseudo-header: 0 = sent by the host (phone is the central)
+      const fromCentral = phdr ? ((d[0] << 24 | d[1] << 16 | d[2] << 8 | d[3]) >>> 0) === 0 : null;
+      return {
+        data: d.subarray(phdr + 5, phdr + 5 + length),
+        length,
+        start: pb !== 0x01,
+        link: `hci-${packet.interfaceId}-${handle}`,
+        fromCentral
+      };
+    }
+    default:
+      return null;
+  }
+}
+
+// Helper: join fragment payloads into one buffer
+function concatBytes(chunks) {
+  if (chunks.length === 1) return chunks[0];
+  const out = new Uint8Array(chunks.reduce((n, c) => n + c.length, 0));
+  let off = 0;
+  for (const c of chunks) {
+    out.set(c, off);
+    off += c.length;
+  }
+  return out;
+}
+
+// L2CAP reassembly, one open PDU per link and direction. push(fragment) returns the complete
+// L2CAP PDU (basic header included) once the length in its header is reached, otherwise null.
+// stats: reassembled (PDUs built from more than one fragment), truncated (PDUs with bytes the
+// capture did not keep), incomplete (PDUs cut off by the next start fragment or by the end of the
+// capture, and continuations whose start was not captured). Call finish() after the last packet.
+function createL2capReassembler() {
+  const open = new Map();   // `${link}/${fromCentral}` → { chunks, received, truncated }
+  const stats = { reassembled: 0, truncated: 0, incomplete: 0 };
+
+  function push({ data, length, start, link, fromCentral }) {
+    const key = `${link}/${fromCentral}`;
+    let pdu = open.get(key);
+    if (start) {
+      if (pdu) stats.incomplete++;
+      pdu = { chunks: [], received: 0, truncated: false };
+      open.set(key, pdu);
+    } else if (!pdu) {
+      stats.incomplete++;
+      return null;
+    }
+    pdu.chunks.push(data);
+    pdu.received += length;
+    pdu.truncated = pdu.truncated || data.length < length;
+    if (pdu.received < 4) return null; // basic header not complete yet
+
+    const bytes = concatBytes(pdu.chunks);
+    if (bytes.length < 2) {
+      open.delete(key);
+      stats.truncated++;
+      return null;
+    }
+    const expected = 4 + (bytes[0] | (bytes[1] << 8));
+    if (pdu.received < expected) return null;
+    open.delete(key);
+    if (pdu.truncated) {
+      stats.truncated++;
+      return null;
+    }
+    if (pdu.chunks.length > 1) stats.reassembled++;
+    return bytes.subarray(0, expected);
+  }
+
+  function finish() {
+    stats.incomplete += open.size;
+    open.clear();
+    return stats;
+  }
+
+  return { push, finish, stats };
+}
+
+// Walk a parsed capture and collect ATT notifications plus discovered handle → UUID pairs.
+// Returns { notifications: [{ timestampUs, handle, uuid, value, opcode }], handleMap: Map,
+//           l2cap: { reassembled, truncated, incomplete } }
+function extractAttNotifications(capture, handleMap = new Map()) {
+  const map = new Map(handleMap);
+  const notifications = [];
+  const reassembler = createL2capReassembler();
+
+  for (const packet of capture.packets) {
+    const fragment = extractL2cap(packet);
+    const l2 = fragment && reassembler.push(fragment);
+    if (!l2 || l2.length < 5) continue;
+    const cid = l2[2] | (l2[3] << 8);
+    if (cid !== L2CAP_CID_ATT) continue;
+
+    const att = l2.subarray(4);
+    const opcode = att[0];
+
+    if (opcode === ATT_OPCODES.readByTypeResponse && att.length >= 2) {
+      // Characteristic declarations: [handle ×2][props][value handle ×2][uuid 2|16]
+      const pairLength = att[1];
+      if (pairLength === 7 || pairLength === 21) {
+        for (let i = 2; i + pairLength <= att.length; i += pairLength) {
+          const valueHandle = att[i + 3] | (att[i + 4] << 8);
+          const uuid = pairLength === 7
+            ? uuid16To128(att[i + 5] | (att[i + 6] << 8))
+            : uuid128FromLE(att.subarray(i + 5, i + 21));
+          if (!map.has(valueHandle)) map.set(valueHandle, uuid);
+        }
+      }
+    } else if (opcode === ATT_OPCODES.findInformationResponse && att.length >= 2) {
+      const format = att[1];
+      const pairLength = format === 0x01 ? 4 : 18;
+      for (let i = 2; i + pairLength <= att.length; i += pairLength) {
+        const handle = att[i] | (att[i + 1] << 8);
+        const uuid = format === 0x01
+          ? uuid16To128(att[i + 2] | (att[i + 3] << 8))
+          : uuid128FromLE(att.subarray(i + 2, i + 18));
+        if (!map.has(handle) && !uuid.startsWith('00002902')) map.set(handle, uuid);
+      }
+    } else if ((opcode === ATT_OPCODES.handleValueNotification || opcode === ATT_OPCODES.handleValueIndication) && att.length >= 3) {
+      const handle = att[1] | (att[2] << 8);
+      notifications.push({
+        timestampUs: packet.timestampUs,
+        handle,
+        uuid: null,
+        value: att.slice(3),
+        opcode
+      });
+    }
+  }
+
+  // Resolve UUIDs once discovery from anywhere in the capture is known
+  for (const n of notifications) n.uuid = map.get(n.handle) || null;
+  notifications.sort((a, b) => a.timestampUs - b.timestampUs);
+  const l2cap = reassembler.finish();
+  if (l2cap.truncated || l2cap.incomplete) {
+    console.warn(`⚠️ Skipped L2CAP PDUs: ${l2cap.truncated} truncated by the capture, ${l2cap.incomplete} incomplete`);
+  }
+  return { notifications, handleMap: map, l2cap };
+}
+
+// Feed notifications in timestamp order to dispatch(uuid, DataView, notification)
+function replayNotifications(notifications, dispatch) {
+  let delivered = 0;
+  for (const n of notifications) {
+    const dv = new DataView(n.value.buffer, n.value.byteOffset, n.value.byteLength);
+    if (dispatch(n.uuid, dv, n) !== false) delivered++;
+  }
+  return delivered;
+}
+
+// Export for ES modules (browser)
+export {
+  BLOCK_TYPES,
+  LINK_TYPES,
+  ATT_OPCODES,
+  uuid16To128,
+  readPcapng,
+  extractL2cap,
+  createL2capReassembler,
+  extractAttNotifications,
+  replayNotifications
+};
+
+// Backward compatibility for CommonJS (ignored by browser ESM loader)
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    BLOCK_TYPES,
+    LINK_TYPES,
+    ATT_OPCODES,
+    uuid16To128,
+    readPcapng,
+    extractL2cap,
+    createL2capReassembler,
+    extractAttNotifications,
+    replayNotifications
+  };
+}
@@ -0,0 +1,174 @@
+"use strict";
+
+// Reference-range classification: metric value + person → band, target range and gauge data
+//
+// The bands live in data files (reference_ranges/*.json, format described in their notes) so a
+// population's table can be swapped without touching code. classify() picks the first row that
+// matches the person's sex, age, height and weight, finds the band the value falls in and
+// returns everything a card needs to draw its label, gauge and target range.
+
+const REFERENCE_FORMAT = 'fitdays-reference-ranges';
+const REFERENCE_TABLE_KEY = 'fitdays_reference_table';
+
+// Selectable tables; url is relative to index.html
+const REFERENCE_TABLES = {
+  adult: { label: 'Adults (WHO BMI)', url: 'reference_ranges/adult_default.json' },
+  asiaPacific: { label: 'Asia-Pacific adults', url: 'reference_ranges/asia_pacific.json' }
+};
+const DEFAULT_REFERENCE_TABLE = 'adult';
+
+const TONES = ['low', 'good', 'excellent', 'warn', 'bad'];
+
+// Value bases: how a displayed value is compared with the bounds, and back
+const BASES = {
+  raw: { to: v => v, from: v => v },
+  perKg: { to: (v, p) => v / p.weightKg, from: (v, p) => v * p.weightKg },
+  minusAge: { to: (v, p) => v - p.age, from: (v, p) => v + p.age }
+};
+
+// Helper: value in a half-open [min, max) pair where null is open; a missing pair matches anything
+function inRange(range, value) {
+  if (!range) return true;
+  const [min, max] = range;
+  return (min == null || value >= min) && (max == null || value < max);
+}
+
+// Helper: the spec that rates a value from `source` ({ variant, placeholder, derivedFrom } from
+// algorithm_registry.js outputSources()), null when the table has no bands for it.
+// Placeholder output is never rated; with a `variants` map only output of a listed variant, or
+// derived from one, is: the first listed of source.variant and source.derivedFrom picks the
+// entry, which uses the metric's rows unless it brings its own.
+function specFor(spec, source) {
+  if (!source) return spec;
+  if (source.placeholder) return null;
+  if (!spec.variants) return spec;
+  const id = [source.variant, ...(source.derivedFrom || [])].find(v => spec.variants[v]);
+  return id ? { ...spec, ...spec.variants[id] } : null;
+}
+
+// Throws on anything classify() could not use; returns the table
+function validateReferenceTable(doc) {
+  if (!doc || doc.format !== REFERENCE_FORMAT) throw new Error(`Not a ${REFERENCE_FORMAT} table`);
+  for (const [metric, spec] of Object.entries(doc.metrics || {})) {
+    if (!Array.isArray(spec.bands) || spec.bands.length < 2) throw new Error(`${metric}: needs at least two bands`);
+    const ids = spec.bands.map(b => b.id);
+    for (const band of spec.bands) {
+      if (!TONES.includes(band.tone)) throw new Error(`${metric}/${band.id}: unknown tone "${band.tone}"`);
+    }
+    for (const id of spec.target || []) {
+      if (!ids.includes(id)) throw new Error(`${metric}: target band "${id}" is not defined`);
+    }
+    if (spec.variants != null && (typeof spec.variants !== 'object' || Array.isArray(spec.variants))) {
+      throw new Error(`${metric}: variants must map variant ids to {} or their own rows`);
+    }
+    for (const [label, s] of [[metric, spec], ...Object.entries(spec.variants || {}).map(([id, v]) => [`${metric}/${id}`, { ...spec, ...v }])]) {
+      if (s.basis && !BASES[s.basis]) throw new Error(`${label}: unknown basis "${s.basis}"`);
+      for (const row of s.rows || []) {
+        const b = row.bounds;
+        if (!Array.isArray(b) || b.length !== spec.bands.length - 1 || b.some((x, i) => i > 0 && x <= b[i - 1])) {
+          throw new Error(`${label}: every row needs ${spec.bands.length - 1} increasing bounds`);
+        }
+      }
+    }
+  }
+  return doc;
+}
+
+async function loadReferenceTable(id = DEFAULT_REFERENCE_TABLE, fetchFn = globalThis.fetch) {
+  const entry = REFERENCE_TABLES[id] || REFERENCE_TABLES[DEFAULT_REFERENCE_TABLE];
+  const res = await fetchFn(entry.url);
+  if (!res.ok) throw new Error(`${entry.url}: HTTP ${res.status}`);
+  return validateReferenceTable(await res.json());
+}
+
+// person: { age, sex (1 = male, 0 = female), heightCm, weightKg }; source: { variant, placeholder }
+// of the algorithm that produced the value, omitted for values that have none (BMI).
+// Returns null when the table has no bands for that variant or no matching row, otherwise
+// { metric, label, band: { id, label, tone }, bands: [{ id, label, tone, min, max }],
+//   target: { min, max }, position (0..1 on the gauge) } with min/max in the metric's own unit.
+function classify(table, metric, value, person, source = null) {
+  const entry = table && table.metrics ? table.metrics[metric] : null;
+  const spec = entry && specFor(entry, source);
+  if (!spec || !Number.isFinite(value)) return null;
+  const sex = person.sex === 1 ? 'male' : 'female';
+  const row = (spec.rows || []).find(r =>
+    (!r.sex || r.sex === sex) && inRange(r.age, person.age) && inRange(r.heightCm, person.heightCm) && inRange(r.weightKg, person.weightKg));
+  if (!row) return null;
+
+  const basis = BASES[spec.basis || 'raw'];
+  const x = basis.to(value, person);
+  const b = row.bounds;
+  // Without a scale the outer bands are drawn as wide as the inner span (or ±25 % of one bound)
+  const pad = b.length > 1 ? (b[b.length - 1] - b[0]) / (b.length - 1) : Math.abs(b[0]) * 0.25 || 1;
+  const [lo, hi] = spec.scale || [b[0] - pad, b[b.length - 1] + pad];
+  const edges = [lo, ...b, hi];
+  const index = b.filter(bound => x >= bound).length;
+  const out = v => (v == null ? null : basis.from(v, person));
+
+  const bands = spec.bands.map((band, i) => ({ ...band, min: i === 0 ? null : out(edges[i]), max: i === b.length ? null : out(edges[i + 1]) }));
+  const targetIdx = (spec.target || []).map(id => spec.bands.findIndex(band => band.id === id)).sort((p, q) => p - q);
+  const target = targetIdx.length
+    ? { min: bands[targetIdx[0]].min, max: bands[targetIdx[targetIdx.length - 1]].max }
+    : null;
+  return {
+    metric,
+    label: spec.label || metric,
+    band: spec.bands[index],
+    bands,
+    // Gauge geometry in the comparison basis: band widths and the marker
+    edges,
+    position: Math.max(0, Math.min(1, (x - lo) / (hi - lo))),
+    target
+  };
+}
+
+// Every metric of a metrics object that the table rates: { metric: rating }.
+// sources: { metric: { variant, placeholder } } for the values an algorithm variant produced
+function classifyAll(table, metrics, person, sources = {}) {
+  const out = {};
+  for (const metric of Object.keys((table && table.metrics) || {})) {
+    const rating = classify(table, metric, metrics[metric], person, sources[metric]);
+    if (rating) out[metric] = rating;
+  }
+  return out;
+}
+
+// Metrics the table has bands for that stay unrated because of the variant that computed them:
+// { metric: source } (outputSources() entry), so a card can say why it shows no rating
+function unratedMetrics(table, metrics, sources = {}) {
+  const out = {};
+  for (const [metric, spec] of Object.entries((table && table.metrics) || {})) {
+    if (Number.isFinite(metrics[metric]) && sources[metric] && !specFor(spec, sources[metric])) out[metric] = sources[metric];
+  }
+  return out;
+}
+
+// Export for ES modules (browser)
+export {
+  REFERENCE_FORMAT,
+  REFERENCE_TABLE_KEY,
+  REFERENCE_TABLES,
+  DEFAULT_REFERENCE_TABLE,
+  TONES,
+  validateReferenceTable,
+  loadReferenceTable,
+  classify,
+  classifyAll,
+  unratedMetrics
+};
+
+// Backward compatibility for CommonJS (ignored by browser ESM loader)
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    REFERENCE_FORMAT,
+    REFERENCE_TABLE_KEY,
+    REFERENCE_TABLES,
+    DEFAULT_REFERENCE_TABLE,
+    TONES,
+    validateReferenceTable,
+    loadReferenceTable,
+    classify,
+    classifyAll,
+    unratedMetrics
+  };
+}
@@ -0,0 +1,94 @@
+"use strict";
+
+// Node check that the reference tables fit what the algorithm profiles compute (no browser)
+//
+// Usage:
+//   node reference_ranges_check.js
+//
+// Typical adults are run through every algorithm profile and rated against every table in
+// reference_ranges/. Under every profile each metric the table has bands for must either be
+// rated in its target band or be explicitly unrated (reference_ranges.js unratedMetrics(): a
+// variant the bands do not describe, or a placeholder), never call a typical adult "low" or
+// "high". Each profile also names the metrics it must rate and the ones it must leave unrated.
+// Exit code 1 on any failure.
+
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { ALGORITHM_PROFILES, computeMetrics, outputSources } from './algorithm_registry.js';
+import { REFERENCE_TABLES, validateReferenceTable, classifyAll, unratedMetrics } from './reference_ranges.js';
+
+const TYPICAL_ADULTS = [
+  { label: 'man 70 kg / 175 cm / 30 y', weightKg: 70, heightCm: 175, age: 30, sex: 1, impedanceOhm: 500, bodyType: 0 },
+  { label: 'woman 60 kg / 165 cm / 30 y', weightKg: 60, heightCm: 165, age: 30, sex: 0, impedanceOhm: 600, bodyType: 0 }
+];
+
+// Per profile: metrics a typical adult must be rated (in target) on, and metrics whose variants
+// have no fitting bands and must stay unrated
+const EXPECTED = {
+  textbook: {
+    rated: ['bmi', 'bodyFatPercent', 'muscleMassKg', 'boneMassKg', 'tbwPercent', 'proteinPercent'],
+    unrated: ['visceralFat']
+  },
+  fitdays: {
+    rated: ['bmi', 'bodyFatPercent', 'bmrKcal', 'metabolicAge'],
+    unrated: ['muscleMassKg', 'boneMassKg', 'tbwPercent', 'proteinPercent', 'visceralFat']
+  }
+};
+const SHOWN = ['bmi', 'bodyFatPercent', 'muscleMassKg', 'boneMassKg', 'tbwPercent', 'proteinPercent', 'visceralFat'];
+
+// Helper: a rating's band is one of the metric's target bands
+function inTarget(rating) {
+  if (!rating.target) return true;
+  const { min, max } = rating.bands.find(b => b.id === rating.band.id);
+  return (rating.target.min == null || (min != null && min >= rating.target.min - 1e-9)) &&
+    (rating.target.max == null || (max != null && max <= rating.target.max + 1e-9));
+}
+
+function loadTable(id) {
+  const file = fileURLToPath(new URL(`./${REFERENCE_TABLES[id].url}`, import.meta.url));
+  return validateReferenceTable(JSON.parse(readFileSync(file, 'utf8')));
+}
+
+function main() {
+  const rows = [];
+  const failures = [];
+  for (const tableId of Object.keys(REFERENCE_TABLES)) {
+    const table = loadTable(tableId);
+    for (const profile of Object.keys(ALGORITHM_PROFILES)) {
+      for (const person of TYPICAL_ADULTS) {
+        const { metrics, variants } = computeMetrics(person, { profile });
+        const sources = outputSources(variants);
+        const ratings = classifyAll(table, metrics, person, sources);
+        const unrated = unratedMetrics(table, metrics, sources);
+        const fail = (metric, problem) => failures.push({ table: tableId, profile, person: person.label, metric, value: metrics[metric], problem });
+
+        for (const metric of Object.keys(table.metrics)) {
+          if (ratings[metric]) {
+            if (!inTarget(ratings[metric])) fail(metric, `rated "${ratings[metric].band.label}"`);
+          } else if (!unrated[metric]) {
+            fail(metric, 'neither rated nor explicitly unrated');
+          }
+        }
+        const expected = EXPECTED[profile] || { rated: [], unrated: [] };
+        for (const metric of expected.rated.filter(m => !ratings[m])) fail(metric, 'not rated');
+        for (const metric of expected.unrated.filter(m => !unrated[m])) fail(metric, 'not explicitly unrated');
+        rows.push({
+          table: tableId,
+          profile,
+          person: person.label,
+          ...Object.fromEntries(SHOWN.map(m => [m, ratings[m] ? ratings[m].band.id : unrated[m] ? 'unrated' : '—']))
+        });
+      }
+    }
+  }
+
+  console.table(rows);
+  if (failures.length) {
+    console.log('❌ Failing ratings:');
+    console.table(failures);
+  }
+  console.log(failures.length ? `❌ ${failures.length} rating(s) failed` : '✅ Typical adults rate in their target bands or are explicitly unrated');
+  if (failures.length) process.exit(1);
+}
+
+main();
@@ -0,0 +1,42 @@
+"use strict";
+
+// Node replay of a pasted Chrome console log (like "log (1).txt") through the frame decoders
+//
+// Usage:
+//   node replay_log.js "log (1).txt"
+
+import { readFileSync } from 'fs';
+import { parseConsoleLog } from './console_log_reader.js';
+import { decodeNotification, summarizeFrame, createSequenceTracker } from './fitdays_protocol.js';
+
+function main() {
+  const file = process.argv[2];
+  if (!file) {
+    console.error('Usage: node replay_log.js <console-log.txt>');
+    process.exit(2);
+  }
+
+  const frames = parseConsoleLog(readFileSync(file, 'utf8'));
+  console.log(`📂 ${file}: ${frames.length} raw frames`);
+  if (frames.length === 0) return;
+
+  const trackers = new Map();
+  const rows = frames.map(f => {
+    const frame = decodeNotification(f.uuid, f.bytes);
+    let seqStatus = '';
+    if (frame.seq != null) {
+      if (!trackers.has(f.uuid)) trackers.set(f.uuid, createSequenceTracker());
+      seqStatus = trackers.get(f.uuid).check(frame.seq).status;
+    }
+    return {
+      line: f.line,
+      loggedAt: f.loggedAt || '',
+      char: f.uuid.slice(4, 8),
+      seqStatus,
+      ...summarizeFrame(frame)
+    };
+  });
+  console.table(rows);
+}
+
+main();
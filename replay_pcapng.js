@@ -0,0 +1,70 @@
+"use strict";
+
+// Node replay of a pcapng capture through the vendor frame decoders (no browser, no scale)
+//
+// Usage:
+//   node replay_pcapng.js <capture.pcapng> [--map <handle>=<uuid>] ...
+//
+// --map fills in handle → characteristic pairs when the capture starts after service
+// discovery, e.g. --map 0x0012=ffb2 --map 0x0015=ffb3
+
+import { readFileSync } from 'fs';
+import { readPcapng, extractAttNotifications, replayNotifications, uuid16To128 } from './pcapng_reader.js';
+import { decodeNotification, summarizeFrame, createSequenceTracker } from './fitdays_protocol.js';
+
+function parseArgs(argv) {
+  const handleMap = new Map();
+  let file = null;
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--map') {
+      const [handle, uuid] = String(argv[++i] || '').split('=');
+      const h = Number(handle);
+      if (!Number.isInteger(h) || !uuid) throw new Error(`Bad --map value: ${argv[i]}`);
+      handleMap.set(h, uuid.length === 4 ? uuid16To128(parseInt(uuid, 16)) : uuid.toLowerCase());
+    } else {
+      file = argv[i];
+    }
+  }
+  return { file, handleMap };
+}
+
+function main() {
+  const { file, handleMap } = parseArgs(process.argv.slice(2));
+  if (!file) {
+    console.error('Usage: node replay_pcapng.js <capture.pcapng> [--map <handle>=<uuid>] ...');
+    process.exit(2);
+  }
+
+  const capture = readPcapng(readFileSync(file));
+  const linkTypes = [...new Set(capture.interfaces.map(i => i.linkType))].join(', ');
+  console.log(`📂 ${file}: ${capture.packets.length} packets, link type(s) ${linkTypes || 'none'}`);
+
+  const { notifications, handleMap: resolved, l2cap } = extractAttNotifications(capture, handleMap);
+  console.log(`🔎 ${notifications.length} ATT notifications (${l2cap.reassembled} reassembled), ${resolved.size} mapped handle(s)`);
+  if (notifications.length === 0) {
+    console.log('ℹ️ No GATT traffic in this capture (advertising only?) — nothing to replay');
+    return;
+  }
+
+  const trackers = new Map();
+  const start = notifications[0].timestampUs;
+  const rows = [];
+  replayNotifications(notifications, (uuid, dv, n) => {
+    const frame = decodeNotification(uuid, dv);
+    let seqStatus = '';
+    if (frame.seq != null) {
+      if (!trackers.has(uuid)) trackers.set(uuid, createSequenceTracker());
+      seqStatus = trackers.get(uuid).check(frame.seq).status;
+    }
+    rows.push({
+      't (s)': ((n.timestampUs - start) / 1e6).toFixed(3),
+      handle: '0x' + n.handle.toString(16).padStart(4, '0'),
+      char: uuid ? uuid.slice(4, 8) : '?',
+      seqStatus,
+      ...summarizeFrame(frame)
+    });
+  });
+  console.table(rows);
+}
+
+main();
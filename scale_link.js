@@ -0,0 +1,344 @@
+"use strict";
+
+// The link between a connected scale and a measurement session: per-connection state,
+// discovery and subscription, notification decoding and the command channel
+//
+// subscribe(server, device) is the connection manager's `subscribe` callback. On every
+// (re)connect it starts the FFB2 counter, the session and the command characteristics over,
+// drops the listeners of the previous link, subscribes through the device profiles and syncs
+// clock, units and profile to the scale. The notification handlers check each frame (checksum,
+// FFB2 counter) before it reaches session.ingest(); what the page shows is left to listeners, so
+// main.js and virtual_scale_check.js run the same pipeline.
+//
+// Standard 0x2A9D readings carry no stable flag. They go through a stability detector and one
+// 'weight' event is emitted per weigh-in: when the readings settle, or, for scales that only
+// indicate their final weight, when the last reading has stood alone for weightQuietMs.
+
+import { DEVICE_PROFILES, discoverAndSubscribe, unsubscribe as unsubscribeReport, describeReport } from './device_profiles.js';
+import { bytesToHex, decodeFfb2Frame, decodeFfb3Frame, createSequenceTracker } from './fitdays_protocol.js';
+import { createCommandChannel } from './fitdays_commands.js';
+import { createStabilityDetector } from './weight_stability.js';
+import { gattWeightUnits, lbToKg } from './units.js';
+
+// Parse notifications - Enhanced for FG2305ULB protocol
+function parseWeightMeasurement(value) {
+  if (value.byteLength < 2) return null;
+
+  // Method 1: Standard GATT Weight Scale (0x2A9D): [flags][uint16 LE weight][optional fields];
+  // flags bit 0 says whether the scale reports kg (0.005 kg steps) or lb (0.01 lb steps)
+  if (value.byteLength >= 3) {
+    const flags = value.getUint8(0);
+    const scaleUnits = gattWeightUnits(flags);
+    const wRaw = value.getUint16(1, true);
+    const weightKg = scaleUnits === 'metric' ? wRaw * 0.005 : lbToKg(wRaw * 0.01);
+    if (weightKg >= 0 && weightKg < 500) return { weightKg, scaleUnits }; // 0 = stepped off
+  }
+
+  // Method 2: Direct weight value (common in smart scales)
+  if (value.byteLength >= 2) {
+    const weightRaw = value.getUint16(0, true);
+    // Try different scales
+    const scales = [0.01, 0.1, 1.0, 0.005];
+    for (const scale of scales) {
+      const weightKg = weightRaw * scale;
+      if (weightKg > 10 && weightKg < 300) {
+        return { weightKg };
+      }
+    }
+  }
+
+  // Method 3: 4-byte weight
+  if (value.byteLength >= 4) {
+    const weightRaw = value.getUint32(0, true);
+    const weightKg = weightRaw / 1000.0; // Common scale for 4-byte values
+    if (weightKg > 10 && weightKg < 300) {
+      return { weightKg };
+    }
+  }
+
+  return null;
+}
+
+// session: createMeasurementSession(). getProfile() → { age, heightCm, sex, bodyType, units } for
+// the sync; allowCommands() says whether the unconfirmed opcodes may be written at all, and
+// provisionalFrames() whether FFB3 frames with unconfirmed layouts are decoded (fitdays_protocol.js).
+// Returns { subscribe(server, device), unsubscribe(), syncScale(), canSendCommands(), handlers,
+//           reset(), finishWeighIn(), commands, sequence, on(type, fn), off(type, fn), subscription, device }
+// Events: 'subscribed' { device, report }, 'frame' { decoder, frame, seqCheck, accepted, timeStamp },
+//         'weight' { weightKg, scaleUnits, frames, source: 'signal' | 'final', timeStamp } (0x2A9D,
+//         once per weigh-in), 'syncFailed' { step, error }, 'error' { decoder, error }
+function createScaleLink({
+  session,
+  getProfile,
+  allowCommands = () => true,
+  provisionalFrames = () => false,
+  commandOptions = {},
+  profiles = DEVICE_PROFILES,
+  weightQuietMs = 2000,
+  timers = globalThis
+}) {
+  const listeners = new Map();
+  const sequence = createSequenceTracker();
+  const weightStability = createStabilityDetector();
+  let weighIn = null;          // 0x2A9D readings of the current weigh-in: { frames, last, done }
+  let quietTimer = null;
+  const commandChars = new Map(); // short uuid ('ffb1' / 'ffb4') → characteristic
+  const commands = createCommandChannel((shortUuid) => commandChars.get(shortUuid) || null, commandOptions);
+  let subscription = null;     // device_profiles.js report: what is subscribed on the current link
+  let device = null;
+
+  function on(type, fn) {
+    if (!listeners.has(type)) listeners.set(type, new Set());
+    listeners.get(type).add(fn);
+    return () => off(type, fn);
+  }
+
+  function off(type, fn) {
+    if (listeners.has(type)) listeners.get(type).delete(fn);
+  }
+
+  function emit(type, detail) {
+    for (const fn of listeners.get(type) || []) {
+      try {
+        fn(detail);
+      } catch (err) {
+        console.error(`❌ Scale link '${type}' listener failed:`, err);
+      }
+    }
+  }
+
+  function clearQuietTimer() {
+    if (quietTimer) timers.clearTimeout(quietTimer);
+    quietTimer = null;
+  }
+
+  // Helper: start the next 0x2A9D weigh-in (stepped off, reconnected)
+  function resetWeighIn() {
+    clearQuietTimer();
+    weightStability.reset();
+    weighIn = null;
+  }
+
+  // Emit the weigh-in once, with the locked weight or the reading that stood alone
+  function completeWeighIn(weightKg, source) {
+    clearQuietTimer();
+    if (!weighIn || weighIn.done) return;
+    weighIn.done = true;
+    const { parsed, timeStamp } = weighIn.last;
+    console.log(`⚖️ Weight ${source === 'signal' ? 'settled' : 'final'} at ${weightKg} kg`);
+    emit('weight', { weightKg, scaleUnits: parsed.scaleUnits, frames: [...weighIn.frames], source, timeStamp });
+  }
+
+  // No further reading is coming (end of a replayed capture): the pending one is final
+  function finishWeighIn() {
+    if (weighIn && !weighIn.done) completeWeighIn(weighIn.last.parsed.weightKg, 'final');
+  }
+
+  // Start the FFB2 counter and the 0x2A9D weigh-in over (new connection, replayed capture)
+  function reset() {
+    sequence.reset();
+    resetWeighIn();
+  }
+
+  function handleWeightNotify(event) {
+    try {
+      const dv = event.target.value;
+
+      // Log raw hex data before parsing
+      const hex = bytesToHex(dv);
+      console.log("⚖️ Weight Raw Data (hex):", hex);
+      console.log("📏 Weight Data Length:", dv.byteLength, "bytes");
+
+      const parsed = parseWeightMeasurement(dv);
+      if (!parsed) {
+        console.warn("⚠️ Could not parse weight data");
+        return;
+      }
+      console.log("✅ Weight Parsed:", parsed);
+      emit('frame', { decoder: 'weight', frame: { ...parsed, hex }, seqCheck: null, accepted: true, timeStamp: event.timeStamp });
+
+      clearQuietTimer();
+      const stability = weightStability.push({ weightKg: parsed.weightKg, timeMs: event.timeStamp });
+      if (stability.state === 'empty') {
+        resetWeighIn();
+        return;
+      }
+      if (!weighIn) weighIn = { frames: [], last: null, done: false };
+      if (weighIn.done) return;
+      weighIn.frames.push(hex);
+      weighIn.last = { parsed, timeStamp: event.timeStamp };
+      if (stability.state === 'locked') {
+        completeWeighIn(stability.lockedWeightKg, stability.source);
+      } else {
+        quietTimer = timers.setTimeout(finishWeighIn, weightQuietMs);
+      }
+    } catch (error) {
+      console.error("❌ Error in weight notification handler:", error);
+      emit('error', { decoder: 'weight', error });
+    }
+  }
+
+  function handleBiaNotify(event) {
+    try {
+      const dv = event.target.value;
+
+      // Log raw hex data before parsing
+      console.log("🔬 BIA Raw Data (hex):", bytesToHex(dv));
+      console.log("📏 BIA Data Length:", dv.byteLength, "bytes");
+
+      const frame = decodeFfb2Frame(dv);
+      if (frame.kind !== 'liveWeight') {
+        console.warn(`⚠️ Could not parse BIA data: ${frame.reason}`);
+        return;
+      }
+      if (!frame.checksumOk) {
+        console.warn(`⚠️ BIA frame seq=${frame.seq} failed checksum, ignoring`);
+        return;
+      }
+
+      // Dropped frames are reported but the current one is still valid;
+      // duplicates and replays are shown and never reach the metrics.
+      const seqCheck = sequence.check(frame.seq);
+      const accepted = seqCheck.status !== 'duplicate' && seqCheck.status !== 'replay';
+      if (seqCheck.status === 'gap') {
+        console.warn(`⚠️ BIA sequence gap before seq=${frame.seq}: ${seqCheck.missed} frame(s) dropped`);
+      } else if (!accepted) {
+        console.warn(`⚠️ BIA frame seq=${frame.seq} is a ${seqCheck.status}, ignoring`);
+      } else {
+        console.log("✅ BIA Parsed:", { seq: frame.seq, weightKg: frame.weightKg, stable: frame.stable, impedanceOhm: frame.impedanceOhm });
+      }
+      emit('frame', { decoder: 'bia', frame, seqCheck, accepted, timeStamp: event.timeStamp });
+      if (accepted) session.ingest(frame, event.timeStamp);
+    } catch (error) {
+      console.error("❌ Error in BIA notification handler:", error);
+      emit('error', { decoder: 'bia', error });
+    }
+  }
+
+  function handleVendorNotify(event) {
+    try {
+      const frame = decodeFfb3Frame(event.target.value, { provisional: provisionalFrames() });
+      console.log("Packet hex:", frame.hex);
+      console.log("📦 Vendor frame decoded:", frame.kind, frame);
+
+      if (frame.kind === 'invalid' || frame.kind === 'unknown') {
+        console.warn(`⚠️ Ignoring vendor frame: ${frame.reason}`);
+        return;
+      }
+      if (!frame.checksumOk) {
+        console.warn(`⚠️ Vendor frame seq=${frame.seq} failed checksum, ignoring`);
+        return;
+      }
+      if (frame.kind === 'deviceInfo') {
+        console.log(`ℹ️ Device info: type=0x${(frame.deviceType ?? 0).toString(16)}`);
+      } else {
+        console.log(`🎯 Vendor ${frame.kind}: seq=${frame.seq}, kg=${frame.weightKg}, ohm=${frame.impedanceOhm}, stable=${frame.stable}`);
+      }
+      emit('frame', { decoder: 'vendor', frame, seqCheck: null, accepted: true, timeStamp: event.timeStamp });
+      session.ingest(frame, event.timeStamp);
+    } catch (error) {
+      console.error('❌ Error in vendor notification handler:', error);
+      emit('error', { decoder: 'vendor', error });
+    }
+  }
+
+  // Notify characteristics → handler, by the decoder name in device_profiles.js
+  const handlers = {
+    weight: handleWeightNotify,
+    bia: handleBiaNotify,
+    vendor: handleVendorNotify
+  };
+
+  // Helper: the command opcodes are unconfirmed, so whether they are written is up to the caller
+  function canSendCommands() {
+    if (!device || !device.gatt.connected || commandChars.size === 0) return false;
+    return allowCommands();
+  }
+
+  // Push clock, display unit and profile to the scale (each write is acknowledged)
+  async function syncScale() {
+    if (commandChars.size === 0) {
+      console.warn("⚠️ No vendor write characteristics, skipping scale sync");
+      return;
+    }
+    if (!canSendCommands()) {
+      console.log("ℹ️ Not writing unconfirmed commands to the scale (enable them in the sidebar)");
+      return;
+    }
+    const profile = getProfile();
+    const steps = [
+      ['clock', () => commands.syncClock(new Date())],
+      ['units', () => commands.setUnits(profile.units)],
+      ['profile', () => commands.syncUserProfile(profile)]
+    ];
+    for (const [step, run] of steps) {
+      try {
+        await run();
+      } catch (error) {
+        console.warn(`⚠️ Scale ${step} sync failed:`, error);
+        emit('syncFailed', { step, error });
+      }
+    }
+  }
+
+  // Every (re)connect: start per-connection state over, then find and subscribe to the scale's
+  // characteristics through its device profile. Returns the discovery report.
+  async function subscribe(server, dev) {
+    device = dev;
+    console.log("✅ Found device:", dev.name);
+    commandChars.clear();
+    reset();
+    session.reset();
+    await unsubscribeReport(subscription); // listeners from before the scale slept
+    subscription = null;
+
+    subscription = await discoverAndSubscribe(server, handlers, profiles);
+    for (const { channel, characteristic } of subscription.writable) commandChars.set(channel, characteristic);
+    console.log("🔗 Device profile report:", describeReport(subscription));
+    if (!subscription.subscribed.some(s => s.decoder === 'bia')) {
+      console.log("📊 Will use weight-only mode with estimated impedance");
+    }
+    emit('subscribed', { device: dev, report: subscription });
+
+    await syncScale();
+    console.log("✅ Connected to MY_SCALE, ready for measurements");
+    return subscription;
+  }
+
+  async function unsubscribe() {
+    resetWeighIn();
+    const report = subscription;
+    subscription = null;
+    await unsubscribeReport(report);
+  }
+
+  return {
+    subscribe,
+    unsubscribe,
+    syncScale,
+    canSendCommands,
+    handlers,
+    reset,
+    finishWeighIn,
+    commands,
+    sequence,
+    on,
+    off,
+    get subscription() { return subscription; },
+    get device() { return device; }
+  };
+}
+
+// Export for ES modules (browser)
+export {
+  parseWeightMeasurement,
+  createScaleLink
+};
+
+// Backward compatibility for CommonJS (ignored by browser ESM loader)
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    parseWeightMeasurement,
+    createScaleLink
+  };
+}
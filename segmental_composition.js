@@ -0,0 +1,101 @@
+"use strict";
+
+// Per-limb body composition from segmental impedance (8-electrode scales)
+//
+// Whole-body fat-free, fat and muscle mass come from the algorithm pipeline; this module only
+// splits them across the five segments. Each segment starts from a reference share of an
+// average adult and is shifted by how its impedance compares with what the person's own
+// hand-to-foot path predicts for it: lower impedance than expected means more lean tissue,
+// higher means more fat. The split always adds back up to the whole-body values.
+
+const TARGET_FREQUENCY_KHZ = 50;
+
+// Reference shares (lean and fat tissue) and share of one hand-to-foot impedance path
+const SEGMENTS = [
+  { key: 'rightArm', label: 'Right arm', lean: 0.055, fat: 0.06, path: 0.47 },
+  { key: 'leftArm', label: 'Left arm', lean: 0.055, fat: 0.06, path: 0.47 },
+  { key: 'trunk', label: 'Trunk', lean: 0.55, fat: 0.57, path: 0.07 },
+  { key: 'rightLeg', label: 'Right leg', lean: 0.17, fat: 0.155, path: 0.46 },
+  { key: 'leftLeg', label: 'Left leg', lean: 0.17, fat: 0.155, path: 0.46 }
+];
+
+// Muscle relative to the reference share: below LOW reads 'low', above HIGH reads 'high'
+const BALANCE_LIMITS = { low: 0.9, high: 1.1 };
+
+// Helper: the reading closest to targetKHz from [{ frequencyKHz, impedanceOhm }]
+function pickReading(readings, targetKHz = TARGET_FREQUENCY_KHZ) {
+  if (!Array.isArray(readings) || readings.length === 0) return null;
+  return readings.reduce((best, r) =>
+    Math.abs(r.frequencyKHz - targetKHz) < Math.abs(best.frequencyKHz - targetKHz) ? r : best);
+}
+
+// segments: { rightArm: [{ frequencyKHz, impedanceOhm }], … } as collected by the session.
+// Returns null unless all five segments have a reading, otherwise
+// { frequencyKHz, segments: { key: { impedanceOhm, leanKg, muscleKg, fatKg, fatPercent, muscleRatio, level } } }
+function computeSegmental({ ffmKg, fatMassKg, muscleMassKg, segments }, targetKHz = TARGET_FREQUENCY_KHZ) {
+  if (!segments || !(ffmKg > 0)) return null;
+  const readings = SEGMENTS.map(s => pickReading(segments[s.key], targetKHz));
+  if (readings.some(r => !r || !(r.impedanceOhm > 0))) return null;
+
+  const z = Object.fromEntries(SEGMENTS.map((s, i) => [s.key, readings[i].impedanceOhm]));
+  // The person's own hand-to-foot path, averaged over both sides
+  const path = (z.rightArm + z.leftArm) / 2 + z.trunk + (z.rightLeg + z.leftLeg) / 2;
+  const ratio = SEGMENTS.map(s => (path * s.path) / z[s.key]);
+
+  const leanWeights = SEGMENTS.map((s, i) => s.lean * ratio[i]);
+  const fatWeights = SEGMENTS.map((s, i) => s.fat / ratio[i]);
+  const leanSum = leanWeights.reduce((a, b) => a + b, 0);
+  const fatSum = fatWeights.reduce((a, b) => a + b, 0);
+  const muscleFraction = muscleMassKg > 0 ? Math.min(1, muscleMassKg / ffmKg) : 1;
+
+  const out = {};
+  SEGMENTS.forEach((s, i) => {
+    const leanKg = ffmKg * leanWeights[i] / leanSum;
+    const fatKg = Math.max(0, fatMassKg || 0) * fatWeights[i] / fatSum;
+    const muscleRatio = (leanWeights[i] / leanSum) / s.lean;
+    out[s.key] = {
+      impedanceOhm: z[s.key],
+      leanKg,
+      muscleKg: leanKg * muscleFraction,
+      fatKg,
+      fatPercent: leanKg + fatKg > 0 ? (fatKg / (leanKg + fatKg)) * 100 : 0,
+      muscleRatio,
+      level: muscleRatio < BALANCE_LIMITS.low ? 'low' : muscleRatio > BALANCE_LIMITS.high ? 'high' : 'normal'
+    };
+  });
+  const frequencies = [...new Set(readings.map(r => r.frequencyKHz))];
+  return { frequencyKHz: frequencies.length === 1 ? frequencies[0] : null, segments: out };
+}
+
+// Flat metric fields for storage: rightArmMuscleKg, rightArmFatPercent, …
+function flattenSegmental(result) {
+  if (!result) return {};
+  const flat = {};
+  for (const [key, v] of Object.entries(result.segments)) {
+    flat[`${key}MuscleKg`] = v.muscleKg;
+    flat[`${key}FatPercent`] = v.fatPercent;
+  }
+  return flat;
+}
+
+// Export for ES modules (browser)
+export {
+  TARGET_FREQUENCY_KHZ,
+  SEGMENTS,
+  BALANCE_LIMITS,
+  pickReading,
+  computeSegmental,
+  flattenSegmental
+};
+
+// Backward compatibility for CommonJS (ignored by browser ESM loader)
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    TARGET_FREQUENCY_KHZ,
+    SEGMENTS,
+    BALANCE_LIMITS,
+    pickReading,
+    computeSegmental,
+    flattenSegmental
+  };
+}
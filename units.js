@@ -0,0 +1,137 @@
+"use strict";
+
+// Display units: everything is stored in kg and cm, converted only at the edges
+//
+// profile.units picks the mass unit ('metric' = kg, 'imperial' = lb, 'stone' = st + lb) and
+// profile.heightUnit the height unit ('cm' or 'ftin'). Records, exports of our own history and
+// the algorithms stay in SI; cards, charts, form inputs and the FitDays-app CSV convert.
+
+const KG_PER_LB = 0.45359237;
+const LB_PER_STONE = 14;
+const CM_PER_INCH = 2.54;
+const INCHES_PER_FOOT = 12;
+
+// profile.units → mass unit
+const UNIT_SYSTEMS = { metric: 'kg', imperial: 'lb', stone: 'st' };
+const HEIGHT_UNITS = ['cm', 'ftin'];
+
+function kgToLb(kg) { return kg / KG_PER_LB; }
+function lbToKg(lb) { return lb * KG_PER_LB; }
+
+// Whole stones and the pounds left over, rounded to `digits` without ever showing 14 lb
+function kgToStoneLb(kg, digits = 1) {
+  const factor = Math.pow(10, digits);
+  const totalLb = Math.round(kgToLb(kg) * factor) / factor;
+  const stone = Math.floor(totalLb / LB_PER_STONE);
+  return { stone, lb: Number((totalLb - stone * LB_PER_STONE).toFixed(digits)) };
+}
+function stoneLbToKg(stone, lb = 0) { return lbToKg(stone * LB_PER_STONE + lb); }
+
+// Whole feet and the inches left over, rounded to `digits` without ever showing 12 in
+function cmToFtIn(cm, digits = 0) {
+  const factor = Math.pow(10, digits);
+  const totalIn = Math.round((cm / CM_PER_INCH) * factor) / factor;
+  const ft = Math.floor(totalIn / INCHES_PER_FOOT);
+  return { ft, in: Number((totalIn - ft * INCHES_PER_FOOT).toFixed(digits)) };
+}
+function ftInToCm(ft, inches = 0) { return (ft * INCHES_PER_FOOT + inches) * CM_PER_INCH; }
+
+// Helper: unknown systems fall back to metric
+function massUnit(units) {
+  return UNIT_SYSTEMS[units] || UNIT_SYSTEMS.metric;
+}
+
+// Label next to a formatted mass: stone values carry their "st" inline, so it reads "lb"
+function cardUnit(units) {
+  return massUnit(units) === 'st' ? 'lb' : massUnit(units);
+}
+
+// One number per mass for charts and rates: kg, lb or decimal stones
+function toMassUnit(kg, units) {
+  const unit = massUnit(units);
+  if (unit === 'lb') return kgToLb(kg);
+  if (unit === 'st') return kgToLb(kg) / LB_PER_STONE;
+  return kg;
+}
+function fromMassUnit(value, units) {
+  const unit = massUnit(units);
+  if (unit === 'lb') return lbToKg(value);
+  if (unit === 'st') return stoneLbToKg(value);
+  return value;
+}
+
+// Card text: { value, unit } with value '12 st 3.4' and unit 'lb' for stone
+function formatMass(kg, units, digits = 1) {
+  if (kg == null || !Number.isFinite(kg)) return { value: '—', unit: cardUnit(units) };
+  if (massUnit(units) === 'st') {
+    const { stone, lb } = kgToStoneLb(kg, digits);
+    return { value: `${stone} st ${lb.toFixed(digits)}`, unit: 'lb' };
+  }
+  const factor = Math.pow(10, digits);
+  return { value: (Math.round(toMassUnit(kg, units) * factor) / factor).toFixed(digits), unit: cardUnit(units) };
+}
+
+// Single-string form of formatMass for tooltips, history rows and ranges
+function formatMassText(kg, units, digits = 1) {
+  const { value, unit } = formatMass(kg, units, digits);
+  return value === '—' ? value : `${value} ${unit}`;
+}
+
+function formatHeight(cm, heightUnit) {
+  if (heightUnit !== 'ftin') return `${Math.round(cm)} cm`;
+  const { ft, in: inches } = cmToFtIn(cm);
+  return `${ft}′ ${inches}″`;
+}
+
+// Reported unit of a GATT Weight Measurement (0x2A9D): flags bit 0 clear = SI
+function gattWeightUnits(flags) {
+  return (flags & 0x01) === 0 ? 'metric' : 'imperial';
+}
+
+// Export for ES modules (browser)
+export {
+  KG_PER_LB,
+  LB_PER_STONE,
+  CM_PER_INCH,
+  UNIT_SYSTEMS,
+  HEIGHT_UNITS,
+  kgToLb,
+  lbToKg,
+  kgToStoneLb,
+  stoneLbToKg,
+  cmToFtIn,
+  ftInToCm,
+  massUnit,
+  cardUnit,
+  toMassUnit,
+  fromMassUnit,
+  formatMass,
+  formatMassText,
+  formatHeight,
+  gattWeightUnits
+};
+
+// Backward compatibility for CommonJS (ignored by browser ESM loader)
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    KG_PER_LB,
+    LB_PER_STONE,
+    CM_PER_INCH,
+    UNIT_SYSTEMS,
+    HEIGHT_UNITS,
+    kgToLb,
+    lbToKg,
+    kgToStoneLb,
+    stoneLbToKg,
+    cmToFtIn,
+    ftInToCm,
+    massUnit,
+    cardUnit,
+    toMassUnit,
+    fromMassUnit,
+    formatMass,
+    formatMassText,
+    formatHeight,
+    gattWeightUnits
+  };
+}
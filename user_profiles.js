@@ -0,0 +1,173 @@
+"use strict";
+
+import { DEFAULT_USER_ID } from './history_store.js';
+import { UNIT_SYSTEMS, HEIGHT_UNITS } from './units.js';
+
+// Named user profiles kept in localStorage, and weigh-in attribution by weight
+//
+// Profile: { id, name, birthDate ('YYYY-MM-DD'), heightCm, sex (1 = male, 0 = female),
+//            bodyType (0 = standard, 1 = athlete), goalWeightKg, goalBodyFatPercent (null = no goal),
+//            goalDate ('YYYY-MM-DD' or null), goalStartedAt ('YYYY-MM-DD' the goals were last changed),
+//            units ('metric' | 'imperial' | 'stone', see units.js), heightUnit ('cm' | 'ftin') }
+// The profile id is the userId stored with each history record. The first profile reuses
+// DEFAULT_USER_ID so measurements saved before profiles existed stay attached to it.
+
+const PROFILES_KEY = 'fitdays_profiles';
+const ACTIVE_PROFILE_KEY = 'fitdays_active_profile';
+
+const ATTRIBUTION_DEFAULTS = {
+  toleranceKg: 3,    // farther than this from a user's recent weight: not that user
+  ambiguityKg: 1,    // two users closer together than this: ask who is on the scale
+  recentCount: 3     // recent weigh-ins whose median is the user's reference weight
+};
+
+// Helper: whole years between birthDate and `on`
+function ageFromBirthDate(birthDate, on = new Date()) {
+  // 'YYYY-MM-DD' is read as a local calendar date, not UTC midnight
+  const [year, month, day] = String(birthDate).split('-').map(Number);
+  if (!year || !month || !day) return null;
+  let age = on.getFullYear() - year;
+  const beforeBirthday = on.getMonth() + 1 < month || (on.getMonth() + 1 === month && on.getDate() < day);
+  if (beforeBirthday) age--;
+  return age;
+}
+
+// Helper: birth date for someone `age` years old today
+function birthDateFromAge(age, on = new Date()) {
+  return `${on.getFullYear() - Math.max(0, Math.trunc(age))}-01-01`;
+}
+
+function makeProfile(fields = {}) {
+  return {
+    id: fields.id || `user-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    name: fields.name || 'New user',
+    birthDate: fields.birthDate || birthDateFromAge(30),
+    heightCm: Number(fields.heightCm) || 170,
+    sex: Number(fields.sex) === 0 ? 0 : 1,
+    bodyType: Number(fields.bodyType) === 1 ? 1 : 0,
+    goalWeightKg: fields.goalWeightKg > 0 ? Number(fields.goalWeightKg) : null,
+    goalBodyFatPercent: fields.goalBodyFatPercent > 0 ? Number(fields.goalBodyFatPercent) : null,
+    goalDate: fields.goalDate || null,
+    goalStartedAt: fields.goalStartedAt || null,
+    units: UNIT_SYSTEMS[fields.units] ? fields.units : 'metric',
+    // Profiles from before heightUnit: "imperial" used to mean lb and inches
+    heightUnit: HEIGHT_UNITS.includes(fields.heightUnit) ? fields.heightUnit : fields.units === 'imperial' ? 'ftin' : 'cm'
+  };
+}
+
+// Returns { list(), get(id), save(profile), remove(id), active(), setActive(id) }
+// A store always holds at least one profile; `seed` fills the first one in.
+function createProfileStore(storage = globalThis.localStorage, seed = {}) {
+  let profiles = [];
+  try {
+    profiles = JSON.parse(storage.getItem(PROFILES_KEY) || '[]').map(makeProfile);
+  } catch (err) {
+    console.warn('⚠️ Unreadable user profiles, starting over:', err);
+  }
+  if (profiles.length === 0) profiles = [makeProfile({ name: 'Me', ...seed, id: DEFAULT_USER_ID })];
+  let activeId = storage.getItem(ACTIVE_PROFILE_KEY);
+  if (!profiles.some(p => p.id === activeId)) activeId = profiles[0].id;
+
+  function persist() {
+    storage.setItem(PROFILES_KEY, JSON.stringify(profiles));
+    storage.setItem(ACTIVE_PROFILE_KEY, activeId);
+  }
+  persist();
+
+  function get(id) {
+    return profiles.find(p => p.id === id) || null;
+  }
+
+  // Inserts or replaces by id; returns the stored profile
+  function save(fields) {
+    const profile = makeProfile(fields);
+    const i = profiles.findIndex(p => p.id === profile.id);
+    if (i >= 0) profiles[i] = profile;
+    else profiles.push(profile);
+    persist();
+    return profile;
+  }
+
+  // The last remaining profile cannot be removed; its history stays in the store either way
+  function remove(id) {
+    if (profiles.length <= 1) return false;
+    profiles = profiles.filter(p => p.id !== id);
+    if (activeId === id) activeId = profiles[0].id;
+    persist();
+    return true;
+  }
+
+  function setActive(id) {
+    if (!get(id)) throw new Error(`Unknown profile: ${id}`);
+    activeId = id;
+    persist();
+    return get(id);
+  }
+
+  return {
+    list: () => profiles.slice(),
+    get,
+    save,
+    remove,
+    active: () => get(activeId),
+    setActive
+  };
+}
+
+// Decide who stepped on the scale.
+// history: [{ userId, takenAt, weightKg }] (any order); profiles: [{ id }]
+// Returns { status: 'match' | 'ambiguous' | 'none', profileId, candidates: [{ profileId, referenceKg, distanceKg }] }
+// with candidates sorted closest first and limited to those within toleranceKg.
+function matchUserByWeight(weightKg, history, profiles, options = {}) {
+  const cfg = { ...ATTRIBUTION_DEFAULTS, ...options };
+  const byUser = new Map();
+  for (const r of [...history].sort((a, b) => b.takenAt - a.takenAt)) {
+    if (!(r.weightKg > 0)) continue;
+    const list = byUser.get(r.userId) || [];
+    if (list.length < cfg.recentCount) list.push(r.weightKg);
+    byUser.set(r.userId, list);
+  }
+
+  const candidates = [];
+  for (const { id } of profiles) {
+    const recent = byUser.get(id);
+    if (!recent) continue;
+    const sorted = [...recent].sort((a, b) => a - b);
+    const referenceKg = sorted[sorted.length >> 1];
+    const distanceKg = Math.abs(weightKg - referenceKg);
+    if (distanceKg <= cfg.toleranceKg) candidates.push({ profileId: id, referenceKg, distanceKg });
+  }
+  candidates.sort((a, b) => a.distanceKg - b.distanceKg);
+
+  if (candidates.length === 0) return { status: 'none', profileId: null, candidates };
+  if (candidates.length > 1 && candidates[1].distanceKg - candidates[0].distanceKg < cfg.ambiguityKg) {
+    return { status: 'ambiguous', profileId: null, candidates };
+  }
+  return { status: 'match', profileId: candidates[0].profileId, candidates };
+}
+
+// Export for ES modules (browser)
+export {
+  PROFILES_KEY,
+  ACTIVE_PROFILE_KEY,
+  ATTRIBUTION_DEFAULTS,
+  ageFromBirthDate,
+  birthDateFromAge,
+  makeProfile,
+  createProfileStore,
+  matchUserByWeight
+};
+
+// Backward compatibility for CommonJS (ignored by browser ESM loader)
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    PROFILES_KEY,
+    ACTIVE_PROFILE_KEY,
+    ATTRIBUTION_DEFAULTS,
+    ageFromBirthDate,
+    birthDateFromAge,
+    makeProfile,
+    createProfileStore,
+    matchUserByWeight
+  };
+}
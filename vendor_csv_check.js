@@ -0,0 +1,102 @@
+"use strict";
+
+// Node check of fitdays_vendor_csv.js against sample FitDays app exports (no browser)
+//
+// Usage:
+//   node vendor_csv_check.js
+//
+// Each export listed in captures/fitdays_app_export.json is parsed and every record is compared
+// with the expected time, weight, impedance and metrics (masses in kg, to 0.001), including that
+// columns we do not import are reported. The parsed records are then written back with
+// toVendorCsv() in kg, lb and st:lb and parsed again; they must come back within the rounding of
+// the app's one decimal. Exit code 1 on any mismatch.
+
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { isVendorCsv, parseVendorCsv, toVendorCsv } from './fitdays_vendor_csv.js';
+
+const EXPECTATIONS = 'captures/fitdays_app_export.json';
+const TOLERANCE = 0.001;
+const ROUND_TRIP_TOLERANCE = 0.06;   // one decimal in kg, lb or st:lb, plus float noise
+
+// Helper: repo-relative path → file contents
+function readRepoFile(file) {
+  return readFileSync(fileURLToPath(new URL(`./${file}`, import.meta.url)), 'utf8');
+}
+
+// Helper: "2025/10/22 21:23:19" as local time → epoch ms
+function localTime(text) {
+  const [y, mo, d, h, mi, s] = text.split(/[/ :]/).map(Number);
+  return new Date(y, mo - 1, d, h, mi, s).getTime();
+}
+
+// Helper: parseVendorCsv() with the "not imported" warning collected instead of printed
+function parseQuietly(text) {
+  const warn = console.warn;
+  const notImported = [];
+  console.warn = (msg, columns) => notImported.push(...columns);
+  try {
+    return { records: parseVendorCsv(text, { userId: 'check' }), notImported };
+  } finally {
+    console.warn = warn;
+  }
+}
+
+// Helper: expected vs actual fields of one record → mismatches as { field, expected, actual }
+function compareRecord(want, got, tolerance) {
+  const fields = { takenAt: want.takenAt, weightKg: want.weightKg, impedanceOhm: want.impedanceOhm };
+  for (const [key, value] of Object.entries(want.metrics || {})) fields[`metrics.${key}`] = value;
+  const wrong = [];
+  for (const [field, expected] of Object.entries(fields)) {
+    const actual = field.startsWith('metrics.') ? (got.metrics || {})[field.slice(8)] : got[field];
+    const ok = expected == null ? actual == null : Math.abs(actual - expected) <= tolerance;
+    if (!ok) wrong.push({ field, expected: String(expected), actual: String(actual) });
+  }
+  const extra = Object.keys(got.metrics || {}).filter(key => !want.metrics || !(key in want.metrics));
+  for (const key of extra) wrong.push({ field: `metrics.${key}`, expected: '(none)', actual: String(got.metrics[key]) });
+  return wrong;
+}
+
+function main() {
+  const doc = JSON.parse(readRepoFile(EXPECTATIONS));
+  const rows = [];
+  const failures = [];
+
+  for (const entry of doc.files) {
+    const text = readRepoFile(entry.file);
+    const fail = (check, mismatch) => failures.push({ file: entry.file, check, ...mismatch });
+    if (!isVendorCsv(text)) fail('isVendorCsv', { field: 'header', expected: 'true', actual: 'false' });
+
+    const { records, notImported } = parseQuietly(text);
+    if (JSON.stringify(notImported) !== JSON.stringify(entry.notImported)) {
+      fail('parse', { field: 'not imported', expected: entry.notImported.join(', '), actual: notImported.join(', ') });
+    }
+    const expected = entry.records.map(r => ({ ...r, takenAt: localTime(r.time) }));
+    if (records.length !== expected.length) {
+      fail('parse', { field: 'records', expected: String(expected.length), actual: String(records.length) });
+    }
+    expected.forEach((want, i) => {
+      const wrong = records[i] ? compareRecord(want, records[i], TOLERANCE) : [{ field: 'record', expected: want.time, actual: '(none)' }];
+      wrong.forEach(w => fail(`parse record ${i}`, w));
+      rows.push({ file: entry.file, check: `parse record ${i}`, metrics: Object.keys(want.metrics).length, result: wrong.length ? 'FAIL' : 'PASS' });
+    });
+
+    for (const units of ['metric', 'imperial', 'stone']) {
+      const again = parseQuietly(toVendorCsv(records, { units })).records;
+      const wrong = expected.flatMap((want, i) => (again[i] ? compareRecord(want, again[i], ROUND_TRIP_TOLERANCE) : [{ field: 'record', expected: want.time, actual: '(none)' }])
+        .map(w => ({ ...w, field: `record ${i} ${w.field}` })));
+      wrong.forEach(w => fail(`round trip (${units})`, w));
+      rows.push({ file: entry.file, check: `round trip (${units})`, metrics: '', result: wrong.length ? 'FAIL' : 'PASS' });
+    }
+  }
+
+  console.table(rows);
+  if (failures.length) {
+    console.log('❌ Mismatched fields:');
+    console.table(failures);
+  }
+  console.log(failures.length ? `❌ ${failures.length} field(s) did not match` : '✅ Every FitDays export is read into the right metrics and written back unchanged');
+  if (failures.length) process.exit(1);
+}
+
+main();
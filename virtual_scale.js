@@ -0,0 +1,323 @@
+"use strict";
+
+import { FRAME_TYPES, encodeVendorFrame, encodeMeasurementBlock, encodeSegmentalPayload, encodeMultiFrequencyPayload, hexToBytes } from './fitdays_protocol.js';
+import { decodeCommand } from './fitdays_commands.js';
+
+// Virtual FG2305ULB peripheral — a stand-in for navigator.bluetooth
+//
+// Exposes the same GATT layout the real scale reported in "log (1).txt": a single 0xFFB0
+// service with FFB1–FFB4, where FFB2/FFB3 notify and FFB1/FFB4 only accept writes (their
+// startNotifications() fails with NotSupportedError, exactly like the hardware). Frames are
+// built with the same encoders the decoders are checked against, so connectBle() and the
+// notification handlers run unmodified, in the browser or in Node (EventTarget + DOMException).
+
+const SERVICE_UUID = "0000ffb0-0000-1000-8000-00805f9b34fb";
+const CHAR_UUIDS = {
+  ffb1: "0000ffb1-0000-1000-8000-00805f9b34fb",
+  ffb2: "0000ffb2-0000-1000-8000-00805f9b34fb",
+  ffb3: "0000ffb3-0000-1000-8000-00805f9b34fb",
+  ffb4: "0000ffb4-0000-1000-8000-00805f9b34fb"
+};
+
+const STATUS_MEASURING = 0x01;
+const STATUS_FINAL = 0x00;
+
+// Device info payload exactly as the scale sent it after connecting
+const DEVICE_INFO_PAYLOAD = hexToBytes('aa 93 79 1e 08 3f 22 01 0a 00 00 00 00 00 00 00 00 00 00 00 00 00 01 a0 01 01 00 00 ff ff');
+const RECORD_PAYLOAD_LENGTH = 38;
+
+function makeDomError(name, message) {
+  if (typeof DOMException === 'function') return new DOMException(message, name);
+  const err = new Error(message);
+  err.name = name;
+  return err;
+}
+
+function liveWeightPayload(weightKg, status) {
+  const block = encodeMeasurementBlock(weightKg);
+  return Uint8Array.of(FRAME_TYPES.liveWeight, status, ...block);
+}
+
+// [a7][BE unix seconds ×4][measurement block ×5][0a][BE impedance ×2] … [01 at 35]
+function recordPayload(date, weightKg, impedanceOhm) {
+  const p = new Uint8Array(RECORD_PAYLOAD_LENGTH);
+  const secs = Math.floor(date.getTime() / 1000) >>> 0;
+  p[0] = FRAME_TYPES.record;
+  p[1] = (secs >>> 24) & 0xFF;
+  p[2] = (secs >>> 16) & 0xFF;
+  p[3] = (secs >>> 8) & 0xFF;
+  p[4] = secs & 0xFF;
+  p.set(encodeMeasurementBlock(weightKg), 5);
+  p[10] = 0x0A;
+  p[11] = (impedanceOhm >> 8) & 0xFF;
+  p[12] = impedanceOhm & 0xFF;
+  p[35] = 0x01;
+  return p;
+}
+
+// One full weigh-in as a list of { phase, char, payload, delayMs } steps:
+// zero → rampUp → unstable → stable → impedance → final (FFB3 record, then FFB2 status 00) → stepOff
+// segments: { [kHz]: { rightArm: Ω, … } } makes it an 8-electrode model that sends one
+// segmental frame per frequency halfway through the impedance phase (the FG2305ULB sends none);
+// impedances: [{ frequencyKHz, resistanceOhm, reactanceOhm }] makes it a multi-frequency model
+// that sends them in one multi-frequency frame shortly after
+function buildWeighInScript({
+  targetKg = 72.4,
+  impedanceOhm = 512,
+  segments = null,
+  impedances = null,
+  intervalMs = 150,
+  random = Math.random,
+  now = () => new Date()
+} = {}) {
+  const steps = [];
+  const live = (phase, weightKg, status) => steps.push({ phase, char: 'ffb2', payload: liveWeightPayload(weightKg, status), delayMs: intervalMs });
+
+  for (let i = 0; i < 3; i++) live('zero', 0, STATUS_MEASURING);
+  for (let i = 1; i <= 6; i++) live('rampUp', targetKg * 1.04 * (i / 6), STATUS_MEASURING);
+  for (let i = 0; i < 8; i++) {
+    const spread = 1.2 * (1 - i / 8);
+    live('unstable', targetKg + (random() * 2 - 1) * spread, STATUS_MEASURING);
+  }
+  for (let i = 0; i < 5; i++) live('stable', targetKg, STATUS_MEASURING);
+  for (let i = 0; i < 20; i++) {
+    live('impedance', targetKg, STATUS_MEASURING);
+    if (i === 12 && impedances) {
+      steps.push({ phase: 'impedance', char: 'ffb3', payload: encodeMultiFrequencyPayload(impedances), delayMs: intervalMs });
+    }
+    if (i !== 9 || !segments) continue;
+    for (const [kHz, ohms] of Object.entries(segments)) {
+      steps.push({ phase: 'impedance', char: 'ffb3', payload: encodeSegmentalPayload(Number(kHz), ohms), delayMs: intervalMs });
+    }
+  }
+  // As on the hardware, the FFB3 record lands before FFB2 switches to the final status
+  steps.push({ phase: 'final', char: 'ffb3', payload: null, build: () => recordPayload(now(), targetKg, impedanceOhm), delayMs: intervalMs });
+  for (let i = 0; i < 10; i++) live('final', targetKg, STATUS_FINAL);
+  for (let i = 0; i < 3; i++) live('stepOff', 0, STATUS_FINAL);
+  return steps;
+}
+
+// Returns { bluetooth, device, writes, state, startWeighIn(options), sleep(), wake(), stop() }
+// options: name, autoStart (begin a weigh-in once FFB2 notifies), repeatEveryMs, sleepAfterMs
+// (drop the connection this long after a weigh-in, like the real scale powering down; it then
+// refuses connections until it wakes repeatEveryMs later and advertises), plus any
+// buildWeighInScript() option used as the default for every weigh-in.
+function createVirtualScale({ name = 'MY_SCALE', autoStart = true, repeatEveryMs = 0, sleepAfterMs = 0, ...scriptDefaults } = {}) {
+  const writes = [];
+  const state = { profile: null, units: 'metric', clock: null, phase: 'idle', asleep: false };
+  const seqs = { ffb2: 0, ffb3: 0 };
+  let timer = null;
+  let watchingAdvertisements = false;
+
+  const device = new EventTarget();
+  const characteristics = {};
+
+  const service = {
+    uuid: SERVICE_UUID,
+    isPrimary: true,
+    device,
+    async getCharacteristics() {
+      requireConnected();
+      return Object.values(characteristics);
+    },
+    async getCharacteristic(uuid) {
+      requireConnected();
+      const c = Object.values(characteristics).find(ch => ch.uuid === uuid);
+      if (!c) throw makeDomError('NotFoundError', `No Characteristics matching UUID ${uuid} found in Service with UUID ${SERVICE_UUID}.`);
+      return c;
+    }
+  };
+
+  function requireConnected() {
+    if (!device.gatt.connected) throw makeDomError('NetworkError', 'GATT Server is disconnected. Cannot perform GATT operations.');
+  }
+
+  function makeCharacteristic(shortUuid, properties) {
+    const c = new EventTarget();
+    let notifying = false;
+    Object.assign(c, {
+      uuid: CHAR_UUIDS[shortUuid],
+      service,
+      properties,
+      value: null,
+      async startNotifications() {
+        requireConnected();
+        if (!properties.notify) throw makeDomError('NotSupportedError', 'GATT Error: Not supported.');
+        notifying = true;
+        onSubscribed(shortUuid);
+        return c;
+      },
+      async stopNotifications() {
+        notifying = false;
+        return c;
+      },
+      async readValue() {
+        requireConnected();
+        throw makeDomError('NotSupportedError', 'GATT Error: Not supported.');
+      },
+      async writeValueWithResponse(data) {
+        requireConnected();
+        if (!properties.write) throw makeDomError('NotSupportedError', 'GATT Error: Not supported.');
+        onWrite(shortUuid, data);
+      },
+      async writeValueWithoutResponse(data) {
+        return c.writeValueWithResponse(data);
+      },
+      async writeValue(data) {
+        return c.writeValueWithResponse(data);
+      }
+    });
+    Object.defineProperty(c, 'notifying', { get: () => notifying });
+    return c;
+  }
+
+  characteristics.ffb1 = makeCharacteristic('ffb1', { notify: false, write: true, writeWithoutResponse: true });
+  characteristics.ffb2 = makeCharacteristic('ffb2', { notify: true, write: false, writeWithoutResponse: false });
+  characteristics.ffb3 = makeCharacteristic('ffb3', { notify: true, write: false, writeWithoutResponse: false });
+  characteristics.ffb4 = makeCharacteristic('ffb4', { notify: false, write: true, writeWithoutResponse: true });
+
+  function emit(shortUuid, payload) {
+    const c = characteristics[shortUuid];
+    const frame = encodeVendorFrame(seqs[shortUuid], payload);
+    seqs[shortUuid] = (seqs[shortUuid] + 1) & 0xFF;
+    c.value = new DataView(frame.buffer);
+    if (c.notifying && device.gatt.connected) c.dispatchEvent(new Event('characteristicvaluechanged'));
+  }
+
+  function onSubscribed(shortUuid) {
+    if (shortUuid === 'ffb3') setTimeout(() => emit('ffb3', DEVICE_INFO_PAYLOAD), 0);
+    if (shortUuid === 'ffb2' && autoStart) startWeighIn();
+  }
+
+  function onWrite(shortUuid, data) {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data.buffer || data);
+    const command = decodeCommand(bytes);
+    writes.push({ char: shortUuid, bytes: Uint8Array.from(bytes), command });
+    if (command.kind === 'userProfile') state.profile = command;
+    else if (command.kind === 'unit') state.units = command.units;
+    else if (command.kind === 'timeSync') state.clock = command.date;
+  }
+
+  function clearTimer() {
+    if (timer) clearTimeout(timer);
+    timer = null;
+  }
+
+  function startWeighIn(options = {}) {
+    clearTimer();
+    const steps = buildWeighInScript({ ...scriptDefaults, ...options });
+    let i = 0;
+    const next = () => {
+      if (!device.gatt.connected) return;
+      if (i >= steps.length) {
+        state.phase = 'idle';
+        if (sleepAfterMs > 0) timer = setTimeout(sleep, sleepAfterMs);
+        else timer = repeatEveryMs > 0 ? setTimeout(() => startWeighIn(options), repeatEveryMs) : null;
+        return;
+      }
+      const step = steps[i++];
+      state.phase = step.phase;
+      emit(step.char, step.payload || step.build());
+      timer = setTimeout(next, step.delayMs);
+    };
+    timer = setTimeout(next, 0);
+  }
+
+  // Power down: the link drops and connections fail until wake()
+  function sleep() {
+    state.asleep = true;
+    device.gatt.disconnect();
+    timer = repeatEveryMs > 0 ? setTimeout(wake, repeatEveryMs) : null;
+  }
+
+  function wake() {
+    clearTimer();
+    state.asleep = false;
+    if (watchingAdvertisements) device.dispatchEvent(new Event('advertisementreceived'));
+  }
+
+  Object.assign(device, {
+    id: 'virtual-fg2305ulb',
+    name,
+    async watchAdvertisements({ signal } = {}) {
+      watchingAdvertisements = true;
+      if (signal) signal.addEventListener('abort', () => { watchingAdvertisements = false; });
+    },
+    gatt: {
+      connected: false,
+      device,
+      async connect() {
+        if (state.asleep) throw makeDomError('NetworkError', 'Connection attempt failed.');
+        device.gatt.connected = true;
+        return device.gatt;
+      },
+      disconnect() {
+        if (!device.gatt.connected) return;
+        device.gatt.connected = false;
+        clearTimer();
+        for (const c of Object.values(characteristics)) c.stopNotifications();
+        device.dispatchEvent(new Event('gattserverdisconnected'));
+      },
+      async getPrimaryServices() {
+        requireConnected();
+        return [service];
+      },
+      async getPrimaryService(uuid) {
+        requireConnected();
+        if (uuid === SERVICE_UUID) return service;
+        throw makeDomError('NotFoundError', `No Services matching UUID ${uuid} found in Device.`);
+      }
+    }
+  });
+
+  const bluetooth = {
+    async getAvailability() { return true; },
+    async getDevices() { return [device]; },
+    async requestDevice(options = {}) {
+      const filters = options.filters || [];
+      const matches = options.acceptAllDevices ||
+        filters.some(f => (!f.name || f.name === name) && (!f.namePrefix || name.startsWith(f.namePrefix)) &&
+          (!f.services || f.services.every(s => s === SERVICE_UUID)));
+      if (!matches) throw makeDomError('NotFoundError', 'User cancelled the requestDevice() chooser.');
+      return device;
+    }
+  };
+
+  function stop() {
+    clearTimer();
+    device.gatt.disconnect();
+  }
+
+  return { bluetooth, device, writes, state, startWeighIn, sleep, wake, stop };
+}
+
+// Swap navigator.bluetooth for a virtual one; returns a function that restores the original
+function installVirtualBluetooth(nav, bluetooth) {
+  const target = nav || (globalThis.navigator = globalThis.navigator || {});
+  const own = Object.getOwnPropertyDescriptor(target, 'bluetooth');
+  Object.defineProperty(target, 'bluetooth', { value: bluetooth, configurable: true, writable: true });
+  return () => {
+    if (own) Object.defineProperty(target, 'bluetooth', own);
+    else delete target.bluetooth;
+  };
+}
+
+// Export for ES modules (browser)
+export {
+  SERVICE_UUID,
+  CHAR_UUIDS,
+  buildWeighInScript,
+  createVirtualScale,
+  installVirtualBluetooth
+};
+
+// Backward compatibility for CommonJS (ignored by browser ESM loader)
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    SERVICE_UUID,
+    CHAR_UUIDS,
+    buildWeighInScript,
+    createVirtualScale,
+    installVirtualBluetooth
+  };
+}
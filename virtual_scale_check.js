@@ -0,0 +1,165 @@
+"use strict";
+
+// Node check of the connect path against the virtual scale (no browser)
+//
+// Usage:
+//   node virtual_scale_check.js
+//
+// The connection manager connects to a virtual FG2305ULB through the scale link main.js uses
+// (scale_link.js): it discovers and subscribes through the device profiles, syncs clock, units
+// and profile over the command channel and feeds the notifications into a measurement session.
+// Two runs:
+//   sleep   — the scale sleeps after its weigh-in and wakes a little later; it must reconnect on
+//             its own, resubscribe and complete a second weigh-in
+//   lost    — the scale stays asleep until every retry has failed ('lost'), then advertises; the
+//             next advertisement must still reconnect it
+// Each run checks the discovery report, the connection states, the completed sessions and the
+// commands the scale recorded in `writes`. Exit code 1 on any failure.
+
+import { createConnectionManager } from './connection_manager.js';
+import { requestOptions, describeReport } from './device_profiles.js';
+import { createMeasurementSession } from './measurement_session.js';
+import { createScaleLink } from './scale_link.js';
+import { createVirtualScale } from './virtual_scale.js';
+
+const EXPECTED_REPORT = 'FitDays FG2305ULB · notify ffb2, ffb3 · write ffb1, ffb4 · missing 2a9d';
+const PROFILE = { age: 30, heightCm: 175, sex: 1, bodyType: 0, units: 'metric' };
+const WEIGH_IN = { targetKg: 72.4, impedanceOhm: 512, intervalMs: 5, random: () => 0.5 };
+const RUN_TIMEOUT_MS = 10000;
+
+const RUNS = [
+  {
+    name: 'sleep',
+    scale: { sleepAfterMs: 50, repeatEveryMs: 150 },
+    reconnect: { initialDelayMs: 40, maxAttempts: 10 },
+    weighIns: 2,
+    states: ['scanning', 'connecting', 'subscribed', 'sleeping', 'connecting', 'subscribed']
+  },
+  {
+    name: 'lost',
+    scale: { sleepAfterMs: 50 },
+    reconnect: { initialDelayMs: 10, maxAttempts: 2 },
+    weighIns: 2,
+    wakeWhenLost: true,
+    states: ['scanning', 'connecting', 'subscribed', 'sleeping', 'lost', 'connecting', 'subscribed']
+  }
+];
+
+// Helper: resolves once predicate() holds, rejects after timeoutMs
+function waitFor(predicate, timeoutMs, what) {
+  return new Promise((resolve, reject) => {
+    const started = Date.now();
+    const poll = () => {
+      if (predicate()) return resolve();
+      if (Date.now() - started > timeoutMs) return reject(new Error(`Timed out waiting for ${what}`));
+      setTimeout(poll, 10);
+    };
+    poll();
+  });
+}
+
+// Helper: is `expected` an in-order subsequence of `states`
+function containsInOrder(states, expected) {
+  let i = 0;
+  for (const s of states) if (s === expected[i]) i++;
+  return i === expected.length;
+}
+
+// One connect → weigh-in → sleep → reconnect → weigh-in cycle; returns what was observed
+async function runScenario(run) {
+  const scale = createVirtualScale({ ...WEIGH_IN, ...run.scale });
+  const session = createMeasurementSession();
+  const link = createScaleLink({ session, getProfile: () => PROFILE, commandOptions: { retries: 0 } });
+  const completed = [];
+  const reports = [];
+  const states = [];
+
+  session.on('complete', ({ measurement }) => completed.push(measurement));
+  link.on('subscribed', ({ report }) => reports.push(describeReport(report)));
+
+  const storage = new Map();
+  const manager = createConnectionManager({
+    getBluetooth: () => scale.bluetooth,
+    storage: { getItem: k => storage.get(k) ?? null, setItem: (k, v) => storage.set(k, v) },
+    subscribe: link.subscribe,
+    reconnect: run.reconnect
+  });
+  manager.on('state', ({ state }) => {
+    states.push(state);
+    if (state === 'lost' && run.wakeWhenLost) setTimeout(scale.wake, 20);
+  });
+
+  let error = null;
+  try {
+    await manager.connect(requestOptions());
+    await waitFor(() => completed.length >= run.weighIns, RUN_TIMEOUT_MS, `${run.weighIns} completed weigh-ins`);
+  } catch (err) {
+    error = err;
+  } finally {
+    await link.unsubscribe();
+    manager.disconnect();
+    scale.stop();
+  }
+  return { states, reports, completed, writes: scale.writes, scaleState: scale.state, error };
+}
+
+// Helper: everything wrong with one run, as messages
+function problems(run, observed) {
+  const found = [];
+  if (observed.error) found.push(observed.error.message);
+  if (!containsInOrder(observed.states, run.states)) {
+    found.push(`states ${observed.states.join(' → ')} do not include ${run.states.join(' → ')}`);
+  }
+  for (const report of observed.reports.filter(r => r !== EXPECTED_REPORT)) {
+    found.push(`discovery report "${report}"`);
+  }
+  if (observed.reports.length !== run.weighIns) found.push(`${observed.reports.length} subscriptions for ${run.weighIns} connections`);
+  if (observed.completed.length < run.weighIns) found.push(`${observed.completed.length} of ${run.weighIns} weigh-ins completed`);
+  for (const m of observed.completed) {
+    if (Math.abs(m.weightKg - WEIGH_IN.targetKg) > 0.05 || m.impedanceOhm !== WEIGH_IN.impedanceOhm) {
+      found.push(`weigh-in completed at ${m.weightKg} kg / ${m.impedanceOhm} Ω`);
+    }
+  }
+
+  // Every connection writes clock (ffb4), units and profile (ffb1), in that order
+  const kinds = observed.writes.map(w => `${w.command.kind}@${w.char}`);
+  const perConnection = ['timeSync@ffb4', 'unit@ffb1', 'userProfile@ffb1'];
+  const expectedWrites = observed.reports.flatMap(() => perConnection);
+  if (kinds.join(',') !== expectedWrites.join(',')) found.push(`writes ${kinds.join(', ') || '(none)'}`);
+  if (observed.writes.some(w => !w.command.checksumOk)) found.push('a command failed its checksum');
+  const { profile, units, clock } = observed.scaleState;
+  if (!profile || profile.age !== PROFILE.age || profile.heightCm !== PROFILE.heightCm || profile.sex !== PROFILE.sex) {
+    found.push(`scale holds profile ${JSON.stringify(profile)}`);
+  }
+  if (units !== PROFILE.units) found.push(`scale holds units ${units}`);
+  if (!clock || Math.abs(clock.getTime() - Date.now()) > 60000) found.push(`scale clock ${clock}`);
+  return found;
+}
+
+async function main() {
+  const rows = [];
+  const failures = [];
+  for (const run of RUNS) {
+    const observed = await runScenario(run);
+    const found = problems(run, observed);
+    found.forEach(problem => failures.push({ run: run.name, problem }));
+    rows.push({
+      run: run.name,
+      states: observed.states.join(' → '),
+      subscriptions: observed.reports.length,
+      'weigh-ins': observed.completed.length,
+      writes: observed.writes.length,
+      result: found.length ? 'FAIL' : 'PASS'
+    });
+  }
+
+  console.table(rows);
+  if (failures.length) {
+    console.log('❌ Failing checks:');
+    console.table(failures);
+  }
+  console.log(failures.length ? `❌ ${failures.length} check(s) failed` : '✅ The virtual scale connects, weighs, sleeps and reconnects as expected');
+  if (failures.length) process.exit(1);
+}
+
+main();
@@ -0,0 +1,38 @@
+"use strict";
+
+import { getVisceral_WLA18, getVisceral_WLA10 } from './bia_algorithms.js';
+
+// Visceral fat on the vendor's 1–30 scale: WLA18 builds the pre-offset value from height,
+// weight, age and impedance with the coefficient row for the sex, WLA10 applies the −10.5
+// offset, rounding and clamp.
+//
+// PLACEHOLDER: the app's WLA18 coefficient tables have not been read out yet. Until they are,
+// the rows below restate the legacy BMI/age/impedance index in the WLA18 structure (k5 = 0,
+// intercept 10.5 cancelling the WLA10 offset), so the output is that old index, not the vendor
+// value. The registry marks the variant as a placeholder.
+
+const VISCERAL_WLA18_COEFFICIENTS = {
+  1: { k5: 0, age: 0.1, bmi: 0.4, impedance: -0.02, intercept: 10.5 },   // male
+  0: { k5: 0, age: 0.08, bmi: 0.35, impedance: -0.015, intercept: 10.5 }  // female
+};
+
+// { heightCm, weightKg, age, sex, impedanceOhm } → { value (1–30), raw (WLA18 output) }
+function computeVisceralFat({ heightCm, weightKg, age, sex, impedanceOhm }, coefficients = VISCERAL_WLA18_COEFFICIENTS) {
+  const c = coefficients[sex === 1 ? 1 : 0];
+  const raw = getVisceral_WLA18(heightCm / 100, weightKg, age, c.k5, impedanceOhm, c.age, c.bmi, c.impedance, c.intercept);
+  return { value: getVisceral_WLA10(raw), raw };
+}
+
+// Export for ES modules (browser)
+export {
+  VISCERAL_WLA18_COEFFICIENTS,
+  computeVisceralFat
+};
+
+// Backward compatibility for CommonJS (ignored by browser ESM loader)
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    VISCERAL_WLA18_COEFFICIENTS,
+    computeVisceralFat
+  };
+}
@@ -0,0 +1,112 @@
+"use strict";
+
+// Stable-weight detection for one weigh-in
+//
+// A frame that carries the scale's own stable flag (flag === true) locks immediately on its
+// weight. Otherwise the detector looks at the last `windowSize` samples: once they all sit
+// within ±toleranceKg of their median and the weight has stayed there for at least
+// minDwellMs, the median is locked.
+// Exactly one weight is locked per weigh-in; reset() (or a zero reading) starts the next one.
+
+const STABILITY_DEFAULTS = {
+  windowSize: 5,
+  toleranceKg: 0.05,
+  minDwellMs: 750
+};
+
+const STABILITY_STATES = {
+  empty: 'empty',       // nobody on the scale
+  settling: 'settling', // weight present, not locked yet
+  locked: 'locked'      // one weight reported for this weigh-in
+};
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = sorted.length >> 1;
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Returns { push(sample), reset(), state, lockedWeightKg }
+// sample: { weightKg, stableFlag (true | false | null), timeMs }
+// push() → { state, weightKg (value to display), lockedWeightKg, source: 'flag' | 'signal' | null }
+function createStabilityDetector(options = {}) {
+  const cfg = { ...STABILITY_DEFAULTS, ...options };
+  let samples = [];
+  let settledSince = null;  // time of the oldest sample in the current in-tolerance run
+  let state = STABILITY_STATES.empty;
+  let lockedWeightKg = null;
+  let source = null;
+
+  function reset() {
+    samples = [];
+    settledSince = null;
+    state = STABILITY_STATES.empty;
+    lockedWeightKg = null;
+    source = null;
+  }
+
+  function lock(weightKg, from) {
+    lockedWeightKg = Number(weightKg.toFixed(2));
+    source = from;
+    state = STABILITY_STATES.locked;
+  }
+
+  function result(displayKg) {
+    return { state, weightKg: displayKg, lockedWeightKg, source };
+  }
+
+  function push({ weightKg, stableFlag = null, timeMs = Date.now() }) {
+    if (!(weightKg > 0)) {
+      reset();
+      return result(0);
+    }
+    if (state === STABILITY_STATES.locked) return result(lockedWeightKg);
+
+    state = STABILITY_STATES.settling;
+    samples.push({ weightKg, timeMs });
+    if (samples.length > cfg.windowSize) samples.shift();
+
+    if (stableFlag === true) {
+      lock(weightKg, 'flag');
+      return result(lockedWeightKg);
+    }
+
+    // Drop the oldest samples until the rest agree; the run restarts at the first one kept
+    let mid = median(samples.map(s => s.weightKg));
+    while (samples.some(s => Math.abs(s.weightKg - mid) > cfg.toleranceKg)) {
+      samples.shift();
+      settledSince = samples[0].timeMs;
+      mid = median(samples.map(s => s.weightKg));
+    }
+    if (settledSince == null) settledSince = samples[0].timeMs;
+
+    if (samples.length >= cfg.windowSize && timeMs - settledSince >= cfg.minDwellMs) {
+      lock(mid, 'signal');
+      return result(lockedWeightKg);
+    }
+    return result(mid);
+  }
+
+  return {
+    push,
+    reset,
+    get state() { return state; },
+    get lockedWeightKg() { return lockedWeightKg; }
+  };
+}
+
+// Export for ES modules (browser)
+export {
+  STABILITY_DEFAULTS,
+  STABILITY_STATES,
+  createStabilityDetector
+};
+
+// Backward compatibility for CommonJS (ignored by browser ESM loader)
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    STABILITY_DEFAULTS,
+    STABILITY_STATES,
+    createStabilityDetector
+  };
+}
@@ -0,0 +1,109 @@
+"use strict";
+
+// Node conformance check of bia_algorithms.js against golden vectors (no browser)
+//
+// Usage:
+//   node wla_conformance.js [--vectors captures/wla_vectors.json] [--strict]
+//
+// The module is loaded through its CommonJS export block: the ESM export list is dropped and
+// the rest runs in a fresh vm context with a `module` object, as a CommonJS consumer would see it.
+// Every exported function is reported with its vector count, pass/fail and max absolute error;
+// functions without vectors are listed as unverified. Exit code 1 on any failed vector, and with
+// --strict also when a function has no vectors.
+
+import { readFileSync } from 'fs';
+import { createContext, runInContext } from 'vm';
+import { fileURLToPath } from 'url';
+
+const MODULE_FILE = fileURLToPath(new URL('./bia_algorithms.js', import.meta.url));
+const DEFAULT_VECTORS = fileURLToPath(new URL('./captures/wla_vectors.json', import.meta.url));
+
+function parseArgs(argv) {
+  let vectors = DEFAULT_VECTORS;
+  let strict = false;
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--vectors') vectors = argv[++i];
+    else if (argv[i] === '--strict') strict = true;
+    else throw new Error(`Unknown argument: ${argv[i]}`);
+  }
+  if (!vectors) throw new Error('--vectors needs a file');
+  return { vectors, strict };
+}
+
+// Helper: module.exports of a file that also carries an ESM export list
+function loadCommonJs(file) {
+  const source = readFileSync(file, 'utf8');
+  const esmExport = /^export\s*\{[^}]*\};?\s*$/m;
+  if (!esmExport.test(source)) throw new Error(`No ESM export list found in ${file}`);
+  const module = { exports: {} };
+  runInContext(source.replace(esmExport, ''), createContext({ module, exports: module.exports, console }), { filename: file });
+  if (Object.keys(module.exports).length === 0) throw new Error(`${file} set no module.exports`);
+  return module.exports;
+}
+
+// Helper: one vector → { ok, error (absolute, numbers only), actual }
+function checkVector(fn, vector, tolerance) {
+  const expected = vector.expected;
+  let actual;
+  try {
+    actual = fn(...vector.args);
+  } catch (err) {
+    if (expected && typeof expected === 'object' && 'throws' in expected) {
+      return { ok: String(err.message).includes(expected.throws), error: 0, actual: `throws "${err.message}"` };
+    }
+    return { ok: false, error: Infinity, actual: `throws "${err.message}"` };
+  }
+  if (expected && typeof expected === 'object') return { ok: false, error: Infinity, actual };
+  const error = Math.abs(actual - expected);
+  return { ok: Number.isFinite(actual) && error <= tolerance, error, actual };
+}
+
+function main() {
+  const { vectors: vectorsFile, strict } = parseArgs(process.argv.slice(2));
+  const doc = JSON.parse(readFileSync(vectorsFile, 'utf8'));
+  if (doc.format !== 'wla-vectors') throw new Error(`${vectorsFile} is not a wla-vectors file`);
+  const bia = loadCommonJs(MODULE_FILE);
+  console.log(`📂 bia_algorithms.js (CommonJS exports, algorithm ${bia.ALGORITHM_VERSION}) against ${vectorsFile}`);
+
+  const unknown = Object.keys(doc.functions).filter(name => typeof bia[name] !== 'function');
+  if (unknown.length) console.warn('⚠️ Vectors for functions that are not exported:', unknown);
+
+  const rows = [];
+  const failures = [];
+  for (const [name, fn] of Object.entries(bia)) {
+    if (typeof fn !== 'function') continue;
+    const spec = doc.functions[name];
+    if (!spec || !spec.vectors || spec.vectors.length === 0) {
+      rows.push({ function: name, vectors: 0, passed: 0, failed: 0, 'max error': '', origins: '', result: 'UNVERIFIED' });
+      continue;
+    }
+    const tolerance = spec.tolerance ?? 1e-9;
+    let passed = 0;
+    let maxError = 0;
+    for (const vector of spec.vectors) {
+      const { ok, error, actual } = checkVector(fn, vector, tolerance);
+      maxError = Math.max(maxError, error);
+      if (ok) passed++;
+      else failures.push({ function: name, args: JSON.stringify(vector.args), expected: JSON.stringify(vector.expected), actual, note: vector.note || '' });
+    }
+    const origins = [...new Set(spec.vectors.map(v => v.origin || '?'))].join(', ');
+    const failed = spec.vectors.length - passed;
+    rows.push({ function: name, vectors: spec.vectors.length, passed, failed, 'max error': maxError, origins, result: failed ? 'FAIL' : 'PASS' });
+  }
+
+  console.table(rows);
+  if (failures.length) {
+    console.log('❌ Failing vectors:');
+    console.table(failures);
+  }
+
+  const unverified = rows.filter(r => r.result === 'UNVERIFIED').map(r => r.function);
+  const appVectors = Object.values(doc.functions).flatMap(f => f.vectors || []).filter(v => v.origin === 'app').length;
+  if (unverified.length) console.log(`ℹ️ No vectors (placeholder or unvalidated): ${unverified.join(', ')}`);
+  if (appVectors === 0) console.log("ℹ️ No vectors captured from the official app yet; 'spec' vectors only pin the reconstructed rounding rules");
+  console.log(failures.length ? `❌ ${failures.length} vector(s) failed` : '✅ All vectors passed');
+
+  if (failures.length || (strict && unverified.length)) process.exit(1);
+}
+
+main();